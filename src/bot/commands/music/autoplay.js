@@ -0,0 +1,30 @@
+// src/commands/music/autoplay.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:autoplay");
+
+export const data = buildCommand("music", "autoplay");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, queue } = checkMusicControl(context, { requireCurrent: false });
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  queue.autoplay = !queue.autoplay;
+  logger.debug(`♾️ Autoplay → ${queue.autoplay} en ${context.guild.id}`);
+  
+  await context.reply({ content: t(queue.autoplay ? "enabled" : "disabled") });
+}
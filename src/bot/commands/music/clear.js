@@ -0,0 +1,37 @@
+// src/commands/music/clear.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:clear");
+
+export const data = buildCommand("music", "clear");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const count = queue.tracks.length;
+  
+  if (count === 0) {
+    return context.reply({ content: t("queue_empty"), ephemeral: true });
+  }
+  
+  // El track actual sigue sonando; solo se vacían los pendientes
+  queue.tracks.length = 0;
+  logger.debug(`🧹 Cola vaciada (${count} tracks)`);
+  
+  await context.reply({ content: t("cleared", { count }) });
+}
@@ -0,0 +1,114 @@
+// src/commands/music/filter.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+import {
+  setQueueFilter,
+  applyQueueFilters,
+  EQUALIZER_PRESETS,
+  BASSBOOST_LEVELS
+} from "../../handlers/music/filters.js";
+
+const logger = createLogger("music:filter");
+
+const TOGGLE_FILTERS = ["bassboost", "nightcore", "vaporwave", "8d", "karaoke"];
+const TIMESCALE_RANGE = [0.5, 2];
+
+export const data = buildCommand("music", "filter");
+
+/**
+ * Lee los ajustes del subcomando o devuelve la clave de error
+ */
+function readSettings(context, filter) {
+  if (filter === "bassboost") {
+    const level = context.options.getString("level")?.toLowerCase() || "medium";
+    return BASSBOOST_LEVELS[level] !== undefined ? { settings: { level } } : { error: "invalid_filter" };
+  }
+  
+  if (filter === "timescale") {
+    const settings = {
+      speed: context.options.getNumber("speed") ?? 1,
+      pitch: context.options.getNumber("pitch") ?? 1,
+      rate: context.options.getNumber("rate") ?? 1
+    };
+    
+    const valid = Object.values(settings).every(value =>
+      value >= TIMESCALE_RANGE[0] && value <= TIMESCALE_RANGE[1]
+    );
+    
+    return valid ? { settings } : { error: "invalid_timescale" };
+  }
+  
+  if (filter === "equalizer") {
+    const preset = context.options.getString("preset")?.toLowerCase();
+    return EQUALIZER_PRESETS[preset] ? { settings: { preset } } : { error: "invalid_preset" };
+  }
+  
+  return { settings: {} };
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context, { requireCurrent: false });
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const filter = context.options.getSubcommand()?.toLowerCase();
+  
+  if (filter === "status") {
+    const active = Object.keys(queue.filters);
+    return context.reply({
+      content: active.length > 0
+        ? t("active_filters", { filters: active.map(name => `\`${name}\``).join(", ") })
+        : t("no_filters")
+    });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  if (filter === "reset") {
+    queue.filters = {};
+    
+    try {
+      await applyQueueFilters(player, queue);
+    } catch (error) {
+      return context.reply({ content: t("filter_error"), ephemeral: true });
+    }
+    
+    return context.reply({ content: t("filters_reset") });
+  }
+  
+  if (!TOGGLE_FILTERS.includes(filter) && filter !== "timescale" && filter !== "equalizer") {
+    return context.reply({ content: t("invalid_filter"), ephemeral: true });
+  }
+  
+  const { settings, error } = readSettings(context, filter);
+  if (error) {
+    return context.reply({ content: t(error), ephemeral: true });
+  }
+  
+  // timescale y equalizer se reemplazan en vez de alternar
+  const previous = { ...queue.filters };
+  const enabled = setQueueFilter(queue, filter, settings, TOGGLE_FILTERS.includes(filter));
+  
+  try {
+    await applyQueueFilters(player, queue);
+  } catch (applyError) {
+    queue.filters = previous;
+    return context.reply({ content: t("filter_error"), ephemeral: true });
+  }
+  
+  logger.debug(`🎚️ Filtros en ${context.guild.id}: ${Object.keys(queue.filters).join(", ") || "ninguno"}`);
+  
+  await context.reply({
+    content: t(enabled ? "filter_enabled" : "filter_disabled", { filter })
+  });
+}
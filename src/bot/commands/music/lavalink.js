@@ -0,0 +1,73 @@
+// src/commands/music/lavalink.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import PermissionManager from "../../utils/PermissionManager.js";
+
+const logger = createLogger("music:lavalink");
+
+export const data = buildCommand("music", "lavalink");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  if (!(await PermissionManager.isOwner(context))) {
+    return context.reply({ content: t("owner_only"), ephemeral: true });
+  }
+  
+  const lavalink = context.client.lavalink;
+  const subcommand = context.options.getSubcommand();
+  
+  if (subcommand === "add") {
+    try {
+      const node = lavalink.addNode({
+        name: context.options.getString("name", true),
+        url: context.options.getString("url", true),
+        auth: context.options.getString("auth", true),
+        secure: context.options.getBoolean("secure") ?? false,
+        region: context.options.getString("region"),
+        priority: context.options.getInteger("priority") ?? 0
+      });
+      
+      logger.info(`➕ ${context.user.tag} añadió el nodo ${node.name}`);
+      
+      await context.reply({
+        content: t("node_added", { node: node.name, address: node.url }),
+        ephemeral: true
+      });
+    } catch (error) {
+      await context.reply({
+        content: t("add_failed", { error: error.message }),
+        ephemeral: true
+      });
+    }
+    
+    // El mensaje con prefix contiene la contraseña del nodo
+    if (context.message) {
+      await context.message.delete().catch(() => {});
+    }
+    return;
+  }
+  
+  if (subcommand === "remove") {
+    const name = context.options.getString("name", true);
+    const config = lavalink.registry.get(name);
+    
+    if (!lavalink.removeNode(name)) {
+      return context.reply({
+        content: t("node_not_found", { node: name }),
+        ephemeral: true
+      });
+    }
+    
+    logger.info(`➖ ${context.user.tag} eliminó el nodo ${name}`);
+    
+    const lines = [t("node_removed", { node: name })];
+    if (config?.source === "env") {
+      lines.push(t("env_node_notice", { node: name }));
+    }
+    
+    return context.reply({ content: lines.join("\n"), ephemeral: true });
+  }
+}
@@ -0,0 +1,43 @@
+// src/commands/music/loop.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:loop");
+
+const LOOP_MODES = ["off", "track", "queue"];
+
+export const data = buildCommand("music", "loop");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, queue } = checkMusicControl(context, { requireCurrent: false });
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const requested = context.options.getString("mode")?.toLowerCase();
+  
+  if (requested && !LOOP_MODES.includes(requested)) {
+    return context.reply({ content: t("invalid_mode"), ephemeral: true });
+  }
+  
+  // Sin modo explícito: off → track → queue → off
+  const current = LOOP_MODES.indexOf(queue.loop);
+  queue.loop = requested || LOOP_MODES[(current + 1) % LOOP_MODES.length];
+  
+  logger.debug(`🔁 Loop → ${queue.loop} en ${context.guild.id}`);
+  
+  await context.reply({
+    content: t("loop_set", { mode: t(`loop_${queue.loop}`) })
+  });
+}
@@ -0,0 +1,150 @@
+// src/commands/music/lyrics.js
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  EmbedBuilder
+} from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { queues } from "../../handlers/music/utils.js";
+import { getLyricsProvider, parseTrackInfo } from "../../music/lyrics/index.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+
+const logger = createLogger("music:lyrics");
+
+const PAGE_LENGTH = 1800;
+const COLLECTOR_TIME_MS = 5 * 60 * 1000;
+
+export const data = buildCommand("music", "lyrics");
+
+/**
+ * Divide la letra en páginas sin cortar estrofas (ni líneas) si se puede
+ */
+function paginateLyrics(lyrics, maxLength = PAGE_LENGTH) {
+  const pieces = [];
+
+  for (const stanza of lyrics.trim().split(/\n\s*\n/)) {
+    if (stanza.length <= maxLength) {
+      pieces.push(stanza);
+      continue;
+    }
+
+    for (const line of stanza.split("\n")) {
+      for (let i = 0; i < line.length || i === 0; i += maxLength) {
+        pieces.push(line.slice(i, i + maxLength));
+      }
+    }
+  }
+
+  const pages = [];
+  let page = "";
+
+  for (const piece of pieces) {
+    const candidate = page ? `${page}\n\n${piece}` : piece;
+
+    if (candidate.length > maxLength && page) {
+      pages.push(page);
+      page = piece;
+    } else {
+      page = candidate;
+    }
+  }
+
+  if (page) pages.push(page);
+  return pages;
+}
+
+function createLyricsEmbed(result, pages, page, t) {
+  return new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle(EmbedFactory.truncate(`📝 ${result.title}`, 256))
+    .setURL(result.url || null)
+    .setAuthor({ name: EmbedFactory.truncate(result.artist || t("unknown_artist"), 256) })
+    .setDescription(pages[page])
+    .setFooter({
+      text: t("lyrics_footer", { page: page + 1, total: pages.length, source: result.source })
+    });
+}
+
+function createPageButtons(page, total, disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("prev")
+      .setEmoji("◀️")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(disabled || page === 0),
+    new ButtonBuilder()
+      .setCustomId("next")
+      .setEmoji("▶️")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(disabled || page === total - 1)
+  );
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+
+  const query = context.options.getString("query");
+  const current = queues.get(context.guild?.id)?.current;
+
+  if (!query && !current) {
+    return context.reply({ content: t("no_track"), ephemeral: true });
+  }
+
+  // Texto libre: "Artista - Canción" o solo el título
+  const search = query
+    ? parseTrackInfo({ title: query, author: null })
+    : parseTrackInfo(current.info);
+
+  await context.deferReply();
+
+  let result;
+  try {
+    result = await getLyricsProvider().search(search);
+  } catch (error) {
+    logger.error(`❌ Error buscando letra de "${search.title}"`, error);
+    return context.editReply({ content: t("lyrics_error") });
+  }
+
+  if (!result?.lyrics) {
+    logger.debug(`Sin letra para "${search.artist ?? ""} ${search.title}"`);
+    return context.editReply({ content: t("not_found", { title: search.title }) });
+  }
+
+  const pages = paginateLyrics(result.lyrics);
+  let page = 0;
+
+  const message = await context.editReply({
+    embeds: [createLyricsEmbed(result, pages, page, t)],
+    components: pages.length > 1 ? [createPageButtons(page, pages.length)] : []
+  });
+
+  if (pages.length <= 1 || !message) return;
+
+  const collector = message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    time: COLLECTOR_TIME_MS
+  });
+
+  collector.on("collect", async (i) => {
+    if (i.user.id !== context.user.id) {
+      return i.reply({ content: t("not_your_lyrics"), ephemeral: true });
+    }
+
+    if (i.customId === "prev" && page > 0) page--;
+    if (i.customId === "next" && page < pages.length - 1) page++;
+
+    await i.update({
+      embeds: [createLyricsEmbed(result, pages, page, t)],
+      components: [createPageButtons(page, pages.length)]
+    });
+  });
+
+  collector.on("end", () => {
+    message.edit({ components: [createPageButtons(page, pages.length, true)] }).catch(() => {});
+  });
+}
@@ -0,0 +1,48 @@
+// src/commands/music/move.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:move");
+
+export const data = buildCommand("music", "move");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const count = queue.tracks.length;
+  
+  if (count === 0) {
+    return context.reply({ content: t("queue_empty"), ephemeral: true });
+  }
+  
+  const from = context.options.getInteger("from");
+  const to = context.options.getInteger("to");
+  const isValid = (pos) => Number.isInteger(pos) && pos >= 1 && pos <= count;
+  
+  if (!isValid(from) || !isValid(to)) {
+    return context.reply({
+      content: t("invalid_position", { count }),
+      ephemeral: true
+    });
+  }
+  
+  const [track] = queue.tracks.splice(from - 1, 1);
+  queue.tracks.splice(to - 1, 0, track);
+  logger.debug(`↕️ Movido #${from} → #${to}: ${track.info.title}`);
+  
+  await context.reply({ content: t("moved", { title: track.info.title, to }) });
+}
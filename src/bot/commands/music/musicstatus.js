@@ -0,0 +1,65 @@
+// src/commands/music/musicstatus.js
+
+import { EmbedBuilder } from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+
+export const data = buildCommand("music", "musicstatus");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const lavalink = context.client.lavalink;
+  const nodes = lavalink.getNodeStatus();
+  
+  const embed = new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle(t("title"))
+    .setTimestamp();
+  
+  if (nodes.length === 0) {
+    embed.setDescription(t("no_nodes"));
+    return context.reply({ embeds: [embed] });
+  }
+  
+  embed.setDescription(t("summary", {
+    connected: nodes.filter(node => node.state === "connected").length,
+    total: nodes.length,
+    players: lavalink.shoukaku.players.size
+  }));
+  
+  // Límite de 25 fields por embed
+  for (const node of nodes.slice(0, 25)) {
+    const lines = [
+      t("node_info", {
+        state: t(`state_${node.state}`),
+        playing: node.playingPlayers,
+        players: node.players,
+        cpu: node.cpu !== null ? `${node.cpu.toFixed(1)}%` : t("unknown"),
+        memory: node.memory !== null ? `${Math.round(node.memory / 1024 / 1024)} MB` : t("unknown"),
+        uptime: node.uptime !== null ? EmbedFactory.formatDuration(node.uptime) : t("unknown"),
+        penalties: node.penalties ?? t("unknown")
+      }),
+      t("node_meta", {
+        region: node.region || t("any_region"),
+        priority: node.priority,
+        source: node.source
+      })
+    ];
+    
+    if (node.lastError) {
+      lines.push(t("node_error", {
+        error: node.lastError.slice(0, 200),
+        time: `<t:${Math.floor(node.lastErrorAt / 1000)}:R>`
+      }));
+    }
+    
+    embed.addFields({
+      name: `${node.secure ? "🔒" : "🔓"} ${node.name}`,
+      value: lines.join("\n")
+    });
+  }
+  
+  await context.reply({ embeds: [embed] });
+}
@@ -0,0 +1,41 @@
+// src/commands/music/nowplaying.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import {
+  checkMusicControl,
+  createNowPlayingEmbed,
+  formatDuration
+} from "../../handlers/music/utils.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+
+export const data = buildCommand("music", "nowplaying");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const track = queue.current;
+  const embed = createNowPlayingEmbed(track, t, queue);
+  
+  if (!track.info.isStream) {
+    const position = Math.min(player.position, track.info.length);
+    
+    embed.addFields({
+      name: player.paused ? `${t("progress")} · ${t("paused")}` : t("progress"),
+      value: `${formatDuration(position)} ${EmbedFactory.progressBar(position, track.info.length)} ${formatDuration(track.info.length)}`
+    });
+  }
+  
+  embed.addFields({
+    name: t("in_queue"),
+    value: `${queue.tracks.length}`,
+    inline: true
+  });
+  
+  await context.reply({ embeds: [embed] });
+}
@@ -3,12 +3,22 @@
 import { buildCommand } from "../../utils/commandbuilder.js";
 import { createLogger } from "../../utils/Logger.js";
 import { createTranslator } from "../../localization/TranslatorHelper.js";
-import { queues, buildSearchIdentifier } from "../../handlers/music/utils.js";
+import {
+  buildSearchIdentifier,
+  formatSearchResult,
+  formatTrackLength
+} from "../../handlers/music/utils.js";
 import { hardLockedGuilds } from "../../handlers/music/voiceStateHandler.js";
-import { createNowPlayingEmbed } from "../../handlers/music/utils.js";
+import { enqueueTracks } from "../../handlers/music/playback.js";
+import { promptSearchSelection } from "../../handlers/music/searchPicker.js";
+import { checkQueueLimits, formatRejectedTracks } from "../../handlers/music/limits.js";
+import { isMusicServiceLink, resolveMusicLink } from "../../music/links/index.js";
 
 const logger = createLogger("music:play");
 
+// Canciones sin equivalente que se listan en el aviso
+const UNMATCHED_PREVIEW = 10;
+
 export const data = buildCommand("music", "play");
 
 export async function autocomplete(interaction) {
@@ -45,13 +55,10 @@ export async function autocomplete(interaction) {
       return interaction.respond([]);
     }
     
-    const choices = result.data.slice(0, 10).map(track => {
-      const duration = formatDuration(track.info.length);
-      return {
-        name: truncate(`${track.info.title} - ${track.info.author} [${duration}]`, 100),
-        value: track.info.uri || track.info.identifier
-      };
-    });
+    const choices = result.data.slice(0, 10).map(track => ({
+      name: formatSearchResult(track),
+      value: track.info.uri || track.info.identifier
+    }));
     
     await interaction.respond(choices);
     
@@ -61,11 +68,6 @@ export async function autocomplete(interaction) {
   }
 }
 
-function truncate(text, maxLength) {
-  if (text.length <= maxLength) return text;
-  return text.substring(0, maxLength - 3) + '...';
-}
-
 export async function execute(context) {
   logger.group("🎵 Comando Play Iniciado", () => {
     logger.debug(`Usuario: ${context.user.tag} (${context.user.id})`);
@@ -79,6 +81,8 @@ export async function execute(context) {
   
   try {
     const query = context.options.getString("query", true);
+    // En prefix: `r!play canción --pick`
+    const pick = context.options.getBoolean("pick") ?? false;
     logger.info(`🔍 Query: "${query}"`);
     
     // ========================================
@@ -130,6 +134,14 @@ export async function execute(context) {
       });
     }
     
+    // ========================================
+    // ENLACES DE SPOTIFY / APPLE MUSIC / DEEZER
+    // ========================================
+    
+    if (isMusicServiceLink(query)) {
+      return await playMusicServiceLink(context, t, node, query);
+    }
+    
     // ========================================
     // BÚSQUEDA EN LAVALINK
     // ========================================
@@ -219,431 +231,64 @@ export async function execute(context) {
       });
     }
     
-    const track = tracks[0];
-    
-    logger.group("🎵 Track Seleccionado", () => {
-      logger.debug(`Título: ${track.info.title}`);
-      logger.debug(`Autor: ${track.info.author}`);
-      logger.debug(`Duración: ${track.info.length}ms (${formatDuration(track.info.length)})`);
-      logger.debug(`URL: ${track.info.uri}`);
-    });
-    
     // ========================================
-    // CONEXIÓN A VOZ CON VALIDACIÓN SIMPLE
+    // SELECTOR DE RESULTADOS
     // ========================================
     
-    let player = shoukaku.players.get(guild.id);
-    const voiceChannel = member.voice.channel;
-    
-    /**
-     * Limpia completamente todos los recursos del servidor
-     * Útil cuando el bot fue expulsado o la conexión está corrupta
-     */
-    async function cleanupGuildResources(reason = "cleanup") {
-      logger.debug(`🧹 Limpieza completa de recursos (${reason})...`);
-      
-      if (player) {
-        try {
-          // Remover listeners para evitar eventos durante cleanup
-          player.removeAllListeners("end");
-          player.removeAllListeners("exception");
-          player.removeAllListeners("closed");
-          player.removeAllListeners("stuck");
-          
-          // ✅ CORRECTO: Destruir el player (libera VoiceState de Discord)
-          player.destroy();
-          logger.debug("✅ Player destruido");
-        } catch (err) {
-          logger.debug(`No crítico durante cleanup: ${err.message}`);
-        }
-      }
-      
-      // Limpiar registros
-      shoukaku.players.delete(guild.id);
-      queues.delete(guild.id);
-      
-      logger.debug("✅ Recursos limpiados completamente");
-    }
-    
-    // ✅ VALIDACIÓN SIMPLE: Si hay player Y el usuario está en otro canal
-    if (player) {
-      const botVoiceState = guild.members.me?.voice;
-      const playerChannel = botVoiceState?.channelId;
+    if (pick && result.loadType === "search") {
+      tracks = await promptSearchSelection(context, t, tracks);
       
-      logger.debug(`🔍 Player existente detectado`);
-      logger.debug(`  Bot en canal: ${playerChannel || 'null'}`);
-      logger.debug(`  Usuario en canal: ${voiceChannel.id}`);
-      
-      // Si el bot está en OTRO canal diferente al del usuario
-      if (playerChannel && playerChannel !== voiceChannel.id) {
-        logger.debug(`❌ Usuario en canal diferente al bot`);
-        return context.editReply({
-          content: t("music_in_other_channel")
-        });
+      if (!tracks) {
+        logger.debug("⌛ Selección cancelada o expirada");
+        return;
       }
       
-      // Si el bot NO está en ningún canal pero hay player (zombie)
-      if (!playerChannel) {
-        logger.warn("⚠️ Player zombie detectado (bot no en canal) - limpiando...");
-        await cleanupGuildResources("zombie_player");
-        player = null;
+      if (tracks.length > 1) {
+        playlistInfo = { name: null, count: tracks.length };
       }
     }
     
-    // ✅ CREAR PLAYER si no existe o fue limpiado
-    if (!player) {
-      logger.debug("🔌 Conectando a canal de voz...");
-      
-      try {
-        // Verificar permisos ANTES de intentar conectar
-        const permissions = voiceChannel.permissionsFor(guild.members.me);
-        
-        if (!permissions.has('Connect')) {
-          logger.error("❌ Bot no tiene permiso Connect");
-          return context.editReply({
-            content: t("no_connect_permission")
-          });
-        }
-        
-        if (!permissions.has('Speak')) {
-          logger.error("❌ Bot no tiene permiso Speak");
-          return context.editReply({
-            content: t("no_speak_permission")
-          });
-        }
-        
-        logger.debug("✅ Permisos verificados");
-        
-        // ✅ LIMPIEZA PREVENTIVA SIMPLE (si hay residuos)
-        try {
-          logger.debug("🔄 Iniciando conexión a canal de voz...");
-          
-          const existingPlayer = shoukaku.players.get(guild.id);
-          
-          if (existingPlayer) {
-            logger.warn("🧹 Player residual detectado - destruyendo...");
-            existingPlayer.removeAllListeners();
-            existingPlayer.destroy();
-            queues.delete(guild.id);
-            logger.debug("✅ Limpieza preventiva completada");
-          }
-          
-          // Crear conexión
-          logger.debug("🔌 Creando nueva conexión...");
-          player = await Promise.race([
-            shoukaku.joinVoiceChannel({
-              guildId: guild.id,
-              channelId: voiceChannel.id,
-              shardId: guild.shardId ?? 0,
-              deaf: true
-            }),
-            new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Connection timeout after 10s')), 10000)
-            )
-          ]);
-          
-          if (!player) {
-            throw new Error('Player is null after connection');
-          }
-          
-          logger.debug("⏳ Esperando estabilización (1s)...");
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          // Verificar que el bot está en el canal
-          const botVoice = guild.members.me?.voice;
-          if (botVoice?.channelId !== voiceChannel.id) {
-            throw new Error('Bot not in voice channel after connection');
-          }
-          
-          logger.info(`🔊 Conectado exitosamente a: ${voiceChannel.name}`);
-          
-        } catch (connectionError) {
-          logger.error("❌ Error en conexión:", connectionError.message);
-          
-          // Limpiar cualquier player fallido
-          if (player) {
-            try {
-              player.removeAllListeners();
-              player.destroy();
-            } catch {}
-            player = null;
-          }
-          
-          return context.editReply({
-            content: t("connection_error", { error: connectionError.message })
-          });
-        }
-        
-      } catch (error) {
-        logger.error("❌ Error crítico conectando a voz", error);
-        
-        // Limpiar cualquier residuo
-        await cleanupGuildResources("critical_connection_error").catch(() => {});
-        
-        return context.editReply({
-          content: `❌ Error al conectar: ${error.message}`
-        });
-      }
-    } else {
-      logger.debug(`✅ Usando player existente`);
-    }
+    const track = tracks[0];
+    
+    logger.group("🎵 Track Seleccionado", () => {
+      logger.debug(`Título: ${track.info.title}`);
+      logger.debug(`Autor: ${track.info.author}`);
+      logger.debug(`Duración: ${track.info.length}ms (${formatTrackLength(track.info.length)})`);
+      logger.debug(`URL: ${track.info.uri}`);
+    });
     
     // ========================================
-    // GESTIÓN DE COLA
+    // LÍMITES DE LA COLA
     // ========================================
     
-    logger.debug("📋 Gestionando cola...");
-    
-    let queue = queues.get(guild.id);
-    
-    if (!queue) {
-      logger.debug("🆕 Creando nueva cola");
-      queue = {
-        playing: false,
-        tracks: [],
-        textChannel: channel,
-        originalContext: context,
-        contextHandled: false,
-        listenersConfigured: false,
-        voiceChannelId: voiceChannel.id, // ✅ NUEVO: Guardar ID del canal
-        translator: t // ✅ NUEVO: Guardar traductor para event listeners
-      };
-      queues.set(guild.id, queue);
-    }
+    const { accepted, rejected, limits } = await checkQueueLimits(
+      guild,
+      context.user.id,
+      playlistInfo ? tracks : [track]
+    );
     
-    // ✅ VALIDACIÓN: Verificar que el usuario sigue en el mismo canal
-    if (queue.voiceChannelId && queue.voiceChannelId !== voiceChannel.id) {
-      return context.editReply({
-        content: t("music_in_other_channel")
-      });
+    if (accepted.length === 0) {
+      logger.debug(`🚫 Todos los tracks rechazados por límites (${rejected.length})`);
+      return context.editReply({ content: formatRejectedTracks(t, rejected, limits) });
     }
     
-    // Añadir track(s) a la cola
     if (playlistInfo) {
-      queue.tracks.push(...tracks);
-      logger.info(`✅ ${tracks.length} tracks añadidos a la cola`);
-      
-      await context.editReply({
-        content: t("playlist_added", {
-          count: playlistInfo.count,
-          name: playlistInfo.name
-        })
-      });
-      queue.contextHandled = true;
-      
-    } else {
-      queue.tracks.push(track);
-      logger.debug(`✅ Track añadido. Cola: ${queue.tracks.length} tracks`);
-    }
-    
-    // Si ya está reproduciendo, solo confirmar adición
-    if (queue.playing) {
-      logger.debug("▶️ Ya hay reproducción activa, añadiendo a cola");
-      
-      if (!playlistInfo) {
-        const position = queue.tracks.length;
-        await context.editReply({
-          content: t("added", {
-            title: track.info.title,
-            position: position
-          })
-        });
-        queue.contextHandled = true;
-      }
-      
-      return;
+      playlistInfo.count = accepted.length;
     }
     
     // ========================================
-    // FUNCIÓN DE REPRODUCCIÓN CON VALIDACIÓN CONTINUA
+    // CONEXIÓN A VOZ Y COLA
     // ========================================
     
-    async function playNext() {
-      const queueLength = queue.tracks.length;
-      logger.debug(`▶️ playNext() - Cola: ${queueLength} tracks`);
-      
-      const next = queue.tracks.shift();
+    const started = await enqueueTracks(context, t, accepted, playlistInfo);
+    if (started) {
+      logger.info("✅ Comando play completado exitosamente");
       
-      if (!next) {
-        logger.info("🏁 Cola vacía, deteniendo reproducción");
-        queue.playing = false;
-        return;
-      }
-      
-      queue.playing = true;
-      
-      logger.group("🎵 Reproduciendo Track", () => {
-        logger.info(`Título: ${next.info.title}`);
-        logger.debug(`Autor: ${next.info.author}`);
-        logger.debug(`Duración: ${formatDuration(next.info.length)}`);
-      });
-      
-      try {
-        // ✅ VALIDACIÓN PRE-PLAY: Verificar que player sigue válido
-        const currentPlayer = shoukaku.players.get(guild.id);
-        const botVoice = guild.members.me?.voice;
-        
-        if (!currentPlayer) {
-          logger.error("❌ Player no existe antes de play");
-          queue.playing = false;
-          
-          queue.textChannel?.send({
-            content: t("playback_stopped_no_player")
-          });
-          
-          return;
-        }
-        
-        if (botVoice?.channelId !== queue.voiceChannelId) {
-          logger.error("❌ Bot desconectado antes de play");
-          queue.playing = false;
-          
-          queue.textChannel?.send({
-            content: t("playback_stopped_disconnected")
-          });
-          
-          return;
-        }
-        
-        await currentPlayer.playTrack({ 
-          track: { encoded: next.encoded } 
-        });
-        
-        logger.info("✅ Reproducción iniciada correctamente");
-        
-        // Enviar embed
-        const embed = createNowPlayingEmbed(next, t); // ← Usar función helper
-
-        if (!queue.contextHandled && queue.originalContext) {
-          await queue.originalContext.editReply({ embeds: [embed] });
-          queue.contextHandled = true;
-        } else {
-          queue.textChannel?.send({ embeds: [embed] });
-        }
-        
-      } catch (error) {
-        logger.error("❌ Error reproduciendo track", error);
-        queue.playing = false;
-        
-        if (!queue.contextHandled && queue.originalContext) {
-          await queue.originalContext.editReply({
-            content: t("failed_to_play")
-          });
-          queue.contextHandled = true;
-        } else {
-          queue.textChannel?.send({
-            content: t("track_error", { title: next.info.title })
-          });
-        }
-        
-        logger.debug("🔄 Intentando siguiente track...");
-        await playNext();
+      if (rejected.length > 0) {
+        await context.followUp({ content: formatRejectedTracks(t, rejected, limits) }).catch(() => {});
       }
     }
     
-    // ========================================
-    // EVENT LISTENERS (SOLO UNA VEZ) CON VALIDACIÓN
-    // ========================================
-    
-    if (!queue.listenersConfigured) {
-      logger.debug("🎧 Configurando event listeners...");
-      
-      player.removeAllListeners("end");
-      player.removeAllListeners("exception");
-      player.removeAllListeners("closed");
-      player.removeAllListeners("stuck");
-      
-      player.on("end", async (data) => {
-        logger.group("⏹️ Evento END", () => {
-          logger.debug(`Razón: ${data.reason}`);
-          logger.debug(`Cola restante: ${queue.tracks.length} tracks`);
-        });
-        
-        const shouldContinue = ["finished", "loadFailed"].includes(data.reason);
-        
-        if (shouldContinue) {
-          if (queue.tracks.length > 0) {
-            logger.debug("▶️ Continuando con siguiente track");
-            await playNext();
-          } else {
-            logger.info("🏁 Cola terminada");
-            queue.playing = false;
-          }
-        } else {
-          logger.debug(`⏸️ Reproducción detenida: ${data.reason}`);
-          queue.playing = false;
-        }
-      });
-      
-      player.on("exception", async (data) => {
-        logger.error("💥 Excepción en playback", data.exception);
-        
-        queue.textChannel?.send({
-          content: t("track_error", { title: data.track?.info?.title || 'Unknown' })
-        });
-        
-        logger.debug("🔄 Intentando siguiente track tras excepción");
-        await playNext();
-      });
-      
-      // ✅ DETECTAR DESCONEXIONES FORZADAS
-      player.on("closed", (data) => {
-        logger.warn("🔌 Conexión cerrada por Discord", data);
-        
-        queue.playing = false;
-        
-        // ✅ SOLUCIÓN PROFESIONAL: Hard lock el guild
-        hardLockedGuilds.add(guild.id);
-        logger.info(`🔒 Guild ${guild.id} bloqueado - esperando VOICE_STATE_UPDATE`);
-        
-        // ✅ LIMPIEZA SIMPLE Y DIRECTA
-        try {
-          const currentPlayer = shoukaku.players.get(guild.id);
-          
-          if (currentPlayer) {
-            logger.debug("🧹 Destruyendo player...");
-            currentPlayer.removeAllListeners();
-            currentPlayer.destroy();
-          }
-          
-          queues.delete(guild.id);
-          
-          logger.info("✅ Player y cola limpiados");
-        } catch (cleanupErr) {
-          logger.error("Error en limpieza:", cleanupErr);
-        }
-        
-        // ✅ FALLBACK: Si por alguna razón no llega VOICE_STATE_UPDATE, liberar después de 15s
-        setTimeout(() => {
-          if (hardLockedGuilds.has(guild.id)) {
-            logger.warn(`⚠️ Hard lock timeout para guild ${guild.id} - liberando por seguridad`);
-            hardLockedGuilds.delete(guild.id);
-          }
-        }, 15000);
-        
-        // Notificar al usuario usando el traductor de la cola
-        const queueTranslator = queue.translator;
-        if (queueTranslator && queue.textChannel) {
-          queue.textChannel.send({
-            content: queueTranslator("connection_closed")
-          }).catch(() => {});
-        }
-      });
-      
-      queue.listenersConfigured = true;
-      logger.debug("✅ Event listeners configurados");
-    } else {
-      logger.debug("✅ Event listeners ya configurados, reutilizando");
-    }
-    
-    // ========================================
-    // INICIAR REPRODUCCIÓN
-    // ========================================
-    
-    logger.info("🚀 Iniciando reproducción...");
-    await playNext();
-    logger.info("✅ Comando play completado exitosamente");
-    
   } catch (error) {
     logger.error("💥 Error general en comando play", error);
     
@@ -661,16 +306,60 @@ export async function execute(context) {
   }
 }
 
-function formatDuration(ms) {
-  const seconds = Math.floor(ms / 1000);
-  const mins = Math.floor(seconds / 60);
-  const secs = seconds % 60;
+/**
+ * Reproduce un enlace de un servicio externo buscando cada canción en Lavalink
+ * Avisa de las canciones que no se encontraron y de las que no se expandieron
+ */
+async function playMusicServiceLink(context, t, node, query) {
+  let resolved;
+  try {
+    resolved = await resolveMusicLink(node, query);
+  } catch (error) {
+    logger.error("❌ Error resolviendo enlace externo", error);
+    return context.editReply({ content: t("link_error", { error: error.message }) });
+  }
+  
+  const { source, type, name, total, tracks, unmatched, truncated } = resolved;
+  
+  if (tracks.length === 0) {
+    return context.editReply({ content: t("link_no_matches", { name, source }) });
+  }
+  
+  const { accepted, rejected, limits } = await checkQueueLimits(context.guild, context.user.id, tracks);
+  
+  if (accepted.length === 0) {
+    return context.editReply({ content: formatRejectedTracks(t, rejected, limits) });
+  }
+  
+  const playlistInfo = type === "track" ? null : { name, count: accepted.length };
+  const started = await enqueueTracks(context, t, accepted, playlistInfo);
+  if (!started) return;
+  
+  const notices = [];
+  
+  if (rejected.length > 0) {
+    notices.push(formatRejectedTracks(t, rejected, limits));
+  }
+  
+  if (truncated) {
+    notices.push(t("link_truncated", { count: tracks.length + unmatched.length, total }));
+  }
+  
+  if (unmatched.length > 0) {
+    const preview = unmatched
+      .slice(0, UNMATCHED_PREVIEW)
+      .map(item => `• ${item.artist ? `${item.artist} - ` : ""}${item.title}`)
+      .join("\n");
+    const more = unmatched.length > UNMATCHED_PREVIEW
+      ? `\n${t("link_unmatched_more", { count: unmatched.length - UNMATCHED_PREVIEW })}`
+      : "";
+    
+    notices.push(`${t("link_unmatched", { count: unmatched.length, source })}\n${preview}${more}`);
+  }
   
-  if (mins >= 60) {
-    const hours = Math.floor(mins / 60);
-    const remainMins = mins % 60;
-    return `${hours}:${remainMins.toString().padStart(2, "0")}:${secs.toString().padStart(2, "0")}`;
+  if (notices.length > 0) {
+    await context.followUp({ content: notices.join("\n\n") }).catch(() => {});
   }
   
-  return `${mins}:${secs.toString().padStart(2, "0")}`;
+  logger.info(`✅ Enlace de ${source} encolado: ${accepted.length} tracks, ${unmatched.length} sin equivalente`);
 }
\ No newline at end of file
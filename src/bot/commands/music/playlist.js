@@ -0,0 +1,274 @@
+// src/commands/music/playlist.js
+
+import { randomUUID, randomBytes } from "crypto";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+import { db } from "../../database/ResilientDatabaseManager.js";
+import { queues } from "../../handlers/music/utils.js";
+import { hardLockedGuilds } from "../../handlers/music/voiceStateHandler.js";
+import { enqueueTracks } from "../../handlers/music/playback.js";
+import { checkQueueLimits, formatRejectedTracks } from "../../handlers/music/limits.js";
+
+const logger = createLogger("music:playlist");
+
+const MAX_PLAYLISTS = 25;
+const MAX_PLAYLIST_TRACKS = 500;
+const MAX_NAME_LENGTH = 50;
+
+export const data = buildCommand("music", "playlist");
+
+/**
+ * Dueño de la playlist según el scope elegido (usuario por defecto)
+ */
+function resolveOwner(context) {
+  const scope = context.options.getString("scope")?.toLowerCase() === "guild" ? "guild" : "user";
+  return { scope, ownerId: scope === "guild" ? context.guild.id : context.user.id };
+}
+
+/**
+ * Las playlists del servidor solo las modifica quien gestiona el servidor
+ */
+function canModify(context, scope) {
+  return scope === "user" || context.member.permissions.has("ManageGuild");
+}
+
+function serializeTrack(track) {
+  return { encoded: track.encoded, info: track.info };
+}
+
+function timestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function savePlaylist(context, t, scope, ownerId, name) {
+  const queue = queues.get(context.guild.id);
+  if (!queue?.current) {
+    return context.reply({ content: t("nothing_to_save"), ephemeral: true });
+  }
+
+  if (name.length > MAX_NAME_LENGTH) {
+    return context.reply({ content: t("name_too_long", { max: MAX_NAME_LENGTH }), ephemeral: true });
+  }
+
+  const existing = await db.getPlaylist(scope, ownerId, name);
+
+  if (!existing) {
+    const playlists = await db.listPlaylists(scope, ownerId);
+    if (playlists.length >= MAX_PLAYLISTS) {
+      return context.reply({ content: t("too_many_playlists", { max: MAX_PLAYLISTS }), ephemeral: true });
+    }
+  }
+
+  const tracks = [queue.current, ...queue.tracks]
+    .slice(0, MAX_PLAYLIST_TRACKS)
+    .map(serializeTrack);
+  const now = timestamp();
+
+  // Guardar con el mismo nombre sobrescribe los tracks
+  await db.savePlaylist({
+    id: existing?.id ?? randomUUID(),
+    scope,
+    owner_id: ownerId,
+    name: existing?.name ?? name,
+    created_by: existing?.created_by ?? context.user.id,
+    tracks,
+    share_code: existing?.share_code ?? null,
+    created_at: existing?.created_at ?? now,
+    updated_at: now
+  });
+
+  logger.info(`💾 Playlist "${name}" guardada (${scope}:${ownerId}, ${tracks.length} tracks)`);
+
+  return context.reply({
+    content: t(existing ? "playlist_updated" : "playlist_saved", { name, count: tracks.length })
+  });
+}
+
+async function loadPlaylist(context, t, scope, ownerId, name) {
+  const { member, guild, client } = context;
+
+  if (!member?.voice?.channel) {
+    return context.reply({ content: t("no_voice"), ephemeral: true });
+  }
+
+  const shoukaku = client.lavalink?.shoukaku;
+  if (!shoukaku) {
+    return context.reply({ content: t("music_system_unavailable"), ephemeral: true });
+  }
+
+  if (!shoukaku.getIdealNode()) {
+    return context.reply({ content: t("no_music_nodes"), ephemeral: true });
+  }
+
+  // Nombre propio primero; si no existe, puede ser un código compartido
+  const playlist = await db.getPlaylist(scope, ownerId, name) ?? await db.getPlaylistByCode(name);
+
+  if (!playlist) {
+    return context.reply({ content: t("playlist_not_found", { name }), ephemeral: true });
+  }
+
+  if (playlist.tracks.length === 0) {
+    return context.reply({ content: t("playlist_empty", { name: playlist.name }), ephemeral: true });
+  }
+
+  await context.deferReply();
+
+  if (hardLockedGuilds.has(guild.id)) {
+    return context.editReply({ content: t("guild_locked") });
+  }
+
+  // Las respuestas de conexión y cola son las de /play
+  const playT = await createTranslator({ category: "music", name: "play" }, context);
+
+  const { accepted, rejected, limits } = await checkQueueLimits(guild, context.user.id, playlist.tracks);
+
+  if (accepted.length === 0) {
+    return context.editReply({ content: formatRejectedTracks(playT, rejected, limits) });
+  }
+
+  const started = await enqueueTracks(context, playT, accepted, {
+    name: playlist.name,
+    count: accepted.length
+  });
+
+  if (started && rejected.length > 0) {
+    await context.followUp({ content: formatRejectedTracks(playT, rejected, limits) }).catch(() => {});
+  }
+
+  logger.info(`📂 Playlist "${playlist.name}" cargada en ${guild.name} (${accepted.length} tracks)`);
+}
+
+async function listPlaylists(context, t, scope, ownerId) {
+  const playlists = await db.listPlaylists(scope, ownerId);
+
+  if (playlists.length === 0) {
+    return context.reply({ content: t(`no_playlists_${scope}`), ephemeral: true });
+  }
+
+  const description = playlists
+    .map(playlist => {
+      const code = playlist.share_code ? ` · \`${playlist.share_code}\`` : "";
+      return `**${playlist.name}** — ${t("track_count", { count: playlist.track_count })}${code}`;
+    })
+    .join("\n");
+
+  const title = scope === "guild"
+    ? t("list_title_guild", { guild: context.guild.name })
+    : t("list_title_user", { user: context.user.username });
+
+  return context.reply({ embeds: [EmbedFactory.info(title, description)] });
+}
+
+async function deletePlaylist(context, t, playlist) {
+  await db.deletePlaylist(playlist.id);
+
+  logger.info(`🗑️ Playlist "${playlist.name}" eliminada (${playlist.scope}:${playlist.owner_id})`);
+  return context.reply({ content: t("playlist_deleted", { name: playlist.name }) });
+}
+
+async function sharePlaylist(context, t, playlist) {
+  if (!playlist.share_code) {
+    playlist.share_code = randomBytes(4).toString("hex");
+    playlist.updated_at = timestamp();
+    await db.savePlaylist(playlist);
+  }
+
+  return context.reply({
+    content: t("playlist_shared", { name: playlist.name, code: playlist.share_code })
+  });
+}
+
+async function addCurrentTrack(context, t, playlist) {
+  const queue = queues.get(context.guild.id);
+  if (!queue?.current) {
+    return context.reply({ content: t("not_playing"), ephemeral: true });
+  }
+
+  if (playlist.tracks.length >= MAX_PLAYLIST_TRACKS) {
+    return context.reply({ content: t("playlist_full", { max: MAX_PLAYLIST_TRACKS }), ephemeral: true });
+  }
+
+  playlist.tracks.push(serializeTrack(queue.current));
+  playlist.updated_at = timestamp();
+  await db.savePlaylist(playlist);
+
+  return context.reply({
+    content: t("track_added", { title: queue.current.info.title, name: playlist.name })
+  });
+}
+
+async function removeTrack(context, t, playlist) {
+  const position = context.options.getInteger("position", true);
+
+  if (position < 1 || position > playlist.tracks.length) {
+    return context.reply({
+      content: t("invalid_position", { max: playlist.tracks.length }),
+      ephemeral: true
+    });
+  }
+
+  const [removed] = playlist.tracks.splice(position - 1, 1);
+  playlist.updated_at = timestamp();
+  await db.savePlaylist(playlist);
+
+  return context.reply({
+    content: t("track_removed", { title: removed.info.title, name: playlist.name })
+  });
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+
+  const subcommand = context.options.getSubcommand()?.toLowerCase();
+  const { scope, ownerId } = resolveOwner(context);
+  const name = context.options.getString("name")?.trim();
+
+  try {
+    switch (subcommand) {
+      case "list":
+        return await listPlaylists(context, t, scope, ownerId);
+
+      case "load":
+        return await loadPlaylist(context, t, scope, ownerId, name);
+
+      case "save":
+        if (!canModify(context, scope)) {
+          return context.reply({ content: t("no_permission"), ephemeral: true });
+        }
+        return await savePlaylist(context, t, scope, ownerId, name);
+
+      case "delete":
+      case "share":
+      case "add":
+      case "remove": {
+        if (!canModify(context, scope)) {
+          return context.reply({ content: t("no_permission"), ephemeral: true });
+        }
+
+        const playlist = await db.getPlaylist(scope, ownerId, name);
+        if (!playlist) {
+          return context.reply({ content: t("playlist_not_found", { name }), ephemeral: true });
+        }
+
+        if (subcommand === "delete") return await deletePlaylist(context, t, playlist);
+        if (subcommand === "share") return await sharePlaylist(context, t, playlist);
+        if (subcommand === "add") return await addCurrentTrack(context, t, playlist);
+        return await removeTrack(context, t, playlist);
+      }
+
+      default:
+        return context.reply({ content: t("invalid_subcommand"), ephemeral: true });
+    }
+  } catch (error) {
+    logger.error(`Error en playlist ${subcommand}`, error);
+
+    const content = t("error");
+    if (context.deferred || context.replied) {
+      await context.editReply({ content }).catch(() => {});
+    } else {
+      await context.reply({ content, ephemeral: true }).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// src/commands/music/previous.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+import { playNext } from "../../handlers/music/playback.js";
+
+const logger = createLogger("music:previous");
+
+export const data = buildCommand("music", "previous");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context, { requireCurrent: false });
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const previous = queue.history.pop();
+  
+  if (!previous) {
+    return context.reply({ content: t("no_history"), ephemeral: true });
+  }
+  
+  try {
+    // Cola terminada: el player sigue conectado, basta con reproducir
+    if (!queue.current) {
+      queue.tracks.unshift(previous);
+      await playNext(context.guild, queue);
+    } else {
+      // El track actual vuelve a la cola justo después del anterior
+      queue.tracks.unshift(previous, queue.current);
+      queue.navigating = true;
+      
+      if (player.paused) {
+        await player.setPaused(false);
+      }
+      await player.stopTrack();
+    }
+    
+    logger.debug(`⏮️ Volviendo a: ${previous.info.title}`);
+    
+    await context.reply({ content: t("playing_previous", { title: previous.info.title }) });
+    
+  } catch (error) {
+    logger.error("Error en comando previous", error);
+    queue.navigating = false;
+    await context.reply({ content: t("error"), ephemeral: true });
+  }
+}
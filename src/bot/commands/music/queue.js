@@ -0,0 +1,97 @@
+// src/commands/music/queue.js
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType
+} from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+
+const logger = createLogger("music:queue");
+
+const PER_PAGE = 10;
+const COLLECTOR_TIME = 120_000;
+
+export const data = buildCommand("music", "queue");
+
+function createPageButtons(page, totalPages, disabled = false) {
+  return new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId("queue_prev")
+        .setEmoji("◀️")
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(disabled || page <= 1),
+      new ButtonBuilder()
+        .setCustomId("queue_next")
+        .setEmoji("▶️")
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(disabled || page >= totalPages)
+    );
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const labels = {
+    title: t("title"),
+    nowPlaying: t("now_playing"),
+    upNext: t("up_next"),
+    empty: t("empty"),
+    page: t("page_footer")
+  };
+  
+  const totalPages = () => Math.max(1, Math.ceil(queue.tracks.length / PER_PAGE));
+  let page = Math.min(context.options.getInteger("page") ?? 1, totalPages());
+  
+  const render = (disabled = false) => ({
+    embeds: [EmbedFactory.queue(queue.tracks, queue.current, page, PER_PAGE, labels)],
+    components: totalPages() > 1 ? [createPageButtons(page, totalPages(), disabled)] : []
+  });
+  
+  const message = await context.reply(render());
+  
+  if (totalPages() <= 1 || !message?.createMessageComponentCollector) return;
+  
+  const collector = message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    time: COLLECTOR_TIME
+  });
+  
+  collector.on("collect", async (i) => {
+    if (i.user.id !== context.user.id) {
+      return i.reply({ content: t("not_your_interaction"), ephemeral: true });
+    }
+    
+    // La cola puede haber cambiado mientras se navegaba
+    if (!queue.current) {
+      collector.stop("queue_ended");
+      return i.update({ components: [] });
+    }
+    
+    if (i.customId === "queue_prev") page = Math.max(1, page - 1);
+    if (i.customId === "queue_next") page = Math.min(totalPages(), page + 1);
+    
+    await i.update(render());
+  });
+  
+  collector.on("end", async (_, endReason) => {
+    if (endReason === "queue_ended") return;
+    
+    try {
+      await message.edit({ components: [] });
+    } catch (error) {
+      logger.debug(`No se pudieron quitar los botones: ${error.message}`);
+    }
+  });
+}
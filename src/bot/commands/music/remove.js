@@ -0,0 +1,43 @@
+// src/commands/music/remove.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:remove");
+
+export const data = buildCommand("music", "remove");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  if (queue.tracks.length === 0) {
+    return context.reply({ content: t("queue_empty"), ephemeral: true });
+  }
+  
+  const position = context.options.getInteger("position");
+  
+  if (!position || position < 1 || position > queue.tracks.length) {
+    return context.reply({
+      content: t("invalid_position", { count: queue.tracks.length }),
+      ephemeral: true
+    });
+  }
+  
+  const [removed] = queue.tracks.splice(position - 1, 1);
+  logger.debug(`🗑️ Quitado #${position}: ${removed.info.title}`);
+  
+  await context.reply({ content: t("removed", { title: removed.info.title }) });
+}
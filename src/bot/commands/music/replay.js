@@ -0,0 +1,48 @@
+// src/commands/music/replay.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+import { refreshControlPanel } from "../../handlers/music/controlPanel.js";
+
+const logger = createLogger("music:replay");
+
+export const data = buildCommand("music", "replay");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const track = queue.current;
+  
+  if (track.info.isStream || track.info.isSeekable === false) {
+    return context.reply({ content: t("not_seekable"), ephemeral: true });
+  }
+  
+  try {
+    await player.seekTo(0);
+    if (player.paused) {
+      await player.setPaused(false);
+    }
+    
+    logger.debug(`🔄 Replay: ${track.info.title}`);
+    refreshControlPanel(context.guild, queue, true);
+    
+    await context.reply({ content: t("replaying", { title: track.info.title }) });
+    
+  } catch (error) {
+    logger.error("Error en comando replay", error);
+    await context.reply({ content: t("error"), ephemeral: true });
+  }
+}
@@ -0,0 +1,40 @@
+// src/commands/music/resume.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:resume");
+
+export const data = buildCommand("music", "resume");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  if (!player.paused) {
+    return context.reply({ content: t("not_paused"), ephemeral: true });
+  }
+  
+  try {
+    await player.setPaused(false);
+    logger.debug(`▶️ Reanudado en ${context.guild.id}`);
+    
+    await context.reply({ content: t("resumed", { title: queue.current.info.title }) });
+    
+  } catch (error) {
+    logger.error("Error en comando resume", error);
+    await context.reply({ content: t("error"), ephemeral: true });
+  }
+}
@@ -0,0 +1,72 @@
+// src/commands/music/search.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { hardLockedGuilds } from "../../handlers/music/voiceStateHandler.js";
+import { enqueueTracks } from "../../handlers/music/playback.js";
+import { promptSearchSelection } from "../../handlers/music/searchPicker.js";
+import { checkQueueLimits, formatRejectedTracks } from "../../handlers/music/limits.js";
+
+const logger = createLogger("music:search");
+
+export const data = buildCommand("music", "search");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  const { member, guild, client } = context;
+
+  const query = context.options.getString("query", true);
+
+  if (!member?.voice?.channel) {
+    return context.reply({ content: t("no_voice"), ephemeral: true });
+  }
+
+  // Los enlaces no tienen resultados entre los que elegir
+  if (/^https?:\/\//.test(query)) {
+    return context.reply({ content: t("no_links"), ephemeral: true });
+  }
+
+  const node = client.lavalink?.shoukaku?.getIdealNode();
+  if (!node) {
+    return context.reply({ content: t("no_music_nodes"), ephemeral: true });
+  }
+
+  await context.deferReply();
+
+  if (hardLockedGuilds.has(guild.id)) {
+    return context.editReply({ content: t("guild_locked") });
+  }
+
+  try {
+    const result = await node.rest.resolve(`ytsearch:${query}`);
+
+    if (result?.loadType !== "search" || !result.data?.length) {
+      return context.editReply({ content: t("no_results", { query }) });
+    }
+
+    // El selector y las respuestas de la cola son los de /play
+    const playT = await createTranslator({ category: "music", name: "play" }, context);
+
+    const tracks = await promptSearchSelection(context, playT, result.data);
+    if (!tracks) return;
+
+    const { accepted, rejected, limits } = await checkQueueLimits(guild, context.user.id, tracks);
+
+    if (accepted.length === 0) {
+      return context.editReply({ content: formatRejectedTracks(playT, rejected, limits) });
+    }
+
+    const playlistInfo = accepted.length > 1 ? { name: null, count: accepted.length } : null;
+    const started = await enqueueTracks(context, playT, accepted, playlistInfo);
+
+    if (started && rejected.length > 0) {
+      await context.followUp({ content: formatRejectedTracks(playT, rejected, limits) }).catch(() => {});
+    }
+
+    logger.info(`🔎 ${accepted.length} resultado(s) de "${query}" elegidos por ${context.user.tag}`);
+  } catch (error) {
+    logger.error(`❌ Error en búsqueda "${query}"`, error);
+    return context.editReply({ content: t("search_error"), components: [] }).catch(() => {});
+  }
+}
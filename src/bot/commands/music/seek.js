@@ -0,0 +1,70 @@
+// src/commands/music/seek.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import {
+  checkMusicControl,
+  parseTimeInput,
+  formatDuration
+} from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+import { refreshControlPanel } from "../../handlers/music/controlPanel.js";
+
+const logger = createLogger("music:seek");
+
+export const data = buildCommand("music", "seek");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const track = queue.current;
+  
+  if (track.info.isStream || track.info.isSeekable === false) {
+    return context.reply({ content: t("not_seekable"), ephemeral: true });
+  }
+  
+  const parsed = parseTimeInput(context.options.getString("position"));
+  if (!parsed) {
+    return context.reply({ content: t("invalid_position"), ephemeral: true });
+  }
+  
+  const target = parsed.relative ? player.position + parsed.ms : parsed.ms;
+  
+  if (target >= track.info.length) {
+    return context.reply({
+      content: t("beyond_end", { duration: formatDuration(track.info.length) }),
+      ephemeral: true
+    });
+  }
+  
+  const position = Math.max(0, target);
+  
+  try {
+    await player.seekTo(position);
+    logger.debug(`⏩ Seek a ${position}ms en ${context.guild.id}`);
+    
+    refreshControlPanel(context.guild, queue, true);
+    
+    await context.reply({
+      content: t("seeked", {
+        position: formatDuration(position),
+        duration: formatDuration(track.info.length)
+      })
+    });
+    
+  } catch (error) {
+    logger.error("Error en comando seek", error);
+    await context.reply({ content: t("error"), ephemeral: true });
+  }
+}
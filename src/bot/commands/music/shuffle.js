@@ -0,0 +1,41 @@
+// src/commands/music/shuffle.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:shuffle");
+
+export const data = buildCommand("music", "shuffle");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const tracks = queue.tracks;
+  
+  if (tracks.length < 2) {
+    return context.reply({ content: t("not_enough"), ephemeral: true });
+  }
+  
+  // Fisher-Yates in-place: otras referencias a queue.tracks siguen siendo válidas
+  for (let i = tracks.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
+  }
+  
+  logger.debug(`🔀 Cola mezclada (${tracks.length} tracks)`);
+  
+  await context.reply({ content: t("shuffled", { count: tracks.length }) });
+}
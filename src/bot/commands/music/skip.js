@@ -0,0 +1,59 @@
+// src/commands/music/skip.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ, getMusicSettings, registerSkipVote } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:skip");
+
+export const data = buildCommand("music", "skip");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context);
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const skipped = queue.current;
+  const tracksLeft = queue.tracks.length;
+  
+  try {
+    // Sin ser DJ ni quien lo pidió: votación
+    const dj = await checkDJ(context, queue);
+    
+    if (!dj.allowed) {
+      const settings = await getMusicSettings(context.guild.id);
+      const { votes, required, passed, alreadyVoted } = registerSkipVote(queue, context.member, settings);
+      
+      logger.debug(`🗳️ Voto para saltar en ${context.guild.id}: ${votes}/${required}`);
+      
+      if (!passed) {
+        return context.reply({
+          content: t(alreadyVoted ? "already_voted" : "vote_registered", { votes, required }),
+          ephemeral: alreadyVoted
+        });
+      }
+    }
+    
+    if (player.paused) {
+      await player.setPaused(false);
+    }
+    
+    // Dispara "end" con reason "stopped" → play.js continúa con el siguiente
+    await player.stopTrack();
+    logger.info(`⏭️ Saltado: ${skipped.info.title} (${tracksLeft} en cola)`);
+    
+    let key = tracksLeft > 0 ? "skipped" : "skipped_last";
+    if (!dj.allowed) key = "vote_passed";
+    
+    await context.reply({ content: t(key, { title: skipped.info.title }) });
+    
+  } catch (error) {
+    logger.error("Error en comando skip", error);
+    await context.reply({ content: t("error"), ephemeral: true });
+  }
+}
@@ -0,0 +1,44 @@
+// src/commands/music/stop.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { queues, checkMusicControl } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+import { closeControlPanel } from "../../handlers/music/controlPanel.js";
+
+const logger = createLogger("music:stop");
+
+export const data = buildCommand("music", "stop");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context, { requireCurrent: false });
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  const { guild, client } = context;
+  
+  try {
+    // Sin listeners: evitar que "end"/"closed" reprogramen nada durante la salida
+    player.removeAllListeners();
+    queues.delete(guild.id);
+    await closeControlPanel(queue);
+    
+    await client.lavalink.shoukaku.leaveVoiceChannel(guild.id);
+    logger.info(`⏹️ Reproducción detenida en ${guild.name}`);
+    
+    await context.reply({ content: t("stopped") });
+    
+  } catch (error) {
+    logger.error("Error en comando stop", error);
+    await context.reply({ content: t("error"), ephemeral: true });
+  }
+}
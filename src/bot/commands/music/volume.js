@@ -0,0 +1,47 @@
+// src/commands/music/volume.js
+
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { checkMusicControl, MAX_VOLUME } from "../../handlers/music/utils.js";
+import { checkDJ } from "../../handlers/music/settings.js";
+
+const logger = createLogger("music:volume");
+
+export const data = buildCommand("music", "volume");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  
+  const { allowed, reason, player, queue } = checkMusicControl(context, { requireCurrent: false });
+  if (!allowed) {
+    return context.reply({ content: t(reason), ephemeral: true });
+  }
+  
+  const level = context.options.getInteger("level");
+  
+  // Sin argumento: mostrar el volumen actual
+  if (level === null) {
+    return context.reply({ content: t("current_volume", { volume: player.volume }) });
+  }
+  
+  const dj = await checkDJ(context, queue);
+  if (!dj.allowed) {
+    return context.reply({ content: t(dj.reason), ephemeral: true });
+  }
+  
+  if (level < 0 || level > MAX_VOLUME) {
+    return context.reply({ content: t("invalid_volume"), ephemeral: true });
+  }
+  
+  try {
+    await player.setGlobalVolume(level);
+    logger.debug(`🔊 Volumen → ${level} en ${context.guild.id}`);
+    
+    await context.reply({ content: t("volume_set", { volume: level }) });
+    
+  } catch (error) {
+    logger.error("Error en comando volume", error);
+    await context.reply({ content: t("volume_error"), ephemeral: true });
+  }
+}
@@ -0,0 +1,270 @@
+// src/commands/settings/commands.js
+
+import { EmbedBuilder } from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import {
+  PROTECTED_COMMANDS,
+  getCommandSettings,
+  getCommandOverride,
+  updateCommandOverride
+} from "../../handlers/commandSettings.js";
+import { cooldownManager, DEFAULT_COOLDOWN } from "../../utils/CooldownManager.js";
+
+const logger = createLogger("settings:commands");
+
+// Máximo de sugerencias que admite Discord
+const AUTOCOMPLETE_LIMIT = 25;
+
+export const data = buildCommand("settings", "commands");
+
+/**
+ * Busca un comando por nombre, nombre localizado o alias
+ */
+function resolveCommand(client, input) {
+  const name = input.toLowerCase().replace(/^\//, "");
+
+  return client.commands.get(name) ?? client.commands.find(cmd =>
+    Object.values(cmd.data.name_localizations ?? {}).includes(name) ||
+    cmd.data.aliases?.includes(name)
+  );
+}
+
+// Añade el ID o lo quita si ya estaba
+function toggle(list, id) {
+  return list.includes(id) ? list.filter(item => item !== id) : [...list, id];
+}
+
+function formatMentions(t, ids, format, empty) {
+  return ids.length > 0 ? ids.map(format).join(", ") : t(empty);
+}
+
+function summarize(t, override) {
+  const parts = [];
+  if (override.disabled) parts.push(t("summary_disabled"));
+  if (override.channels.length) parts.push(t("summary_channels", { count: override.channels.length }));
+  if (override.allowedRoles.length) parts.push(t("summary_allowed_roles", { count: override.allowedRoles.length }));
+  if (override.deniedRoles.length) parts.push(t("summary_denied_roles", { count: override.deniedRoles.length }));
+  if (override.cooldown !== null) parts.push(t("summary_cooldown", { seconds: override.cooldown }));
+
+  const roleCooldowns = Object.keys(override.roleCooldowns).length;
+  if (roleCooldowns) parts.push(t("summary_role_cooldowns", { count: roleCooldowns }));
+
+  return parts.join(" · ");
+}
+
+function formatCooldown(t, command, override) {
+  const lines = [
+    override.cooldown !== null
+      ? t("cooldown_value", { seconds: override.cooldown })
+      : t("cooldown_default", { seconds: command.data.cooldown ?? DEFAULT_COOLDOWN })
+  ];
+
+  for (const [roleId, seconds] of Object.entries(override.roleCooldowns)) {
+    lines.push(t("cooldown_role_value", { role: `<@&${roleId}>`, seconds }));
+  }
+
+  return lines.join("\n");
+}
+
+function formatCooldownStats(t, guildId) {
+  const stats = cooldownManager.getStats(guildId);
+  const lines = [t("stats_value", { checks: stats.checks, blocked: stats.blocked })];
+
+  if (stats.topBlocked.length > 0) {
+    const commands = stats.topBlocked.map(({ command, count }) => `\`/${command}\` ×${count}`).join(", ");
+    lines.push(t("stats_top", { commands }));
+  }
+
+  return lines.join("\n");
+}
+
+function showOverview(context, t, settings) {
+  const lines = Object.keys(settings)
+    .sort()
+    .map(name => `\`/${name}\` — ${summarize(t, getCommandOverride(settings, name))}`);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(t("overview_title"))
+    .setDescription(lines.length > 0 ? lines.join("\n") : t("overview_empty"))
+    .addFields({ name: t("stats_field"), value: formatCooldownStats(t, context.guild.id) })
+    .setFooter({ text: t("overview_footer") })
+    .setTimestamp();
+
+  return context.reply({ embeds: [embed] });
+}
+
+function showCommand(context, t, command, override) {
+  const name = command.data.name;
+
+  const embed = new EmbedBuilder()
+    .setColor(override.disabled ? 0xff0000 : 0x5865F2)
+    .setTitle(t("detail_title", { name }))
+    .addFields(
+      {
+        name: t("status_field"),
+        value: t(override.disabled ? "state_disabled" : "state_enabled"),
+        inline: true
+      },
+      {
+        name: t("channels_field"),
+        value: formatMentions(t, override.channels, id => `<#${id}>`, "value_any")
+      },
+      {
+        name: t("allowed_roles_field"),
+        value: formatMentions(t, override.allowedRoles, id => `<@&${id}>`, "value_any"),
+        inline: true
+      },
+      {
+        name: t("denied_roles_field"),
+        value: formatMentions(t, override.deniedRoles, id => `<@&${id}>`, "value_none"),
+        inline: true
+      },
+      {
+        name: t("cooldown_field"),
+        value: formatCooldown(t, command, override)
+      }
+    )
+    .setFooter({ text: t("overview_footer") })
+    .setTimestamp();
+
+  return context.reply({ embeds: [embed] });
+}
+
+export async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+
+  if (focused.name !== "command") {
+    return interaction.respond([]);
+  }
+
+  const query = focused.value.toLowerCase().replace(/^\//, "");
+  const choices = [...interaction.client.commands.keys()]
+    .filter(name => !PROTECTED_COMMANDS.includes(name) && name.includes(query))
+    .sort()
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map(name => ({ name: `/${name}`, value: name }));
+
+  return interaction.respond(choices);
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+
+  if (!context.guild || !context.member) {
+    return context.reply({ content: t("guild_only_command"), ephemeral: true });
+  }
+
+  const subcommand = context.options.getSubcommand()?.toLowerCase() || "show";
+
+  if (subcommand !== "show" && !context.member.permissions.has("ManageGuild")) {
+    return context.reply({ content: t("manage_guild_required"), ephemeral: true });
+  }
+
+  const input = context.options.getString("command", subcommand !== "show");
+
+  if (!input) {
+    return showOverview(context, t, await getCommandSettings(context.guild.id));
+  }
+
+  const command = resolveCommand(context.client, input);
+  if (!command) {
+    return context.reply({ content: t("unknown_command", { name: input }), ephemeral: true });
+  }
+
+  const name = command.data.name;
+  const guildId = context.guild.id;
+
+  if (subcommand !== "show" && PROTECTED_COMMANDS.includes(name)) {
+    return context.reply({ content: t("protected_command", { name }), ephemeral: true });
+  }
+
+  try {
+    const override = getCommandOverride(await getCommandSettings(guildId), name);
+
+    switch (subcommand) {
+      case "show":
+        return showCommand(context, t, command, override);
+
+      case "enable":
+        await updateCommandOverride(guildId, name, { disabled: false });
+        return context.reply({ content: t("enabled_set", { name }) });
+
+      case "disable":
+        await updateCommandOverride(guildId, name, { disabled: true });
+        return context.reply({ content: t("disabled_set", { name }) });
+
+      case "channel": {
+        const channel = context.options.getChannel("channel", true);
+        const removed = override.channels.includes(channel.id);
+
+        await updateCommandOverride(guildId, name, { channels: toggle(override.channels, channel.id) });
+        return context.reply({
+          content: t(removed ? "channel_removed" : "channel_added", { name, channel: channel.toString() })
+        });
+      }
+
+      case "role": {
+        const role = context.options.getRole("role", true);
+        const mode = context.options.getString("mode", true);
+
+        // Un rol no puede estar permitido y denegado a la vez
+        const [key, other] = mode === "deny"
+          ? ["deniedRoles", "allowedRoles"]
+          : ["allowedRoles", "deniedRoles"];
+        const removed = override[key].includes(role.id);
+
+        await updateCommandOverride(guildId, name, {
+          [key]: toggle(override[key], role.id),
+          [other]: override[other].filter(id => id !== role.id)
+        });
+
+        const response = mode === "deny"
+          ? (removed ? "role_denied_removed" : "role_denied")
+          : (removed ? "role_allowed_removed" : "role_allowed");
+
+        return context.reply({ content: t(response, { name, role: role.toString() }) });
+      }
+
+      case "cooldown": {
+        // Sin segundos se quita el override (del rol o del servidor)
+        const seconds = context.options.getInteger("seconds");
+        const role = context.options.getRole("role");
+
+        if (role) {
+          const roleCooldowns = { ...override.roleCooldowns };
+          if (seconds === null) delete roleCooldowns[role.id];
+          else roleCooldowns[role.id] = seconds;
+
+          await updateCommandOverride(guildId, name, { roleCooldowns });
+          return context.reply({
+            content: t(seconds === null ? "cooldown_role_cleared" : "cooldown_role_set", {
+              name,
+              role: role.toString(),
+              seconds
+            })
+          });
+        }
+
+        await updateCommandOverride(guildId, name, { cooldown: seconds });
+        return context.reply({
+          content: seconds === null
+            ? t("cooldown_cleared", { name, seconds: command.data.cooldown ?? DEFAULT_COOLDOWN })
+            : t("cooldown_set", { name, seconds })
+        });
+      }
+
+      case "reset":
+        await updateCommandOverride(guildId, name, null);
+        return context.reply({ content: t("reset_done", { name }) });
+
+      default:
+        return context.reply({ content: t("invalid_subcommand"), ephemeral: true });
+    }
+  } catch (error) {
+    logger.error(`Error en commands ${subcommand} (${name})`, error);
+    return context.reply({ content: t("update_error"), ephemeral: true });
+  }
+}
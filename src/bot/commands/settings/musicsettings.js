@@ -0,0 +1,243 @@
+// src/commands/settings/musicsettings.js
+
+import { EmbedBuilder } from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { getCustomLevelsConfig } from "../config/CustomLevelsConfig.js";
+import { getMusicSettings, updateMusicSettings } from "../../handlers/music/settings.js";
+import { setupRequestChannel, teardownRequestChannel } from "../../handlers/music/requestChannel.js";
+import { LIMIT_CAPS, MUSIC_SOURCES, getQueueLimits } from "../../handlers/music/limits.js";
+
+const logger = createLogger("settings:music");
+
+const TIMEOUT_RANGE = [1, 60];
+
+// Fijar el panel y borrar las peticiones requiere gestionar mensajes
+const REQUEST_CHANNEL_PERMISSIONS = ["ViewChannel", "SendMessages", "EmbedLinks", "ManageMessages"];
+
+export const data = buildCommand("settings", "musicsettings");
+
+// Opción del comando → clave de los ajustes
+const LIMIT_OPTIONS = {
+  queue: "maxQueueLength",
+  duration: "maxTrackMinutes",
+  per_user: "maxTracksPerUser"
+};
+
+function formatLimits(t, limits) {
+  return t("limits_value", {
+    queue: limits.maxQueueLength,
+    duration: limits.maxTrackMinutes,
+    per_user: limits.maxTracksPerUser,
+    duplicates: t(limits.blockDuplicates ? "state_disabled" : "state_enabled")
+  });
+}
+
+function showSettings(context, t, settings) {
+  const limits = getQueueLimits(context.guild.id, settings);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(t("settings_title"))
+    .addFields(
+      {
+        name: t("dj_role_field"),
+        value: settings.djRoleId ? `<@&${settings.djRoleId}>` : t("dj_role_none"),
+        inline: true
+      },
+      {
+        name: t("vote_skip_field"),
+        value: `${settings.voteSkipPercent}%`,
+        inline: true
+      },
+      {
+        name: t("idle_field"),
+        value: t("minutes_value", { minutes: settings.idleTimeoutMinutes }),
+        inline: true
+      },
+      {
+        name: t("empty_field"),
+        value: t("minutes_value", { minutes: settings.emptyTimeoutMinutes }),
+        inline: true
+      },
+      {
+        name: t("autopause_field"),
+        value: t(settings.autoPause ? "state_enabled" : "state_disabled"),
+        inline: true
+      },
+      {
+        name: t("stay_field"),
+        value: t(settings.stayConnected ? "state_enabled" : "state_disabled"),
+        inline: true
+      },
+      {
+        name: t("requests_field"),
+        value: settings.requestChannelId ? `<#${settings.requestChannelId}>` : t("state_disabled"),
+        inline: true
+      },
+      {
+        name: limits.premium ? `${t("limits_field")} 💎` : t("limits_field"),
+        value: formatLimits(t, limits)
+      },
+      {
+        name: t("sources_field"),
+        value: settings.allowedSources.join(", ")
+      }
+    )
+    .setTimestamp();
+
+  return context.reply({ embeds: [embed] });
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+
+  if (!context.guild || !context.member) {
+    return context.reply({ content: t("guild_only_command"), ephemeral: true });
+  }
+
+  const subcommand = context.options.getSubcommand()?.toLowerCase() || "show";
+
+  if (subcommand !== "show" && !context.member.permissions.has("ManageGuild")) {
+    return context.reply({ content: t("no_permission"), ephemeral: true });
+  }
+
+  try {
+    switch (subcommand) {
+      case "show":
+        return showSettings(context, t, await getMusicSettings(context.guild.id));
+
+      case "djrole": {
+        // Sin rol: se quita y todos vuelven a poder controlar la música
+        const role = context.options.getRole("role");
+        await updateMusicSettings(context.guild.id, { djRoleId: role?.id ?? null });
+
+        return context.reply({
+          content: role ? t("dj_role_set", { role: role.toString() }) : t("dj_role_cleared")
+        });
+      }
+
+      case "voteskip": {
+        const percent = context.options.getInteger("percent", true);
+
+        if (percent === null || percent < 1 || percent > 100) {
+          return context.reply({ content: t("invalid_percent"), ephemeral: true });
+        }
+
+        await updateMusicSettings(context.guild.id, { voteSkipPercent: percent });
+        return context.reply({ content: t("vote_skip_set", { percent }) });
+      }
+
+      case "idle":
+      case "empty": {
+        const minutes = context.options.getInteger("minutes", true);
+
+        if (minutes === null || minutes < TIMEOUT_RANGE[0] || minutes > TIMEOUT_RANGE[1]) {
+          return context.reply({ content: t("invalid_minutes"), ephemeral: true });
+        }
+
+        const key = subcommand === "idle" ? "idleTimeoutMinutes" : "emptyTimeoutMinutes";
+        await updateMusicSettings(context.guild.id, { [key]: minutes });
+        return context.reply({ content: t(`${subcommand}_set`, { minutes }) });
+      }
+
+      case "autopause": {
+        const enabled = context.options.getBoolean("enabled", true) ?? true;
+        await updateMusicSettings(context.guild.id, { autoPause: enabled });
+        return context.reply({ content: t(enabled ? "autopause_enabled" : "autopause_disabled") });
+      }
+
+      case "247": {
+        const enabled = context.options.getBoolean("enabled", true) ?? true;
+
+        if (enabled && !getCustomLevelsConfig().isPremium(context.guild.id)) {
+          return context.reply({ content: t("stay_premium_only"), ephemeral: true });
+        }
+
+        await updateMusicSettings(context.guild.id, { stayConnected: enabled });
+        return context.reply({ content: t(enabled ? "stay_enabled" : "stay_disabled") });
+      }
+
+      case "requests": {
+        // Sin canal: se desactiva el modo de peticiones
+        const channel = context.options.getChannel("channel");
+
+        if (!channel) {
+          const removed = await teardownRequestChannel(context.guild);
+          return context.reply({ content: t(removed ? "requests_disabled" : "requests_not_set") });
+        }
+
+        if (!channel.isTextBased?.() || channel.isThread?.()) {
+          return context.reply({ content: t("requests_invalid_channel"), ephemeral: true });
+        }
+
+        if (!channel.permissionsFor(context.guild.members.me)?.has(REQUEST_CHANNEL_PERMISSIONS)) {
+          return context.reply({
+            content: t("requests_missing_permissions", { channel: channel.toString() }),
+            ephemeral: true
+          });
+        }
+
+        // El panel usa los textos de /play (now playing, cola)
+        const playT = await createTranslator({ category: "music", name: "play" }, context);
+        await setupRequestChannel(context.guild, channel, playT);
+
+        return context.reply({ content: t("requests_set", { channel: channel.toString() }) });
+      }
+
+      case "limits": {
+        // 0 vuelve al tope del plan; sin opciones solo se muestran los límites
+        const changes = {};
+        for (const [option, key] of Object.entries(LIMIT_OPTIONS)) {
+          const value = context.options.getInteger(option);
+          if (value === null) continue;
+
+          if (value < 0) {
+            return context.reply({ content: t("invalid_limit"), ephemeral: true });
+          }
+          changes[key] = value === 0 ? null : value;
+        }
+
+        const duplicates = context.options.getBoolean("duplicates");
+        if (duplicates !== null) {
+          changes.blockDuplicates = !duplicates;
+        }
+
+        const settings = Object.keys(changes).length > 0
+          ? await updateMusicSettings(context.guild.id, changes)
+          : await getMusicSettings(context.guild.id);
+        const limits = getQueueLimits(context.guild.id, settings);
+
+        // Lo configurado por encima del tope del plan no se aplica
+        const caps = limits.premium ? LIMIT_CAPS.premium : LIMIT_CAPS.free;
+        const capped = Object.values(LIMIT_OPTIONS).some(key => changes[key] > caps[key]);
+
+        const content = [t("limits_set", { limits: formatLimits(t, limits) })];
+        if (capped) content.push(t(limits.premium ? "limits_capped" : "limits_capped_free"));
+
+        return context.reply({ content: content.join("\n") });
+      }
+
+      case "sources": {
+        const settings = await getMusicSettings(context.guild.id);
+        const allowed = MUSIC_SOURCES.filter(source =>
+          context.options.getBoolean(source) ?? settings.allowedSources.includes(source)
+        );
+
+        if (allowed.length === 0) {
+          return context.reply({ content: t("sources_none"), ephemeral: true });
+        }
+
+        await updateMusicSettings(context.guild.id, { allowedSources: allowed });
+        return context.reply({ content: t("sources_set", { sources: allowed.join(", ") }) });
+      }
+
+      default:
+        return context.reply({ content: t("invalid_subcommand"), ephemeral: true });
+    }
+  } catch (error) {
+    logger.error(`Error en musicsettings ${subcommand}`, error);
+    return context.reply({ content: t("error_saving"), ephemeral: true });
+  }
+}
@@ -0,0 +1,224 @@
+// src/commands/settings/plugins.js
+
+import { EmbedBuilder } from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { pluginManager } from "../../plugins/PluginManager.js";
+import { parseConfigValue } from "../../plugins/manifest.js";
+import PermissionManager from "../../utils/PermissionManager.js";
+
+const logger = createLogger("settings:plugins");
+
+// Máximo de sugerencias que admite Discord
+const AUTOCOMPLETE_LIMIT = 25;
+
+// Afectan a todos los servidores: solo dueños del bot
+const OWNER_SUBCOMMANDS = ["load", "unload", "reload"];
+
+export const data = buildCommand("settings", "plugins");
+
+function formatValue(t, schema, value) {
+  if (value === null || value === undefined) return t("config_unset");
+  if (schema.type === "channel") return `<#${value}>`;
+  if (schema.type === "role") return `<@&${value}>`;
+  return `\`${value}\``;
+}
+
+async function showList(context, t) {
+  const disabled = await pluginManager.getDisabledPlugins(context.guild.id);
+
+  const lines = pluginManager.list().map(plugin => {
+    if (!plugin.loaded) {
+      return t("plugin_failed_line", { name: plugin.name, error: plugin.error });
+    }
+
+    const line = t("plugin_line", {
+      state: disabled.has(plugin.name) ? "🚫" : "✅",
+      name: plugin.name,
+      version: plugin.version,
+      description: plugin.description || "—"
+    });
+
+    return plugin.commands.length > 0
+      ? `${line}\n${t("plugin_commands", { commands: plugin.commands.map(name => `\`/${name}\``).join(", ") })}`
+      : line;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(t("list_title"))
+    .setDescription(lines.length > 0 ? lines.join("\n") : t("list_empty"))
+    .setFooter({ text: t("list_footer") })
+    .setTimestamp();
+
+  return context.reply({ embeds: [embed] });
+}
+
+async function showConfig(context, t, plugin) {
+  const { name, config: schema } = plugin.manifest;
+  const config = await pluginManager.getConfig(context.guild.id, name);
+
+  if (Object.keys(schema).length === 0) {
+    return context.reply({ content: t("config_empty", { name }), ephemeral: true });
+  }
+
+  const lines = Object.entries(schema).map(([key, keySchema]) => {
+    const isDefault = config[key] === (keySchema.default ?? null);
+    const value = formatValue(t, keySchema, config[key]) + (isDefault ? ` ${t("config_default")}` : "");
+    return keySchema.description ? `**${key}**: ${value}\n-# ${keySchema.description}` : `**${key}**: ${value}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(t("config_title", { name }))
+    .setDescription(lines.join("\n"))
+    .setTimestamp();
+
+  return context.reply({ embeds: [embed] });
+}
+
+async function updateConfig(context, t, plugin, key, raw) {
+  const { name, config: schema } = plugin.manifest;
+  const keySchema = schema[key];
+
+  if (!keySchema) {
+    return context.reply({
+      content: t("unknown_key", { name, key, keys: Object.keys(schema).join(", ") || "—" }),
+      ephemeral: true
+    });
+  }
+
+  // Sin valor: volver al valor por defecto
+  if (raw === null) {
+    await pluginManager.setConfig(context.guild.id, name, key, null);
+    return context.reply({ content: t("config_reset", { name, key }) });
+  }
+
+  const parsed = parseConfigValue(key, keySchema, raw);
+  if (parsed.error) {
+    const { key: errorKey, params } = parsed.error;
+    return context.reply({
+      content: `❌ ${t(errorKey, { ...params, type: params.typeKey ? t(params.typeKey) : "" })}`,
+      ephemeral: true
+    });
+  }
+
+  await pluginManager.setConfig(context.guild.id, name, key, parsed.value);
+  return context.reply({ content: t("config_set", { name, key, value: formatValue(t, keySchema, parsed.value) }) });
+}
+
+export async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const query = focused.value.toLowerCase();
+  let names = [];
+
+  if (focused.name === "plugin") {
+    names = interaction.options.getSubcommand() === "load"
+      ? pluginManager.available().filter(name => !pluginManager.plugins.has(name))
+      : [...pluginManager.plugins.keys()];
+  } else if (focused.name === "key") {
+    const plugin = pluginManager.plugins.get(interaction.options.getString("plugin"));
+    names = Object.keys(plugin?.manifest.config ?? {});
+  }
+
+  const choices = names
+    .filter(name => name.toLowerCase().includes(query))
+    .sort()
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map(name => ({ name, value: name }));
+
+  return interaction.respond(choices);
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+
+  if (!context.guild || !context.member) {
+    return context.reply({ content: t("guild_only_command"), ephemeral: true });
+  }
+
+  const subcommand = context.options.getSubcommand()?.toLowerCase() || "list";
+
+  if (subcommand === "list") {
+    return showList(context, t);
+  }
+
+  if (OWNER_SUBCOMMANDS.includes(subcommand)) {
+    if (!(await PermissionManager.isOwner(context))) {
+      return context.reply({ content: t("owner_only"), ephemeral: true });
+    }
+  } else if (!context.member.permissions.has("ManageGuild")) {
+    return context.reply({ content: t("manage_guild_required"), ephemeral: true });
+  }
+
+  const name = context.options.getString("plugin", true).toLowerCase();
+  const guildId = context.guild.id;
+
+  try {
+    switch (subcommand) {
+      case "load":
+      case "reload": {
+        if (subcommand === "load" && !pluginManager.available().includes(name)) {
+          return context.reply({ content: t("unknown_plugin", { name }), ephemeral: true });
+        }
+
+        await context.deferReply();
+        const result = subcommand === "load"
+          ? await pluginManager.load(name)
+          : await pluginManager.reload(name);
+
+        if (!result.success) {
+          return context.editReply({ content: t("load_failed", { name, error: result.error }) });
+        }
+
+        return context.editReply({
+          content: t(subcommand === "load" ? "loaded" : "reloaded", {
+            name,
+            version: result.plugin.manifest.version,
+            commands: result.plugin.commands.length,
+            events: result.plugin.listeners.length
+          })
+        });
+      }
+
+      case "unload": {
+        await context.deferReply();
+        const result = await pluginManager.unload(name);
+
+        return context.editReply({
+          content: result.success ? t("unloaded", { name }) : t("not_loaded", { name })
+        });
+      }
+    }
+
+    const plugin = pluginManager.plugins.get(name);
+    if (!plugin) {
+      return context.reply({ content: t("not_loaded", { name }), ephemeral: true });
+    }
+
+    switch (subcommand) {
+      case "enable":
+        await pluginManager.setEnabled(guildId, name, true);
+        return context.reply({ content: t("enabled_set", { name }) });
+
+      case "disable":
+        await pluginManager.setEnabled(guildId, name, false);
+        return context.reply({ content: t("disabled_set", { name }) });
+
+      case "config": {
+        const key = context.options.getString("key");
+        if (!key) return showConfig(context, t, plugin);
+
+        return updateConfig(context, t, plugin, key, context.options.getString("value"));
+      }
+
+      default:
+        return context.reply({ content: t("invalid_subcommand"), ephemeral: true });
+    }
+  } catch (error) {
+    logger.error(`Error en plugins ${subcommand} (${name})`, error);
+    const reply = context.deferred ? context.editReply.bind(context) : context.reply.bind(context);
+    return reply({ content: t("update_error"), ephemeral: true });
+  }
+}
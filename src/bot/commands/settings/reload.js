@@ -0,0 +1,76 @@
+// src/commands/settings/reload.js
+
+import { EmbedBuilder } from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { reloadCommands } from "../../utils/loadCommands.js";
+import PermissionManager from "../../utils/PermissionManager.js";
+
+const logger = createLogger("settings:reload");
+
+// Límite de caracteres de un campo de embed
+const FIELD_LIMIT = 1024;
+
+function truncate(text) {
+  return text.length > FIELD_LIMIT ? `${text.slice(0, FIELD_LIMIT - 1)}…` : text;
+}
+
+function formatNames(names) {
+  return truncate(names.map(name => `\`/${name}\``).join(", "));
+}
+
+export const data = buildCommand("settings", "reload");
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+
+  if (!(await PermissionManager.isOwner(context))) {
+    return context.reply({ content: t("owner_only"), ephemeral: true });
+  }
+
+  await context.deferReply({ ephemeral: true });
+
+  try {
+    const result = await reloadCommands(context.client, { all: context.options.getBoolean("all") ?? false });
+
+    logger.info(`🔄 ${context.user.tag} recargó los comandos`);
+
+    const embed = new EmbedBuilder()
+      .setColor(result.failed.length > 0 ? 0xffa500 : 0x00ff00)
+      .setTitle(t("title"))
+      .setDescription(t("summary", {
+        reloaded: result.reloaded.length,
+        unchanged: result.unchanged,
+        total: context.client.commands.size
+      }))
+      .setTimestamp();
+
+    if (result.reloaded.length > 0) {
+      embed.addFields({ name: t("reloaded_field"), value: formatNames(result.reloaded) });
+    }
+
+    if (result.removed.length > 0) {
+      embed.addFields({ name: t("removed_field"), value: formatNames(result.removed) });
+    }
+
+    if (result.failed.length > 0) {
+      embed.addFields({
+        name: t("failed_field", { count: result.failed.length }),
+        value: truncate(result.failed.map(({ file, error }) => `\`${file}\`: ${error}`).join("\n"))
+      });
+    }
+
+    if (result.definitionsChanged.length > 0) {
+      embed.addFields({
+        name: t("deploy_field"),
+        value: t("deploy_value", { commands: formatNames(result.definitionsChanged) })
+      });
+    }
+
+    return context.editReply({ embeds: [embed] });
+  } catch (error) {
+    logger.error("Error recargando comandos", error);
+    return context.editReply({ content: t("reload_error", { error: error.message }) });
+  }
+}
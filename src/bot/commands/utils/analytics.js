@@ -0,0 +1,223 @@
+// src/commands/utils/analytics.js
+
+import { EmbedBuilder } from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { db } from "../../database/ResilientDatabaseManager.js";
+import PermissionManager from "../../utils/PermissionManager.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+
+const logger = createLogger("utils:analytics");
+
+// Periodos del JSON (choices de "window") en segundos
+const WINDOWS = {
+  "24h": 24 * 60 * 60,
+  "7d": 7 * 24 * 60 * 60,
+  "30d": 30 * 24 * 60 * 60,
+  "90d": 90 * 24 * 60 * 60
+};
+const DEFAULT_WINDOW = "7d";
+
+const LIST_LIMIT = 15;
+const FIELD_LIMIT = 5;
+const BAR_LENGTH = 12;
+
+export const data = buildCommand("utils", "analytics");
+
+function percent(part, total) {
+  return total > 0 ? ((part / total) * 100).toFixed(1) : "0.0";
+}
+
+function hourLabel(hour) {
+  return hour.toString().padStart(2, "0");
+}
+
+function createEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(title)
+    .setDescription(EmbedFactory.truncate(description, 4096))
+    .setTimestamp();
+}
+
+function busiestHours(hours, limit) {
+  return hours
+    .map((uses, hour) => ({ hour, uses }))
+    .filter(entry => entry.uses > 0)
+    .sort((a, b) => b.uses - a.uses)
+    .slice(0, limit);
+}
+
+function showOverview(t, query) {
+  const summary = db.analytics.getSummary(query);
+  if (summary.uses === 0) return createEmbed(t("overview_title"), t("no_data"));
+
+  let description = t("overview_summary", {
+    uses: summary.uses,
+    failures: summary.failures,
+    rate: percent(summary.failures, summary.uses),
+    commands: summary.commands,
+    avg: summary.avgLatency,
+    max: summary.maxLatency
+  });
+
+  if (!query.guildId) {
+    description += `\n${t("overview_guilds", { guilds: summary.guilds })}`;
+  }
+
+  const embed = createEmbed(t("overview_title"), description);
+
+  const top = db.analytics.getTopCommands({ ...query, limit: FIELD_LIMIT });
+  embed.addFields({
+    name: t("top_commands_field"),
+    value: top.map(row => t("command_short_line", row)).join("\n"),
+    inline: true
+  });
+
+  const hours = busiestHours(db.analytics.getHourlyDistribution(query), FIELD_LIMIT);
+  embed.addFields({
+    name: t("busiest_hours_field"),
+    value: hours.map(({ hour, uses }) => t("hour_line", { hour: hourLabel(hour), uses })).join("\n"),
+    inline: true
+  });
+
+  const errors = db.analytics.getTopErrors({ ...query, limit: FIELD_LIMIT });
+  if (errors.length > 0) {
+    embed.addFields({
+      name: t("top_errors_field"),
+      value: errors.map(row => t("error_line", { error: row.errorClass, count: row.count })).join("\n"),
+      inline: false
+    });
+  }
+
+  return embed;
+}
+
+function showCommands(t, query) {
+  const rows = db.analytics.getTopCommands({ ...query, limit: LIST_LIMIT });
+
+  const lines = rows.map((row, index) => t("command_line", {
+    position: index + 1,
+    command: row.command,
+    uses: row.uses,
+    rate: percent(row.failures, row.uses),
+    avg: row.avgLatency
+  }));
+
+  return createEmbed(t("commands_title"), lines.join("\n") || t("no_data"));
+}
+
+function showFailures(t, query) {
+  const rows = db.analytics.getFailureRates({ ...query, limit: LIST_LIMIT });
+
+  const lines = rows.map((row, index) => t("failure_line", {
+    position: index + 1,
+    command: row.command,
+    failures: row.failures,
+    uses: row.uses,
+    rate: percent(row.failures, row.uses)
+  }));
+
+  const embed = createEmbed(t("failures_title"), lines.join("\n") || t("no_failures"));
+
+  const errors = db.analytics.getTopErrors({ ...query, limit: FIELD_LIMIT * 2 });
+  if (errors.length > 0) {
+    embed.addFields({
+      name: t("top_errors_field"),
+      value: errors.map(row => t("error_line", { error: row.errorClass, count: row.count })).join("\n")
+    });
+  }
+
+  return embed;
+}
+
+function showHours(t, query) {
+  const hours = db.analytics.getHourlyDistribution(query);
+  const max = Math.max(...hours);
+
+  if (max === 0) return createEmbed(t("hours_title"), t("no_data"));
+
+  // Gráfico de barras: una línea por hora (UTC)
+  const chart = hours.map((uses, hour) => {
+    const bar = "█".repeat(Math.round((uses / max) * BAR_LENGTH)).padEnd(BAR_LENGTH, "·");
+    return `${hourLabel(hour)} ${bar} ${uses}`;
+  });
+
+  return createEmbed(t("hours_title"), `\`\`\`\n${chart.join("\n")}\n\`\`\``);
+}
+
+function showGuilds(t, query, client) {
+  const rows = db.analytics.getTopGuilds({ ...query, limit: LIST_LIMIT });
+
+  const lines = rows.map((row, index) => t("guild_line", {
+    position: index + 1,
+    name: client.guilds.cache.get(row.guildId)?.name ?? t("unknown_guild", { id: row.guildId }),
+    uses: row.uses,
+    commands: row.commands,
+    rate: percent(row.failures, row.uses)
+  }));
+
+  return createEmbed(t("guilds_title"), lines.join("\n") || t("no_data"));
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+
+  if (!context.guild || !context.member) {
+    return context.reply({ content: t("guild_only_command"), ephemeral: true });
+  }
+
+  const subcommand = context.options.getSubcommand()?.toLowerCase() || "overview";
+  const allGuilds = subcommand === "guilds" || (context.options.getBoolean("global") ?? false);
+
+  // Todos los servidores: solo dueños del bot; el servidor propio: quien lo gestiona
+  if (allGuilds) {
+    if (!(await PermissionManager.isOwner(context))) {
+      return context.reply({ content: t("owner_only"), ephemeral: true });
+    }
+  } else if (!context.member.permissions.has("ManageGuild")) {
+    return context.reply({ content: t("manage_guild_required"), ephemeral: true });
+  }
+
+  if (!db.analytics) {
+    return context.reply({ content: t("analytics_unavailable"), ephemeral: true });
+  }
+
+  const windowKey = WINDOWS[context.options.getString("window")] ? context.options.getString("window") : DEFAULT_WINDOW;
+  const query = { window: WINDOWS[windowKey], guildId: allGuilds ? null : context.guild.id };
+
+  try {
+    let embed;
+
+    switch (subcommand) {
+      case "commands":
+        embed = showCommands(t, query);
+        break;
+      case "failures":
+        embed = showFailures(t, query);
+        break;
+      case "hours":
+        embed = showHours(t, query);
+        break;
+      case "guilds":
+        embed = showGuilds(t, query, context.client);
+        break;
+      default:
+        embed = showOverview(t, query);
+    }
+
+    const showsHours = subcommand === "hours" || subcommand === "overview";
+    embed.setFooter({
+      text: t(showsHours ? "stats_footer_utc" : "stats_footer", {
+        scope: t(allGuilds ? "scope_global" : "scope_guild"),
+        window: t(`window_${windowKey}`)
+      })
+    });
+
+    return context.reply({ embeds: [embed], ephemeral: allGuilds });
+  } catch (error) {
+    logger.error(`Error en analytics ${subcommand}`, error);
+    return context.reply({ content: t("analytics_error"), ephemeral: true });
+  }
+}
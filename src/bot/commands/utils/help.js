@@ -0,0 +1,282 @@
+// src/commands/utils/help.js
+
+import {
+  ActionRowBuilder,
+  ComponentType,
+  SlashCommandSubcommandBuilder,
+  StringSelectMenuBuilder
+} from "discord.js";
+import { buildCommand } from "../../utils/commandbuilder.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator, detectLanguage } from "../../localization/TranslatorHelper.js";
+import { buildUsage } from "../../utils/ArgumentParser.js";
+import { CommandContext } from "../../utils/CommandMetadata.js";
+import { cooldownManager } from "../../utils/CooldownManager.js";
+import { getGuildPrefix } from "../../handlers/prefixHandler.js";
+import { createCommandFilter, getCommandSettings, getCommandOverride } from "../../handlers/commandSettings.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+
+const logger = createLogger("utils:help");
+
+// Máximo de sugerencias y de opciones de un menú en Discord
+const AUTOCOMPLETE_LIMIT = 25;
+const MENU_LIMIT = 25;
+const COLLECTOR_TIME = 120_000;
+
+// Valor del menú para volver al resumen (no puede coincidir con una categoría)
+const HOME_VALUE = "__home";
+
+// Locale de Discord con los textos en español (setNameLocalizations de buildCommand)
+const DISCORD_LOCALES = { es: "es-ES" };
+
+export const data = buildCommand("utils", "help");
+
+// Nombre o descripción en el idioma del servidor; si no hay traducción, el inglés
+function localized(builder, field, lang) {
+  return builder[`${field}_localizations`]?.[DISCORD_LOCALES[lang]] || builder[field];
+}
+
+function isSubcommand(option) {
+  return option instanceof SlashCommandSubcommandBuilder;
+}
+
+// Por nombre, alias o nombre traducido (con o sin "/")
+function findCommand(commands, query) {
+  const name = query.trim().toLowerCase().replace(/^\//, "");
+
+  return commands.get(name) || commands.find(cmd =>
+    cmd.data.aliases?.includes(name) ||
+    Object.values(cmd.data.name_localizations ?? {}).includes(name)
+  );
+}
+
+// Los plugins usan su nombre como categoría: no tienen traducción
+function categoryLabel(t, category, commands) {
+  const isPlugin = commands.some(cmd => cmd.plugin === category);
+  return isPlugin ? category : t(`category_${category}`);
+}
+
+function optionLines(t, options, lang) {
+  return options.map(opt => t("option_line", {
+    name: opt.name,
+    required: opt.required ? t("option_required") : "",
+    description: localized(opt, "description", lang)
+  }));
+}
+
+function describeOptions(t, command, lang) {
+  const options = command.data.options ?? [];
+
+  if (!options.some(isSubcommand)) {
+    return optionLines(t, options, lang);
+  }
+
+  return options.filter(isSubcommand).flatMap(sub => [
+    t("subcommand_line", { name: sub.name, description: localized(sub, "description", lang) }),
+    ...optionLines(t, sub.options, lang).map(line => `┗ ${line}`)
+  ]);
+}
+
+function describeUsage(prefix, command) {
+  const subcommands = command.data.options?.filter(isSubcommand) ?? [];
+
+  if (subcommands.length === 0) {
+    return [buildUsage(prefix, command.data.name, command)];
+  }
+
+  return subcommands.map(sub => buildUsage(prefix, command.data.name, command, sub));
+}
+
+function describePermissions(t, permissions) {
+  const lines = [];
+
+  if (permissions?.user?.length) {
+    lines.push(t("permissions_user", { permissions: permissions.user.map(p => `\`${p}\``).join(", ") }));
+  }
+
+  if (permissions?.bot?.length) {
+    lines.push(t("permissions_bot", { permissions: permissions.bot.map(p => `\`${p}\``).join(", ") }));
+  }
+
+  return lines;
+}
+
+function describeContexts(t, metadata) {
+  const keys = new Set(metadata.contexts.map(ctx => `where_${ctx}`));
+
+  if (metadata.guildOnly) {
+    keys.delete(`where_${CommandContext.ANY}`);
+    keys.add(`where_${CommandContext.GUILD_ONLY}`);
+  }
+  if (metadata.nsfw) keys.add(`where_${CommandContext.NSFW}`);
+  if (metadata.requiresVoiceConnection) keys.add("where_user_voice");
+  if (metadata.requiresBotVoiceConnection) keys.add("where_bot_voice");
+
+  return [...keys].map(key => t(key));
+}
+
+// Cooldown que se aplicaría a quien pide la ayuda (ajustes del servidor y roles)
+async function describeCooldown(t, context, command) {
+  const settings = context.guild ? await getCommandSettings(context.guild.id) : {};
+  const override = settings[command.data.name] ? getCommandOverride(settings, command.data.name) : null;
+  const seconds = cooldownManager.resolveDuration(command, context.member, override);
+  const rateLimit = command.data.rateLimit;
+
+  return rateLimit
+    ? t("cooldown_rate_limit", { seconds, uses: rateLimit.uses, window: rateLimit.window })
+    : t("cooldown_seconds", { seconds });
+}
+
+async function renderCommand(context, t, command, prefix, canRun) {
+  const lang = t.locale;
+  const commands = [...context.client.commands.values()];
+  const category = command.data.category || "general";
+
+  return EmbedFactory.commandHelp(command, prefix, {
+    description: localized(command.data, "description", lang),
+    usageField: t("field_usage"),
+    aliasesField: t("field_aliases"),
+    categoryField: t("field_category"),
+    optionsField: t("field_options"),
+    cooldownField: t("field_cooldown"),
+    permissionsField: t("field_permissions"),
+    contextsField: t("field_contexts"),
+    none: t("value_none"),
+    category: `${EmbedFactory.getCategoryEmoji(category)} ${categoryLabel(t, category, commands)}`,
+    usage: describeUsage(prefix, command),
+    options: describeOptions(t, command, lang),
+    permissions: describePermissions(t, command.data.permissions),
+    contexts: describeContexts(t, command.data.metadata),
+    cooldown: await describeCooldown(t, context, command),
+    footer: canRun(command)
+      ? t("detail_footer", { prefix })
+      : t("detail_unavailable")
+  });
+}
+
+function renderOverview(t, commands, prefix, canRun) {
+  const labels = Object.fromEntries(
+    [...EmbedFactory.groupByCategory(commands, canRun).keys()]
+      .map(category => [category, categoryLabel(t, category, [...commands.values()])])
+  );
+
+  return EmbedFactory.help(commands, prefix, canRun, {
+    title: t("overview_title"),
+    description: t("overview_description", { prefix }),
+    footer: t("overview_footer"),
+    categories: labels
+  });
+}
+
+function renderCategory(t, category, categoryCommands, prefix, allCommands) {
+  const entries = categoryCommands.map(cmd => ({
+    name: cmd.data.name,
+    description: localized(cmd.data, "description", t.locale)
+  }));
+
+  return EmbedFactory.categoryHelp(category, entries, {
+    title: categoryLabel(t, category, allCommands),
+    empty: t("category_empty"),
+    footer: t("category_footer", { prefix })
+  });
+}
+
+function createCategoryMenu(t, categories, allCommands, selected) {
+  const options = [...categories].slice(0, MENU_LIMIT - 1).map(([category, cmds]) => ({
+    label: categoryLabel(t, category, allCommands),
+    description: t("menu_category_description", { count: cmds.length }),
+    emoji: EmbedFactory.getCategoryEmoji(category),
+    value: category,
+    default: category === selected
+  }));
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId("help_category")
+    .setPlaceholder(t("menu_placeholder"))
+    .addOptions(
+      {
+        label: t("menu_home"),
+        description: t("menu_home_description"),
+        emoji: "📚",
+        value: HOME_VALUE,
+        default: selected === HOME_VALUE
+      },
+      ...options
+    );
+
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+export async function autocomplete(interaction) {
+  const query = interaction.options.getFocused().toLowerCase();
+  const canRun = await createCommandFilter(interaction);
+  const lang = await detectLanguage(interaction);
+
+  const choices = [...interaction.client.commands.values()]
+    .filter(cmd => canRun(cmd))
+    .map(cmd => ({ name: localized(cmd.data, "name", lang), value: cmd.data.name }))
+    .filter(choice => choice.name.includes(query) || choice.value.includes(query))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, AUTOCOMPLETE_LIMIT);
+
+  return interaction.respond(choices);
+}
+
+export async function execute(context) {
+  const t = await createTranslator(data, context);
+  const commands = context.client.commands;
+  const prefix = await getGuildPrefix(context.guild?.id);
+  const canRun = await createCommandFilter(context);
+
+  // Detalle de un comando
+  const query = context.options.getString("command");
+  if (query) {
+    const command = findCommand(commands, query);
+
+    if (!command) {
+      return context.reply({ content: t("help_not_found", { name: query }), ephemeral: true });
+    }
+
+    return context.reply({ embeds: [await renderCommand(context, t, command, prefix, canRun)] });
+  }
+
+  // Resumen con el menú de categorías
+  const categories = EmbedFactory.groupByCategory(commands, canRun);
+  const allCommands = [...commands.values()];
+  let selected = HOME_VALUE;
+
+  const render = () => ({
+    embeds: [
+      selected === HOME_VALUE
+        ? renderOverview(t, commands, prefix, canRun)
+        : renderCategory(t, selected, categories.get(selected) ?? [], prefix, allCommands)
+    ],
+    components: categories.size > 0 ? [createCategoryMenu(t, categories, allCommands, selected)] : []
+  });
+
+  const message = await context.reply(render());
+
+  if (categories.size === 0 || !message?.createMessageComponentCollector) return;
+
+  const collector = message.createMessageComponentCollector({
+    componentType: ComponentType.StringSelect,
+    time: COLLECTOR_TIME
+  });
+
+  collector.on("collect", async (i) => {
+    if (i.user.id !== context.user.id) {
+      return i.reply({ content: t("help_not_yours"), ephemeral: true });
+    }
+
+    selected = i.values[0];
+    await i.update(render());
+  });
+
+  collector.on("end", async () => {
+    try {
+      await message.edit({ components: [] });
+    } catch (error) {
+      logger.debug(`No se pudo quitar el menú: ${error.message}`);
+    }
+  });
+}
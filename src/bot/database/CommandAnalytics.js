@@ -0,0 +1,427 @@
+// src/database/CommandAnalytics.js
+// ============================================
+// ANALYTICS DE COMANDOS
+// - Cada ejecución en SQLite (command_events, se borra a los 7 días)
+// - Resúmenes por hora, comando y servidor (command_stats_hourly)
+// - Errores por clase (command_errors_hourly)
+// - Sincronización opcional de los resúmenes a PostgreSQL (ANALYTICS_PG_SYNC=true)
+// ============================================
+
+import { createLogger } from '../utils/Logger.js';
+
+const logger = createLogger("database:analytics");
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Las ejecuciones sueltas se borran antes que los resúmenes
+const EVENTS_RETENTION = 7 * DAY;
+const ROLLUPS_RETENTION = 90 * DAY;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Filas de resumen por sincronización
+const SYNC_BATCH = 500;
+
+// Mensajes directos: la clave primaria no admite NULL
+const NO_GUILD = '';
+
+function hourOf(seconds) {
+  return Math.floor(seconds / HOUR) * HOUR;
+}
+
+/**
+ * Clase del error para agruparlos (con el código de Discord si lo tiene)
+ * @param {Error} error
+ * @returns {string}
+ */
+export function errorClass(error) {
+  const name = error?.constructor?.name || error?.name || 'Error';
+  return error?.code !== undefined ? `${name}[${error.code}]` : name;
+}
+
+export class CommandAnalytics {
+  /**
+   * @param {Database} sqlite - Conexión de better-sqlite3 (la de LocalBackupDB)
+   * @param {Pool} pool - Pool de PostgreSQL para sincronizar los resúmenes
+   */
+  constructor(sqlite, pool) {
+    this.db = sqlite;
+    this.pool = pool;
+    this.pgSync = process.env.ANALYTICS_PG_SYNC === 'true';
+    this.schemaReady = null;
+
+    this.initTables();
+
+    this.pruneInterval = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneInterval.unref?.();
+
+    logger.info(`📊 Analytics de comandos activados${this.pgSync ? ' (con sincronización a PostgreSQL)' : ''}`);
+  }
+
+  initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS command_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        command TEXT NOT NULL,
+        guild_id TEXT NOT NULL DEFAULT '',
+        user_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        success INTEGER NOT NULL,
+        latency_ms INTEGER NOT NULL,
+        error_class TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_command_events_created
+      ON command_events(created_at);
+
+      -- dirty: cambió desde la última sincronización con PostgreSQL
+      CREATE TABLE IF NOT EXISTS command_stats_hourly (
+        hour INTEGER NOT NULL,
+        command TEXT NOT NULL,
+        guild_id TEXT NOT NULL DEFAULT '',
+        uses INTEGER NOT NULL DEFAULT 0,
+        failures INTEGER NOT NULL DEFAULT 0,
+        total_latency_ms INTEGER NOT NULL DEFAULT 0,
+        max_latency_ms INTEGER NOT NULL DEFAULT 0,
+        dirty INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (hour, command, guild_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS command_errors_hourly (
+        hour INTEGER NOT NULL,
+        command TEXT NOT NULL,
+        guild_id TEXT NOT NULL DEFAULT '',
+        error_class TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        dirty INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (hour, command, guild_id, error_class)
+      );
+    `);
+
+    // guild_id NULL en las consultas: todos los servidores
+    const inScope = '(@guildId IS NULL OR guild_id = @guildId) AND hour >= @since';
+
+    this.stmts = {
+      insertEvent: this.db.prepare(`
+        INSERT INTO command_events (command, guild_id, user_id, source, success, latency_ms, error_class, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      addStats: this.db.prepare(`
+        INSERT INTO command_stats_hourly (hour, command, guild_id, uses, failures, total_latency_ms, max_latency_ms)
+        VALUES (?, ?, ?, 1, ?, ?, ?)
+        ON CONFLICT(hour, command, guild_id) DO UPDATE SET
+          uses = uses + 1,
+          failures = failures + excluded.failures,
+          total_latency_ms = total_latency_ms + excluded.total_latency_ms,
+          max_latency_ms = MAX(max_latency_ms, excluded.max_latency_ms),
+          dirty = 1
+      `),
+      addError: this.db.prepare(`
+        INSERT INTO command_errors_hourly (hour, command, guild_id, error_class, count)
+        VALUES (?, ?, ?, ?, 1)
+        ON CONFLICT(hour, command, guild_id, error_class) DO UPDATE SET
+          count = count + 1,
+          dirty = 1
+      `),
+
+      // Consultas de /analytics
+      summary: this.db.prepare(`
+        SELECT COALESCE(SUM(uses), 0) AS uses, COALESCE(SUM(failures), 0) AS failures,
+          COALESCE(SUM(total_latency_ms), 0) AS total_latency_ms, COALESCE(MAX(max_latency_ms), 0) AS max_latency_ms,
+          COUNT(DISTINCT command) AS commands, COUNT(DISTINCT NULLIF(guild_id, '')) AS guilds
+        FROM command_stats_hourly
+        WHERE ${inScope}
+      `),
+      topCommands: this.db.prepare(`
+        SELECT command, SUM(uses) AS uses, SUM(failures) AS failures,
+          SUM(total_latency_ms) AS total_latency_ms, MAX(max_latency_ms) AS max_latency_ms
+        FROM command_stats_hourly
+        WHERE ${inScope}
+        GROUP BY command
+        ORDER BY uses DESC, command
+        LIMIT @limit
+      `),
+      failureRates: this.db.prepare(`
+        SELECT command, SUM(uses) AS uses, SUM(failures) AS failures
+        FROM command_stats_hourly
+        WHERE ${inScope}
+        GROUP BY command
+        HAVING SUM(failures) > 0
+        ORDER BY CAST(SUM(failures) AS REAL) / SUM(uses) DESC, failures DESC
+        LIMIT @limit
+      `),
+      topErrors: this.db.prepare(`
+        SELECT error_class, SUM(count) AS count
+        FROM command_errors_hourly
+        WHERE ${inScope}
+        GROUP BY error_class
+        ORDER BY count DESC
+        LIMIT @limit
+      `),
+      hourly: this.db.prepare(`
+        SELECT CAST(strftime('%H', hour, 'unixepoch') AS INTEGER) AS hour_of_day, SUM(uses) AS uses
+        FROM command_stats_hourly
+        WHERE ${inScope}
+        GROUP BY hour_of_day
+      `),
+      topGuilds: this.db.prepare(`
+        SELECT guild_id, SUM(uses) AS uses, SUM(failures) AS failures, COUNT(DISTINCT command) AS commands
+        FROM command_stats_hourly
+        WHERE guild_id != '' AND hour >= @since
+        GROUP BY guild_id
+        ORDER BY uses DESC
+        LIMIT @limit
+      `),
+
+      // Sincronización
+      dirtyStats: this.db.prepare('SELECT * FROM command_stats_hourly WHERE dirty = 1 LIMIT ?'),
+      dirtyErrors: this.db.prepare('SELECT * FROM command_errors_hourly WHERE dirty = 1 LIMIT ?'),
+      // Solo si no hubo usos nuevos mientras se enviaba
+      cleanStats: this.db.prepare(`
+        UPDATE command_stats_hourly SET dirty = 0
+        WHERE hour = ? AND command = ? AND guild_id = ? AND uses = ?
+      `),
+      cleanErrors: this.db.prepare(`
+        UPDATE command_errors_hourly SET dirty = 0
+        WHERE hour = ? AND command = ? AND guild_id = ? AND error_class = ? AND count = ?
+      `),
+
+      // Limpieza
+      pruneEvents: this.db.prepare('DELETE FROM command_events WHERE created_at < ?'),
+      pruneStats: this.db.prepare('DELETE FROM command_stats_hourly WHERE hour < ?'),
+      pruneErrors: this.db.prepare('DELETE FROM command_errors_hourly WHERE hour < ?')
+    };
+
+    this.record = this.db.transaction((event) => {
+      const hour = hourOf(event.createdAt);
+      const failed = event.success ? 0 : 1;
+
+      this.stmts.insertEvent.run(
+        event.command, event.guildId, event.userId, event.source,
+        event.success ? 1 : 0, event.latency, event.errorClass, event.createdAt
+      );
+      this.stmts.addStats.run(hour, event.command, event.guildId, failed, event.latency, event.latency);
+
+      if (event.errorClass) {
+        this.stmts.addError.run(hour, event.command, event.guildId, event.errorClass);
+      }
+    });
+  }
+
+  /**
+   * Registra una ejecución (CommandHandler); nunca lanza errores
+   *
+   * @param {Object} info
+   * @param {User} info.user
+   * @param {Guild|null} info.guild
+   * @param {string} info.commandName
+   * @param {string} info.source - "slash" o "prefix"
+   * @param {number} info.latency - Milisegundos de ejecución
+   * @param {Error} info.error - Error del comando si falló
+   * @param {boolean} success
+   */
+  logCommand(info, success) {
+    try {
+      this.record({
+        command: info.commandName,
+        guildId: info.guild?.id ?? NO_GUILD,
+        userId: info.user?.id ?? 'unknown',
+        source: info.source ?? 'slash',
+        success,
+        latency: Math.max(0, Math.round(info.latency ?? 0)),
+        errorClass: success ? null : errorClass(info.error),
+        createdAt: Math.floor(Date.now() / 1000)
+      });
+    } catch (error) {
+      logger.debug(`No se pudo registrar /${info.commandName}: ${error.message}`);
+    }
+  }
+
+  // ========================================
+  // CONSULTAS
+  // ========================================
+
+  /**
+   * @param {Object} options
+   * @param {number} options.window - Segundos hacia atrás
+   * @param {string|null} options.guildId - Solo un servidor (null: todos)
+   */
+  _params({ window, guildId = null, limit = 10 }) {
+    return { since: hourOf(Math.floor(Date.now() / 1000) - window), guildId, limit };
+  }
+
+  /**
+   * Totales del periodo
+   * @returns {{ uses: number, failures: number, avgLatency: number, maxLatency: number, commands: number, guilds: number }}
+   */
+  getSummary(options) {
+    const row = this.stmts.summary.get(this._params(options));
+
+    return {
+      uses: row.uses,
+      failures: row.failures,
+      avgLatency: row.uses > 0 ? Math.round(row.total_latency_ms / row.uses) : 0,
+      maxLatency: row.max_latency_ms,
+      commands: row.commands,
+      guilds: row.guilds
+    };
+  }
+
+  /**
+   * Comandos más usados
+   * @returns {Array<{ command: string, uses: number, failures: number, avgLatency: number, maxLatency: number }>}
+   */
+  getTopCommands(options) {
+    return this.stmts.topCommands.all(this._params(options)).map(row => ({
+      command: row.command,
+      uses: row.uses,
+      failures: row.failures,
+      avgLatency: Math.round(row.total_latency_ms / row.uses),
+      maxLatency: row.max_latency_ms
+    }));
+  }
+
+  /**
+   * Comandos con fallos, de mayor a menor proporción
+   * @returns {Array<{ command: string, uses: number, failures: number, rate: number }>}
+   */
+  getFailureRates(options) {
+    return this.stmts.failureRates.all(this._params(options)).map(row => ({
+      ...row,
+      rate: row.failures / row.uses
+    }));
+  }
+
+  /**
+   * Clases de error más frecuentes
+   * @returns {Array<{ errorClass: string, count: number }>}
+   */
+  getTopErrors(options) {
+    return this.stmts.topErrors.all(this._params(options))
+      .map(row => ({ errorClass: row.error_class, count: row.count }));
+  }
+
+  /**
+   * Usos por hora del día (UTC)
+   * @returns {number[]} 24 posiciones
+   */
+  getHourlyDistribution(options) {
+    const hours = new Array(24).fill(0);
+
+    for (const row of this.stmts.hourly.all(this._params(options))) {
+      hours[row.hour_of_day] = row.uses;
+    }
+
+    return hours;
+  }
+
+  /**
+   * Servidores con más usos
+   * @returns {Array<{ guildId: string, uses: number, failures: number, commands: number }>}
+   */
+  getTopGuilds(options) {
+    return this.stmts.topGuilds.all(this._params(options)).map(row => ({
+      guildId: row.guild_id,
+      uses: row.uses,
+      failures: row.failures,
+      commands: row.commands
+    }));
+  }
+
+  // ========================================
+  // MANTENIMIENTO
+  // ========================================
+
+  prune(now = Date.now()) {
+    const seconds = Math.floor(now / 1000);
+
+    try {
+      const events = this.stmts.pruneEvents.run(seconds - EVENTS_RETENTION).changes;
+      const rollups = this.stmts.pruneStats.run(seconds - ROLLUPS_RETENTION).changes +
+        this.stmts.pruneErrors.run(seconds - ROLLUPS_RETENTION).changes;
+
+      if (events > 0 || rollups > 0) {
+        logger.debug(`🧹 Analytics: ${events} ejecuciones y ${rollups} resúmenes antiguos borrados`);
+      }
+    } catch (error) {
+      logger.debug(`No se pudieron limpiar los analytics: ${error.message}`);
+    }
+  }
+
+  ensureSchema() {
+    this.schemaReady ??= this.pool.query(`
+      CREATE TABLE IF NOT EXISTS command_stats_hourly (
+        hour BIGINT NOT NULL,
+        command TEXT NOT NULL,
+        guild_id TEXT NOT NULL DEFAULT '',
+        uses INTEGER NOT NULL,
+        failures INTEGER NOT NULL,
+        total_latency_ms BIGINT NOT NULL,
+        max_latency_ms INTEGER NOT NULL,
+        PRIMARY KEY (hour, command, guild_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS command_errors_hourly (
+        hour BIGINT NOT NULL,
+        command TEXT NOT NULL,
+        guild_id TEXT NOT NULL DEFAULT '',
+        error_class TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (hour, command, guild_id, error_class)
+      );
+    `).catch(error => {
+      this.schemaReady = null;
+      throw error;
+    });
+
+    return this.schemaReady;
+  }
+
+  /**
+   * Copia a PostgreSQL los resúmenes cambiados (SQLite es la fuente de verdad:
+   * se sobrescriben los valores). Lo llama el worker de sincronización
+   *
+   * @returns {Promise<number>} Filas sincronizadas
+   */
+  async syncToPostgres() {
+    if (!this.pgSync) return 0;
+
+    const stats = this.stmts.dirtyStats.all(SYNC_BATCH);
+    const errors = this.stmts.dirtyErrors.all(SYNC_BATCH);
+    if (stats.length === 0 && errors.length === 0) return 0;
+
+    await this.ensureSchema();
+
+    for (const row of stats) {
+      await this.pool.query(`
+        INSERT INTO command_stats_hourly (hour, command, guild_id, uses, failures, total_latency_ms, max_latency_ms)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (hour, command, guild_id) DO UPDATE SET
+          uses = EXCLUDED.uses,
+          failures = EXCLUDED.failures,
+          total_latency_ms = EXCLUDED.total_latency_ms,
+          max_latency_ms = EXCLUDED.max_latency_ms
+      `, [row.hour, row.command, row.guild_id, row.uses, row.failures, row.total_latency_ms, row.max_latency_ms]);
+
+      this.stmts.cleanStats.run(row.hour, row.command, row.guild_id, row.uses);
+    }
+
+    for (const row of errors) {
+      await this.pool.query(`
+        INSERT INTO command_errors_hourly (hour, command, guild_id, error_class, count)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (hour, command, guild_id, error_class) DO UPDATE SET count = EXCLUDED.count
+      `, [row.hour, row.command, row.guild_id, row.error_class, row.count]);
+
+      this.stmts.cleanErrors.run(row.hour, row.command, row.guild_id, row.error_class, row.count);
+    }
+
+    logger.debug(`📤 Analytics sincronizados: ${stats.length} resúmenes, ${errors.length} errores`);
+    return stats.length + errors.length;
+  }
+
+  destroy() {
+    clearInterval(this.pruneInterval);
+  }
+}
@@ -11,6 +11,7 @@
 import pool from './pool.js';
 import Database from 'better-sqlite3';
 import { createLogger } from '../utils/Logger.js';
+import { CommandAnalytics } from './CommandAnalytics.js';
 import 'dotenv/config';
 
 const logger = createLogger("database:resilient");
@@ -24,6 +25,8 @@ class CacheManager {
     this.ttl = ttl;
     this.maxSize = maxSize;
     this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+    // La limpieza no mantiene vivo el proceso (scripts y tests que importan db)
+    this.cleanupInterval.unref?.();
   }
 
   set(key, value, customTTL = null) {
@@ -147,14 +150,86 @@ class LocalBackupDB {
 
       CREATE INDEX IF NOT EXISTS idx_sync_queue_created 
       ON sync_queue(created_at);
+
+      -- Colas de música persistidas (solo local, no se sincronizan)
+      CREATE TABLE IF NOT EXISTS music_queues (
+        guild_id TEXT PRIMARY KEY,
+        voice_channel_id TEXT NOT NULL,
+        text_channel_id TEXT,
+        current_track TEXT NOT NULL,
+        position INTEGER DEFAULT 0,
+        tracks TEXT NOT NULL DEFAULT '[]',
+        loop_mode TEXT DEFAULT 'off',
+        autoplay INTEGER DEFAULT 0,
+        paused INTEGER DEFAULT 0,
+        volume INTEGER DEFAULT 100,
+        filters TEXT NOT NULL DEFAULT '{}',
+        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+      );
+
+      -- Playlists guardadas (scope 'user' → owner_id es el usuario, 'guild' → el servidor)
+      CREATE TABLE IF NOT EXISTS playlists (
+        id TEXT PRIMARY KEY,
+        scope TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        created_by TEXT NOT NULL,
+        tracks TEXT NOT NULL DEFAULT '[]',
+        share_code TEXT UNIQUE,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        UNIQUE(scope, owner_id, name)
+      );
+
+      -- Cooldowns largos de comandos (solo local, no se sincronizan)
+      CREATE TABLE IF NOT EXISTS cooldowns (
+        bucket_key TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      );
+
+      -- Migraciones de plugins aplicadas (solo local, como sus tablas)
+      CREATE TABLE IF NOT EXISTS plugin_migrations (
+        plugin TEXT NOT NULL,
+        migration TEXT NOT NULL,
+        applied_at INTEGER DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (plugin, migration)
+      );
     `);
 
+    // Columnas añadidas después de crear la tabla
+    this.ensureColumn('music_queues', 'volume', 'INTEGER DEFAULT 100');
+    this.ensureColumn('music_queues', 'filters', "TEXT NOT NULL DEFAULT '{}'");
+    this.ensureColumn('guild_settings', 'music_settings', "TEXT NOT NULL DEFAULT '{}'");
+    this.ensureColumn('guild_settings', 'command_settings', "TEXT NOT NULL DEFAULT '{}'");
+    this.ensureColumn('guild_settings', 'plugin_settings', "TEXT NOT NULL DEFAULT '{}'");
+
     // Preparar statements
     this.stmts = {
       // Guild Settings
       getGuildLang: this.db.prepare('SELECT lang FROM guild_settings WHERE guild_id = ?'),
       getGuildPrefix: this.db.prepare('SELECT prefix FROM guild_settings WHERE guild_id = ?'),
       getWelcomeChannel: this.db.prepare('SELECT welcome_channel_id FROM guild_settings WHERE guild_id = ?'),
+      getMusicSettings: this.db.prepare('SELECT music_settings FROM guild_settings WHERE guild_id = ?'),
+      setMusicSettings: this.db.prepare(`
+        INSERT INTO guild_settings (guild_id, music_settings, updated_at)
+        VALUES (?, ?, strftime('%s', 'now'))
+        ON CONFLICT(guild_id)
+        DO UPDATE SET music_settings = excluded.music_settings, updated_at = excluded.updated_at
+      `),
+      getCommandSettings: this.db.prepare('SELECT command_settings FROM guild_settings WHERE guild_id = ?'),
+      setCommandSettings: this.db.prepare(`
+        INSERT INTO guild_settings (guild_id, command_settings, updated_at)
+        VALUES (?, ?, strftime('%s', 'now'))
+        ON CONFLICT(guild_id)
+        DO UPDATE SET command_settings = excluded.command_settings, updated_at = excluded.updated_at
+      `),
+      getPluginSettings: this.db.prepare('SELECT plugin_settings FROM guild_settings WHERE guild_id = ?'),
+      setPluginSettings: this.db.prepare(`
+        INSERT INTO guild_settings (guild_id, plugin_settings, updated_at)
+        VALUES (?, ?, strftime('%s', 'now'))
+        ON CONFLICT(guild_id)
+        DO UPDATE SET plugin_settings = excluded.plugin_settings, updated_at = excluded.updated_at
+      `),
       setWelcomeChannel: this.db.prepare(`
         INSERT INTO guild_settings (guild_id, welcome_channel_id, updated_at)
         VALUES (?, ?, strftime('%s', 'now'))
@@ -237,10 +312,80 @@ class LocalBackupDB {
       clearOldSyncQueue: this.db.prepare(`
         DELETE FROM sync_queue 
         WHERE created_at < ? OR retries >= 5
-      `)
+      `),
+
+      // Music Queues
+      saveMusicQueue: this.db.prepare(`
+        INSERT INTO music_queues (
+          guild_id, voice_channel_id, text_channel_id, current_track,
+          position, tracks, loop_mode, autoplay, paused, volume, filters, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+        ON CONFLICT(guild_id) DO UPDATE SET
+          voice_channel_id = excluded.voice_channel_id,
+          text_channel_id = excluded.text_channel_id,
+          current_track = excluded.current_track,
+          position = excluded.position,
+          tracks = excluded.tracks,
+          loop_mode = excluded.loop_mode,
+          autoplay = excluded.autoplay,
+          paused = excluded.paused,
+          volume = excluded.volume,
+          filters = excluded.filters,
+          updated_at = excluded.updated_at
+      `),
+      getMusicQueues: this.db.prepare('SELECT * FROM music_queues'),
+      deleteMusicQueue: this.db.prepare('DELETE FROM music_queues WHERE guild_id = ?'),
+
+      // Cooldowns
+      saveCooldown: this.db.prepare(`
+        INSERT INTO cooldowns (bucket_key, expires_at) VALUES (?, ?)
+        ON CONFLICT(bucket_key) DO UPDATE SET expires_at = excluded.expires_at
+      `),
+      getCooldowns: this.db.prepare('SELECT * FROM cooldowns WHERE expires_at > ?'),
+      clearExpiredCooldowns: this.db.prepare('DELETE FROM cooldowns WHERE expires_at <= ?'),
+
+      // Migraciones de plugins
+      getPluginMigrations: this.db.prepare('SELECT migration FROM plugin_migrations WHERE plugin = ?'),
+      addPluginMigration: this.db.prepare('INSERT INTO plugin_migrations (plugin, migration) VALUES (?, ?)'),
+
+      // Playlists
+      savePlaylist: this.db.prepare(`
+        INSERT INTO playlists (
+          id, scope, owner_id, name, created_by, tracks, share_code, created_at, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          tracks = excluded.tracks,
+          share_code = excluded.share_code,
+          updated_at = excluded.updated_at
+      `),
+      getPlaylist: this.db.prepare('SELECT * FROM playlists WHERE scope = ? AND owner_id = ? AND name = ?'),
+      getPlaylistByCode: this.db.prepare('SELECT * FROM playlists WHERE share_code = ?'),
+      listPlaylists: this.db.prepare(`
+        SELECT id, scope, owner_id, name, created_by, share_code, created_at, updated_at,
+          json_array_length(tracks) AS track_count
+        FROM playlists
+        WHERE scope = ? AND owner_id = ?
+        ORDER BY name
+      `),
+      deletePlaylist: this.db.prepare('DELETE FROM playlists WHERE id = ?')
     };
   }
 
+  /**
+   * Añade una columna si la tabla existente no la tiene (migración simple)
+   */
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    
+    if (!columns.some(col => col.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`🔧 Columna ${table}.${column} añadida`);
+    }
+  }
+
   // ========================================
   // MÉTODOS DE LECTURA
   // ========================================
@@ -260,6 +405,21 @@ class LocalBackupDB {
     return result?.prefix || 'r!';
   }
 
+  getMusicSettings(guildId) {
+    const result = this.stmts.getMusicSettings.get(guildId);
+    return result ? JSON.parse(result.music_settings) : {};
+  }
+
+  getCommandSettings(guildId) {
+    const result = this.stmts.getCommandSettings.get(guildId);
+    return result ? JSON.parse(result.command_settings) : {};
+  }
+
+  getPluginSettings(guildId) {
+    const result = this.stmts.getPluginSettings.get(guildId);
+    return result ? JSON.parse(result.plugin_settings) : {};
+  }
+
   getUserSettings(userId) {
     const result = this.stmts.getUserSettings.get(userId);
     return result || {
@@ -316,6 +476,39 @@ class LocalBackupDB {
     }
   }
 
+  setMusicSettings(guildId, settings, addToQueue = true) {
+    this.stmts.setMusicSettings.run(guildId, JSON.stringify(settings));
+
+    if (addToQueue) {
+      this.addToSyncQueue('guild_settings', 'UPDATE', {
+        guild_id: guildId,
+        music_settings: settings
+      });
+    }
+  }
+
+  setCommandSettings(guildId, settings, addToQueue = true) {
+    this.stmts.setCommandSettings.run(guildId, JSON.stringify(settings));
+
+    if (addToQueue) {
+      this.addToSyncQueue('guild_settings', 'UPDATE', {
+        guild_id: guildId,
+        command_settings: settings
+      });
+    }
+  }
+
+  setPluginSettings(guildId, settings, addToQueue = true) {
+    this.stmts.setPluginSettings.run(guildId, JSON.stringify(settings));
+
+    if (addToQueue) {
+      this.addToSyncQueue('guild_settings', 'UPDATE', {
+        guild_id: guildId,
+        plugin_settings: settings
+      });
+    }
+  }
+
   setUserSettings(userId, settings, addToQueue = true) {
     this.stmts.setUserSettings.run(
       userId,
@@ -401,6 +594,120 @@ class LocalBackupDB {
     return result.changes;
   }
 
+  // ========================================
+  // COLAS DE MÚSICA (SOLO LOCAL)
+  // ========================================
+
+  saveMusicQueue(data) {
+    this.stmts.saveMusicQueue.run(
+      data.guild_id,
+      data.voice_channel_id,
+      data.text_channel_id,
+      JSON.stringify(data.current_track),
+      Math.floor(data.position || 0),
+      JSON.stringify(data.tracks || []),
+      data.loop_mode || 'off',
+      data.autoplay ? 1 : 0,
+      data.paused ? 1 : 0,
+      data.volume ?? 100,
+      JSON.stringify(data.filters || {})
+    );
+  }
+
+  getMusicQueues() {
+    return this.stmts.getMusicQueues.all().map(row => ({
+      ...row,
+      current_track: JSON.parse(row.current_track),
+      tracks: JSON.parse(row.tracks),
+      filters: JSON.parse(row.filters || '{}'),
+      autoplay: row.autoplay === 1,
+      paused: row.paused === 1
+    }));
+  }
+
+  deleteMusicQueue(guildId) {
+    this.stmts.deleteMusicQueue.run(guildId);
+  }
+
+  // ========================================
+  // COOLDOWNS
+  // ========================================
+
+  saveCooldown(key, expiresAt) {
+    this.stmts.saveCooldown.run(key, expiresAt);
+  }
+
+  getCooldowns(now = Date.now()) {
+    return this.stmts.getCooldowns.all(now);
+  }
+
+  clearExpiredCooldowns(now = Date.now()) {
+    return this.stmts.clearExpiredCooldowns.run(now).changes;
+  }
+
+  // ========================================
+  // MIGRACIONES DE PLUGINS
+  // ========================================
+
+  getPluginMigrations(plugin) {
+    return this.stmts.getPluginMigrations.all(plugin).map(row => row.migration);
+  }
+
+  // El SQL y su registro van en la misma transacción: o se aplica entera o no cuenta
+  applyPluginMigration(plugin, migration, sql) {
+    this.db.transaction(() => {
+      this.db.exec(sql);
+      this.stmts.addPluginMigration.run(plugin, migration);
+    })();
+  }
+
+  // ========================================
+  // PLAYLISTS GUARDADAS
+  // ========================================
+
+  static parsePlaylist(row) {
+    return row ? { ...row, tracks: JSON.parse(row.tracks) } : null;
+  }
+
+  getPlaylist(scope, ownerId, name) {
+    return LocalBackupDB.parsePlaylist(this.stmts.getPlaylist.get(scope, ownerId, name));
+  }
+
+  getPlaylistByCode(shareCode) {
+    return LocalBackupDB.parsePlaylist(this.stmts.getPlaylistByCode.get(shareCode));
+  }
+
+  listPlaylists(scope, ownerId) {
+    return this.stmts.listPlaylists.all(scope, ownerId);
+  }
+
+  savePlaylist(playlist, addToQueue = true) {
+    this.stmts.savePlaylist.run(
+      playlist.id,
+      playlist.scope,
+      playlist.owner_id,
+      playlist.name,
+      playlist.created_by,
+      JSON.stringify(playlist.tracks),
+      playlist.share_code ?? null,
+      playlist.created_at,
+      playlist.updated_at
+    );
+
+    // Fila completa: la sync reemplaza la playlist en PostgreSQL
+    if (addToQueue) {
+      this.addToSyncQueue('playlists', 'UPSERT', playlist);
+    }
+  }
+
+  deletePlaylist(id, addToQueue = true) {
+    this.stmts.deletePlaylist.run(id);
+
+    if (addToQueue) {
+      this.addToSyncQueue('playlists', 'DELETE', { id });
+    }
+  }
+
   close() {
     this.db.close();
   }
@@ -419,6 +726,7 @@ class CachedPostgresDB {
       levels: new CacheManager(5 * 60 * 1000, 2000)
     };
     this.stats = { hits: 0, misses: 0 };
+    this.schemaReady = null;
   }
 
   // ✅ NUEVO: Health check con timeout
@@ -532,6 +840,204 @@ class CachedPostgresDB {
     this.caches.guildSettings.delete(`settings:${guildId}`);
   }
 
+  // Tablas y columnas nuevas: se crean al primer uso (también tras una reconexión)
+  ensureSchema() {
+    this.schemaReady ??= this.pool.query(`
+      ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS music_settings JSONB NOT NULL DEFAULT '{}';
+      ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS command_settings JSONB NOT NULL DEFAULT '{}';
+      ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS plugin_settings JSONB NOT NULL DEFAULT '{}';
+
+      CREATE TABLE IF NOT EXISTS playlists (
+        id TEXT PRIMARY KEY,
+        scope TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        tracks JSONB NOT NULL DEFAULT '[]',
+        share_code TEXT UNIQUE,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS playlists_scope_owner_name
+        ON playlists (scope, owner_id, LOWER(name));
+    `).catch(error => {
+      this.schemaReady = null;
+      throw error;
+    });
+
+    return this.schemaReady;
+  }
+
+  async getMusicSettings(guildId) {
+    const cacheKey = `music:${guildId}`;
+    let settings = this.caches.guildSettings.get(cacheKey);
+
+    if (settings !== null) {
+      this.stats.hits++;
+      return settings;
+    }
+
+    this.stats.misses++;
+    await this.ensureSchema();
+    const result = await this.pool.query(
+      'SELECT music_settings FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+
+    settings = result.rows[0]?.music_settings || {};
+    this.caches.guildSettings.set(cacheKey, settings);
+    return settings;
+  }
+
+  async setMusicSettings(guildId, settings) {
+    await this.ensureSchema();
+    await this.pool.query(
+      `INSERT INTO guild_settings (guild_id, music_settings, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (guild_id)
+       DO UPDATE SET music_settings = $2, updated_at = NOW()`,
+      [guildId, JSON.stringify(settings)]
+    );
+
+    this.caches.guildSettings.set(`music:${guildId}`, settings);
+    this.caches.guildSettings.delete(`settings:${guildId}`);
+  }
+
+  async getCommandSettings(guildId) {
+    const cacheKey = `commands:${guildId}`;
+    let settings = this.caches.guildSettings.get(cacheKey);
+
+    if (settings !== null) {
+      this.stats.hits++;
+      return settings;
+    }
+
+    this.stats.misses++;
+    await this.ensureSchema();
+    const result = await this.pool.query(
+      'SELECT command_settings FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+
+    settings = result.rows[0]?.command_settings || {};
+    this.caches.guildSettings.set(cacheKey, settings);
+    return settings;
+  }
+
+  async setCommandSettings(guildId, settings) {
+    await this.ensureSchema();
+    await this.pool.query(
+      `INSERT INTO guild_settings (guild_id, command_settings, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (guild_id)
+       DO UPDATE SET command_settings = $2, updated_at = NOW()`,
+      [guildId, JSON.stringify(settings)]
+    );
+
+    this.caches.guildSettings.set(`commands:${guildId}`, settings);
+    this.caches.guildSettings.delete(`settings:${guildId}`);
+  }
+
+  async getPluginSettings(guildId) {
+    const cacheKey = `plugins:${guildId}`;
+    let settings = this.caches.guildSettings.get(cacheKey);
+
+    if (settings !== null) {
+      this.stats.hits++;
+      return settings;
+    }
+
+    this.stats.misses++;
+    await this.ensureSchema();
+    const result = await this.pool.query(
+      'SELECT plugin_settings FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+
+    settings = result.rows[0]?.plugin_settings || {};
+    this.caches.guildSettings.set(cacheKey, settings);
+    return settings;
+  }
+
+  async setPluginSettings(guildId, settings) {
+    await this.ensureSchema();
+    await this.pool.query(
+      `INSERT INTO guild_settings (guild_id, plugin_settings, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (guild_id)
+       DO UPDATE SET plugin_settings = $2, updated_at = NOW()`,
+      [guildId, JSON.stringify(settings)]
+    );
+
+    this.caches.guildSettings.set(`plugins:${guildId}`, settings);
+    this.caches.guildSettings.delete(`settings:${guildId}`);
+  }
+
+  // ========================================
+  // PLAYLISTS GUARDADAS
+  // ========================================
+
+  static parsePlaylist(row) {
+    return row ? { ...row, created_at: Number(row.created_at), updated_at: Number(row.updated_at) } : null;
+  }
+
+  async getPlaylist(scope, ownerId, name) {
+    await this.ensureSchema();
+    const result = await this.pool.query(
+      'SELECT * FROM playlists WHERE scope = $1 AND owner_id = $2 AND LOWER(name) = LOWER($3)',
+      [scope, ownerId, name]
+    );
+    return CachedPostgresDB.parsePlaylist(result.rows[0]);
+  }
+
+  async getPlaylistByCode(shareCode) {
+    await this.ensureSchema();
+    const result = await this.pool.query(
+      'SELECT * FROM playlists WHERE share_code = $1',
+      [shareCode]
+    );
+    return CachedPostgresDB.parsePlaylist(result.rows[0]);
+  }
+
+  async listPlaylists(scope, ownerId) {
+    await this.ensureSchema();
+    const result = await this.pool.query(
+      `SELECT id, scope, owner_id, name, created_by, share_code, created_at, updated_at,
+         jsonb_array_length(tracks) AS track_count
+       FROM playlists
+       WHERE scope = $1 AND owner_id = $2
+       ORDER BY LOWER(name)`,
+      [scope, ownerId]
+    );
+    return result.rows.map(CachedPostgresDB.parsePlaylist);
+  }
+
+  async savePlaylist(playlist) {
+    await this.ensureSchema();
+    await this.pool.query(
+      `INSERT INTO playlists (id, scope, owner_id, name, created_by, tracks, share_code, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (id)
+       DO UPDATE SET name = $4, tracks = $6, share_code = $7, updated_at = $9`,
+      [
+        playlist.id,
+        playlist.scope,
+        playlist.owner_id,
+        playlist.name,
+        playlist.created_by,
+        JSON.stringify(playlist.tracks),
+        playlist.share_code ?? null,
+        playlist.created_at,
+        playlist.updated_at
+      ]
+    );
+  }
+
+  async deletePlaylist(id) {
+    await this.ensureSchema();
+    await this.pool.query('DELETE FROM playlists WHERE id = $1', [id]);
+  }
+
   // ... (Resto de métodos sin cambios)
 
   destroy() {
@@ -598,6 +1104,15 @@ class ResilientDatabaseManager {
       throw error; // Sin SQLite local, no podemos continuar
     }
 
+    // ✅ Analytics de comandos sobre el mismo SQLite (ANALYTICS_DISABLED=true para desactivarlos)
+    if (process.env.ANALYTICS_DISABLED !== "true") {
+      try {
+        this.analytics = new CommandAnalytics(this.local.db, this.pg.pool);
+      } catch (error) {
+        logger.warn(`⚠️ Analytics de comandos desactivados: ${error.message}`);
+      }
+    }
+
     // ✅ PASO 2: Intentar conectar a PostgreSQL
     if (this.config.forceOffline) {
       logger.warn("⚠️ PostgreSQL deshabilitado por configuración (DB_DISABLED=true)");
@@ -729,6 +1244,87 @@ class ResilientDatabaseManager {
     }
   }
 
+  async getMusicSettings(guildId) {
+    if (this.mode === 'postgres') {
+      return this._withFallback(
+        () => this.pg.getMusicSettings(guildId),
+        () => this.local.getMusicSettings(guildId)
+      );
+    }
+
+    return this.local.getMusicSettings(guildId);
+  }
+
+  async setMusicSettings(guildId, settings) {
+    this.local.setMusicSettings(guildId, settings, this.mode !== 'postgres');
+
+    if (this.mode === 'postgres') {
+      try {
+        await this._withTimeout(() => this.pg.setMusicSettings(guildId, settings), 1000);
+      } catch (error) {
+        logger.debug(`PostgreSQL write failed, queued for sync: ${error.message}`);
+        this.local.addToSyncQueue('guild_settings', 'UPDATE', {
+          guild_id: guildId,
+          music_settings: settings
+        });
+      }
+    }
+  }
+
+  async getCommandSettings(guildId) {
+    if (this.mode === 'postgres') {
+      return this._withFallback(
+        () => this.pg.getCommandSettings(guildId),
+        () => this.local.getCommandSettings(guildId)
+      );
+    }
+
+    return this.local.getCommandSettings(guildId);
+  }
+
+  async setCommandSettings(guildId, settings) {
+    this.local.setCommandSettings(guildId, settings, this.mode !== 'postgres');
+
+    if (this.mode === 'postgres') {
+      try {
+        await this._withTimeout(() => this.pg.setCommandSettings(guildId, settings), 1000);
+      } catch (error) {
+        logger.debug(`PostgreSQL write failed, queued for sync: ${error.message}`);
+        this.local.addToSyncQueue('guild_settings', 'UPDATE', {
+          guild_id: guildId,
+          command_settings: settings
+        });
+      }
+    }
+  }
+
+  async getPluginSettings(guildId) {
+    if (this.mode === 'postgres') {
+      return this._withFallback(
+        () => this.pg.getPluginSettings(guildId),
+        () => this.local.getPluginSettings(guildId)
+      );
+    }
+
+    return this.local.getPluginSettings(guildId);
+  }
+
+  async setPluginSettings(guildId, settings) {
+    this.local.setPluginSettings(guildId, settings, this.mode !== 'postgres');
+
+    if (this.mode === 'postgres') {
+      try {
+        await this._withTimeout(() => this.pg.setPluginSettings(guildId, settings), 1000);
+      } catch (error) {
+        logger.debug(`PostgreSQL write failed, queued for sync: ${error.message}`);
+        this.local.addToSyncQueue('guild_settings', 'UPDATE', {
+          guild_id: guildId,
+          plugin_settings: settings
+        });
+      }
+    }
+  }
+
   async addMoney(userId, amount) {
     const newBalance = this.local.addMoney(userId, amount, this.mode !== 'postgres');
     
@@ -755,6 +1351,107 @@ class ResilientDatabaseManager {
     return result;
   }
 
+  // Las colas de música viven solo en SQLite: son estado efímero del proceso
+  saveMusicQueue(data) {
+    if (!this.local) return;
+    this.local.saveMusicQueue(data);
+  }
+
+  getMusicQueues() {
+    if (!this.local) return [];
+    return this.local.getMusicQueues();
+  }
+
+  deleteMusicQueue(guildId) {
+    if (!this.local) return;
+    this.local.deleteMusicQueue(guildId);
+  }
+
+  saveCooldown(key, expiresAt) {
+    if (!this.local) return;
+    this.local.saveCooldown(key, expiresAt);
+  }
+
+  getCooldowns(now) {
+    if (!this.local) return [];
+    return this.local.getCooldowns(now);
+  }
+
+  clearExpiredCooldowns(now) {
+    if (!this.local) return 0;
+    return this.local.clearExpiredCooldowns(now);
+  }
+
+  // Las tablas de los plugins viven en SQLite (ver plugins/PluginManager.js)
+  getPluginMigrations(plugin) {
+    if (!this.local) return [];
+    return this.local.getPluginMigrations(plugin);
+  }
+
+  applyPluginMigration(plugin, migration, sql) {
+    if (!this.local) throw new Error('Base de datos local no disponible');
+    this.local.applyPluginMigration(plugin, migration, sql);
+  }
+
+  async getPlaylist(scope, ownerId, name) {
+    if (this.mode === 'postgres') {
+      return this._withFallback(
+        () => this.pg.getPlaylist(scope, ownerId, name),
+        () => this.local.getPlaylist(scope, ownerId, name)
+      );
+    }
+
+    return this.local.getPlaylist(scope, ownerId, name);
+  }
+
+  async getPlaylistByCode(shareCode) {
+    if (this.mode === 'postgres') {
+      return this._withFallback(
+        () => this.pg.getPlaylistByCode(shareCode),
+        () => this.local.getPlaylistByCode(shareCode)
+      );
+    }
+
+    return this.local.getPlaylistByCode(shareCode);
+  }
+
+  async listPlaylists(scope, ownerId) {
+    if (this.mode === 'postgres') {
+      return this._withFallback(
+        () => this.pg.listPlaylists(scope, ownerId),
+        () => this.local.listPlaylists(scope, ownerId)
+      );
+    }
+
+    return this.local.listPlaylists(scope, ownerId);
+  }
+
+  async savePlaylist(playlist) {
+    this.local.savePlaylist(playlist, this.mode !== 'postgres');
+
+    if (this.mode === 'postgres') {
+      try {
+        await this._withTimeout(() => this.pg.savePlaylist(playlist), 1000);
+      } catch (error) {
+        logger.debug(`PostgreSQL write failed, queued for sync: ${error.message}`);
+        this.local.addToSyncQueue('playlists', 'UPSERT', playlist);
+      }
+    }
+  }
+
+  async deletePlaylist(id) {
+    this.local.deletePlaylist(id, this.mode !== 'postgres');
+
+    if (this.mode === 'postgres') {
+      try {
+        await this._withTimeout(() => this.pg.deletePlaylist(id), 1000);
+      } catch (error) {
+        logger.debug(`PostgreSQL write failed, queued for sync: ${error.message}`);
+        this.local.addToSyncQueue('playlists', 'DELETE', { id });
+      }
+    }
+  }
+
   // ========================================
   // SISTEMA DE SINCRONIZACIÓN
   // ========================================
@@ -774,6 +1471,15 @@ class ResilientDatabaseManager {
       return;
     }
 
+    // Resúmenes de analytics: van aparte de la sync_queue (se sobrescriben, no se acumulan)
+    if (this.analytics) {
+      try {
+        await this.analytics.syncToPostgres();
+      } catch (error) {
+        logger.debug(`❌ Sync de analytics fallido: ${error.message}`);
+      }
+    }
+
     const queue = this.local.getSyncQueue(this.config.maxSyncBatch);
     if (queue.length === 0) {
       logger.debug("⏭️ Sync saltado: queue vacía");
@@ -802,6 +1508,18 @@ class ResilientDatabaseManager {
               await this.pg.setGuildPrefix(data.guild_id, data.prefix);
               logger.debug(`  ✅ Prefix actualizado: ${data.guild_id} → ${data.prefix}`);
             }
+            if (data.music_settings) {
+              await this.pg.setMusicSettings(data.guild_id, data.music_settings);
+              logger.debug(`  ✅ Ajustes de música actualizados: ${data.guild_id}`);
+            }
+            if (data.command_settings) {
+              await this.pg.setCommandSettings(data.guild_id, data.command_settings);
+              logger.debug(`  ✅ Ajustes de comandos actualizados: ${data.guild_id}`);
+            }
+            if (data.plugin_settings) {
+              await this.pg.setPluginSettings(data.guild_id, data.plugin_settings);
+              logger.debug(`  ✅ Ajustes de plugins actualizados: ${data.guild_id}`);
+            }
             break;
           
           case 'economy':
@@ -817,6 +1535,16 @@ class ResilientDatabaseManager {
               logger.debug(`  ✅ XP añadido: ${data.user_id} +${data.amount}`);
             }
             break;
+
+          case 'playlists':
+            if (item.operation === 'UPSERT') {
+              await this.pg.savePlaylist(data);
+              logger.debug(`  ✅ Playlist guardada: ${data.name} (${data.id})`);
+            } else if (item.operation === 'DELETE') {
+              await this.pg.deletePlaylist(data.id);
+              logger.debug(`  ✅ Playlist eliminada: ${data.id}`);
+            }
+            break;
         }
         
         this.local.markSyncSuccess(item.id);
@@ -951,6 +1679,10 @@ class ResilientDatabaseManager {
       await this.syncToPostgres();
     }
     
+    if (this.analytics) {
+      this.analytics.destroy();
+    }
+    
     if (this.local) {
       this.local.close();
     }
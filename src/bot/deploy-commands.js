@@ -1,12 +1,29 @@
-import { REST, Routes } from "discord.js";
+import {
+  REST,
+  Routes,
+  ApplicationIntegrationType,
+  InteractionContextType
+} from "discord.js";
 import "dotenv/config";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { discoverPlugins, readManifest } from "./plugins/manifest.js";
+import { registerCommandSource } from "./localization/TranslatorHelper.js";
+import { validateCommands, diffCommands, GLOBAL_ONLY_FIELDS } from "./utils/commandDeploy.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Uso: node src/bot/deploy-commands.js [--dry-run] [--guild[=<id>]]
+//   --dry-run  muestra qué cambiaría sin registrar nada
+//   --guild    despliega en un servidor de pruebas (DEV_GUILD_ID o el id indicado)
+//              en vez de globalmente; los cambios se ven al instante
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const guildArg = args.find(arg => arg === "--guild" || arg.startsWith("--guild="));
+const guildId = guildArg ? (guildArg.split("=")[1] || process.env.DEV_GUILD_ID) : null;
+
 const commands = [];
 
 // ✅ Convertir BigInt a String recursivamente
@@ -32,6 +49,20 @@ function convertBigIntsToStrings(obj) {
   return obj;
 }
 
+// ✅ Contextos y NSFW desde la metadata del comando (CommandMetadata)
+// Los comandos de servidor no aparecen en DMs; el resto, también en el DM con el bot
+function applyMetadata(json, metadata) {
+  if (!metadata) return json;
+
+  json.integration_types = [ApplicationIntegrationType.GuildInstall];
+  json.contexts = metadata.guildOnly
+    ? [InteractionContextType.Guild]
+    : [InteractionContextType.Guild, InteractionContextType.BotDM];
+  json.nsfw = metadata.nsfw;
+
+  return json;
+}
+
 // ✅ Función para leer comandos recursivamente
 async function readCommands(dir) {
   const files = fs.readdirSync(dir);
@@ -46,34 +77,113 @@ async function readCommands(dir) {
 
     if (!file.endsWith(".js")) continue;
 
-    const cmd = await import(`file://${fullPath}`);
+    await addCommand(fullPath);
+  }
+}
 
-    if (!cmd.data) {
-      console.log(`Skipping non-command file (no exported 'data'): ${fullPath}`);
-      continue;
+async function addCommand(fullPath) {
+  const cmd = await import(`file://${fullPath}`);
+
+  if (!cmd.data) {
+    console.log(`Skipping non-command file (no exported 'data'): ${fullPath}`);
+    return;
+  }
+
+  // ✅ Serializar y convertir todos los BigInt
+  const json = cmd.data.toJSON();
+  const cleaned = applyMetadata(convertBigIntsToStrings(json), cmd.data.metadata);
+  
+  commands.push(cleaned);
+}
+
+// 🧩 Comandos de plugins (su carpeta i18n se registra antes de importarlos)
+async function readPluginCommands() {
+  for (const dir of discoverPlugins()) {
+    try {
+      const manifest = readManifest(dir);
+      if (manifest.i18n) registerCommandSource(manifest.name, manifest.i18n);
+
+      for (const file of manifest.commands) {
+        await addCommand(file);
+      }
+    } catch (error) {
+      console.error(`❌ Skipping plugin ${path.basename(dir)}: ${error.message}`);
     }
+  }
+}
 
-    // ✅ Serializar y convertir todos los BigInt
-    const json = cmd.data.toJSON();
-    const cleaned = convertBigIntsToStrings(json);
-    
-    commands.push(cleaned);
+// Comandos ya registrados (con localizaciones, que la API omite por defecto)
+async function fetchRegistered(rest) {
+  const route = guildId
+    ? Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId)
+    : Routes.applicationCommands(process.env.CLIENT_ID);
+
+  return rest.get(route, { query: new URLSearchParams({ with_localizations: "true" }) });
+}
+
+function printPlan(diff) {
+  const scope = guildId ? `guild ${guildId}` : "global";
+
+  console.log(
+    `\n📋 Deploy plan (${scope}): ${diff.added.length} to add, ${diff.changed.length} to change, ` +
+    `${diff.removed.length} to remove, ${diff.unchanged.length} unchanged`
+  );
+
+  diff.added.forEach(cmd => console.log(`  + /${cmd.name}`));
+  diff.changed.forEach(({ command, fields }) => console.log(`  ~ /${command.name} (${fields.join(", ")})`));
+  diff.removed.forEach(cmd => console.log(`  - /${cmd.name}`));
+}
+
+// Solo las peticiones necesarias: crear, editar o borrar cada comando
+async function applyDiff(rest, diff) {
+  const appId = process.env.CLIENT_ID;
+  const listRoute = guildId ? Routes.applicationGuildCommands(appId, guildId) : Routes.applicationCommands(appId);
+  const commandRoute = id => (guildId ? Routes.applicationGuildCommand(appId, guildId, id) : Routes.applicationCommand(appId, id));
+
+  const requests = [
+    ...diff.added.map(cmd => ({ label: `+ /${cmd.name}`, run: () => rest.post(listRoute, { body: cmd }) })),
+    ...diff.changed.map(({ command, id }) => ({
+      label: `~ /${command.name}`,
+      run: () => rest.patch(commandRoute(id), { body: command })
+    })),
+    ...diff.removed.map(cmd => ({ label: `- /${cmd.name}`, run: () => rest.delete(commandRoute(cmd.id)) }))
+  ];
+
+  let failed = 0;
+  for (const { label, run } of requests) {
+    try {
+      await run();
+      console.log(`  ✅ ${label}`);
+    } catch (err) {
+      failed++;
+      console.error(`  ❌ ${label}: ${err.message}`);
+    }
   }
+
+  return failed;
 }
 
 async function main() {
+  if (guildArg && !guildId) {
+    console.error("❌ --guild needs an id (--guild=<id>) or DEV_GUILD_ID");
+    setTimeout(() => process.exit(1), 100);
+    return;
+  }
+
   await readCommands(path.join(__dirname, "commands"));
+  await readPluginCommands();
 
-  // 🔍 Verificar duplicados
-  const commandNames = commands.map(cmd => cmd.name);
-  const duplicates = commandNames.filter((name, index) => 
-    commandNames.indexOf(name) !== index
-  );
+  // Los comandos de servidor no admiten contextos de instalación
+  if (guildId) {
+    commands.forEach(cmd => GLOBAL_ONLY_FIELDS.forEach(field => delete cmd[field]));
+  }
+
+  // 🔍 Validar límites de Discord antes de llamar a la API
+  const errors = validateCommands(commands);
 
-  if (duplicates.length > 0) {
-    console.error("❌ Duplicate command names found:", [...new Set(duplicates)]);
-    console.log("\nAll commands being registered:");
-    commands.forEach((cmd, i) => console.log(`  ${i + 1}. ${cmd.name}`));
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} validation error(s):`);
+    errors.forEach(error => console.error(`  • ${error}`));
     setTimeout(() => process.exit(1), 100);
     return;
   }
@@ -82,26 +192,35 @@ async function main() {
     .setToken(process.env.DISCORD_TOKEN);
 
   try {
-    console.log(`📄 Registering ${commands.length} slash commands...`);
+    const diff = diffCommands(commands, await fetchRegistered(rest), { guild: Boolean(guildId) });
+    printPlan(diff);
 
-    // ✅ Registrar comandos
-    await rest.put(
-      Routes.applicationCommands(process.env.CLIENT_ID),
-      { body: commands }
-    );
+    if (dryRun) {
+      console.log("\n🔍 Dry run: nothing was registered");
+      setTimeout(() => process.exit(0), 100);
+      return;
+    }
 
-    console.log(`✅ Successfully registered ${commands.length} commands`);
-    
-    // Lista de comandos registrados
-    console.log("\nCommands registered:");
-    commands.forEach((cmd, i) => {
-      console.log(`  ${i + 1}. /${cmd.name}`);
-    });
-    
+    if (diff.added.length + diff.changed.length + diff.removed.length === 0) {
+      console.log("\n✅ Slash commands are already up to date");
+      setTimeout(() => process.exit(0), 100);
+      return;
+    }
+
+    console.log("\n📄 Applying changes...");
+    const failed = await applyDiff(rest, diff);
+
+    if (failed > 0) {
+      console.error(`\n❌ ${failed} request(s) failed`);
+      setTimeout(() => process.exit(1), 100);
+      return;
+    }
+
+    console.log(`\n✅ Successfully deployed ${commands.length} commands`);
     setTimeout(() => process.exit(0), 100);
     
   } catch (err) {
-    console.error("❌ Error registering commands:", err);
+    console.error("❌ Error deploying commands:", err);
     setTimeout(() => process.exit(1), 100);
   }
 }
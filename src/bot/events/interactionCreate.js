@@ -1,6 +1,7 @@
 // src/events/interactionCreate.js
 
 import { Events } from "discord.js";
+import { PANEL_PREFIX, handleControlPanelButton } from "../handlers/music/controlPanel.js";
 
 export default client => {
   client.on(Events.InteractionCreate, async interaction => {
@@ -29,5 +30,19 @@ export default client => {
       await client.commandHandler.execute(interaction);
       return;
     }
+    
+    // ✅ Botones del panel de música
+    // (otros botones los gestionan los collectors de cada comando)
+    if (interaction.isButton() && interaction.customId.startsWith(PANEL_PREFIX)) {
+      try {
+        await handleControlPanelButton(interaction);
+      } catch (error) {
+        console.error("❌ Music panel error:", error);
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.deferUpdate().catch(() => {});
+        }
+      }
+      return;
+    }
   });
 };
\ No newline at end of file
@@ -1,7 +1,14 @@
 import { Events } from "discord.js";
+import { startQueuePersistence, restoreQueues } from "../handlers/music/persistence.js";
 
 export default client => {
-  client.once(Events.ClientReady, () => {
+  client.once(Events.ClientReady, async () => {
     console.log(`✅ Bot online as ${client.user.tag}`);
+
+    // Reanudar las colas de música guardadas antes del último apagado
+    await restoreQueues(client).catch(error => {
+      console.error("❌ Error restaurando colas de música:", error.message);
+    });
+    startQueuePersistence(client);
   });
 };
@@ -0,0 +1,181 @@
+// src/handlers/commandSettings.js
+// ============================================
+// AJUSTES DE COMANDOS POR SERVIDOR
+// Activar/desactivar comandos, limitarlos a canales, categorías o roles
+// y cambiar su cooldown (en el servidor o por rol)
+// (guild_settings.command_settings)
+// ============================================
+
+import { createLogger } from "../utils/Logger.js";
+import { db } from "../database/ResilientDatabaseManager.js";
+import { pluginManager } from "../plugins/PluginManager.js";
+
+const logger = createLogger("settings:commands");
+
+// Sin ellos no se podría deshacer la configuración
+export const PROTECTED_COMMANDS = ["commands"];
+
+export const DEFAULT_COMMAND_OVERRIDE = {
+  disabled: false,
+  channels: [], // canales o categorías permitidos (vacío: todos)
+  allowedRoles: [], // vacío: cualquier rol
+  deniedRoles: [],
+  cooldown: null, // segundos (null: el del comando)
+  roleCooldowns: {} // roleId → segundos
+};
+
+// Se consultan en cada comando: evitar ir a la DB cada vez
+const settingsCache = new Map();
+
+/**
+ * Ajustes de comandos del servidor: { [nombreDelComando]: override }
+ *
+ * @param {string} guildId - ID del servidor
+ * @returns {Promise<Object>}
+ */
+export async function getCommandSettings(guildId) {
+  if (settingsCache.has(guildId)) {
+    return settingsCache.get(guildId);
+  }
+
+  let stored = {};
+  try {
+    stored = await db.getCommandSettings(guildId);
+  } catch (error) {
+    logger.warn(`⚠️ No se pudieron leer los ajustes de comandos de ${guildId}: ${error.message}`);
+  }
+
+  settingsCache.set(guildId, stored);
+  return stored;
+}
+
+/**
+ * Configuración de un comando (con valores por defecto)
+ *
+ * @param {Object} settings - Ajustes de comandos del servidor
+ * @param {string} commandName - Nombre del comando (data.name)
+ * @returns {Object}
+ */
+export function getCommandOverride(settings, commandName) {
+  return { ...DEFAULT_COMMAND_OVERRIDE, ...settings[commandName] };
+}
+
+function isDefaultOverride(override) {
+  return !override.disabled &&
+    override.channels.length === 0 &&
+    override.allowedRoles.length === 0 &&
+    override.deniedRoles.length === 0 &&
+    override.cooldown === null &&
+    Object.keys(override.roleCooldowns).length === 0;
+}
+
+/**
+ * Guarda cambios parciales en la configuración de un comando
+ * Si vuelve a los valores por defecto, se elimina
+ *
+ * @param {string} guildId - ID del servidor
+ * @param {string} commandName - Nombre del comando (data.name)
+ * @param {Object|null} changes - Claves a modificar (null: restablecer)
+ * @returns {Promise<Object>} Configuración resultante del comando
+ */
+export async function updateCommandOverride(guildId, commandName, changes) {
+  const settings = { ...await getCommandSettings(guildId) };
+  const override = changes
+    ? { ...getCommandOverride(settings, commandName), ...changes }
+    : { ...DEFAULT_COMMAND_OVERRIDE };
+
+  if (isDefaultOverride(override)) {
+    delete settings[commandName];
+  } else {
+    settings[commandName] = override;
+  }
+
+  await db.setCommandSettings(guildId, settings);
+  settingsCache.set(guildId, settings);
+
+  logger.info(`🧩 Ajustes de /${commandName} actualizados en ${guildId}`);
+  return override;
+}
+
+/**
+ * Verifica la configuración del servidor para un comando
+ * Quien gestiona el servidor ignora las restricciones de canal y rol,
+ * pero no los comandos desactivados
+ *
+ * @param {Object} settings - Ajustes de comandos del servidor
+ * @param {string} commandName - Nombre del comando (data.name)
+ * @param {GuildMember} member - Quien ejecuta
+ * @param {GuildChannel} channel - Canal donde se ejecuta
+ * @returns {{ allowed: boolean, reason?: string, params?: Object }}
+ */
+export function checkCommandOverride(settings, commandName, member, channel) {
+  if (PROTECTED_COMMANDS.includes(commandName) || !settings[commandName]) {
+    return { allowed: true };
+  }
+
+  const override = getCommandOverride(settings, commandName);
+
+  if (override.disabled) {
+    return { allowed: false, reason: "command_disabled" };
+  }
+
+  if (member?.permissions?.has("ManageGuild")) {
+    return { allowed: true };
+  }
+
+  if (override.channels.length > 0 && channel) {
+    // En un hilo cuentan su canal y la categoría de ese canal
+    const parents = [channel.id, channel.parentId, channel.parent?.parentId].filter(Boolean);
+
+    if (!parents.some(id => override.channels.includes(id))) {
+      return {
+        allowed: false,
+        reason: "command_channel_restricted",
+        params: { channels: override.channels.map(id => `<#${id}>`).join(", ") }
+      };
+    }
+  }
+
+  const roles = member?.roles?.cache;
+
+  if (override.deniedRoles.some(id => roles?.has(id))) {
+    return { allowed: false, reason: "command_role_denied" };
+  }
+
+  if (override.allowedRoles.length > 0 && !override.allowedRoles.some(id => roles?.has(id))) {
+    return {
+      allowed: false,
+      reason: "command_role_required",
+      params: { roles: override.allowedRoles.map(id => `<@&${id}>`).join(", ") }
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Filtro con lo que comprueba CommandHandler antes de ejecutar: reglas de
+ * contexto (incluye los permisos de la metadata), plugins desactivados
+ * y ajustes del servidor
+ *
+ * @param {Object} context - Contexto del comando
+ * @returns {Promise<Function>} (command) => boolean
+ */
+export async function createCommandFilter(context) {
+  const settings = context.guild ? await getCommandSettings(context.guild.id) : {};
+  const disabledPlugins = context.guild ? await pluginManager.getDisabledPlugins(context.guild.id) : new Set();
+
+  return (command) => {
+    const metadata = command.data.metadata;
+    if (metadata && !metadata.canExecuteIn(context.channel, context.member).allowed) {
+      return false;
+    }
+
+    if (command.plugin && disabledPlugins.has(command.plugin)) {
+      return false;
+    }
+
+    return !context.guild ||
+      checkCommandOverride(settings, command.data.name, context.member, context.channel).allowed;
+  };
+}
@@ -0,0 +1,266 @@
+// src/handlers/music/controlPanel.js
+// ============================================
+// PANEL DE CONTROL DE MÚSICA
+// Mensaje "Now Playing" por servidor con botones y barra de progreso
+// ============================================
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import EmbedFactory from "../../utils/EmbedFactory.js";
+import {
+  queues,
+  MAX_VOLUME,
+  checkMusicControl,
+  createNowPlayingEmbed,
+  formatDuration
+} from "./utils.js";
+import { checkDJ, getMusicSettings, registerSkipVote } from "./settings.js";
+import { isRequestChannel, scheduleRequestPanelUpdate } from "./requestChannel.js";
+
+const logger = createLogger("music:panel");
+
+// Prefijo de customId para enrutar desde interactionCreate
+export const PANEL_PREFIX = "music_panel:";
+
+const VOLUME_STEP = 10;
+const LOOP_MODES = ["off", "track", "queue"];
+
+// Lavalink manda "playerUpdate" cada ~5s; editar el mensaje tan seguido agota el rate limit
+const REFRESH_INTERVAL_MS = 15_000;
+
+function button(action, emoji, style = ButtonStyle.Secondary, disabled = false) {
+  return new ButtonBuilder()
+    .setCustomId(`${PANEL_PREFIX}${action}`)
+    .setEmoji(emoji)
+    .setStyle(style)
+    .setDisabled(disabled);
+}
+
+function createPanelButtons(player, queue, disabled = false) {
+  const paused = player?.paused ?? false;
+  const volume = player?.volume ?? 100;
+
+  return [
+    new ActionRowBuilder().addComponents(
+      button(paused ? "resume" : "pause", paused ? "▶️" : "⏸️", ButtonStyle.Primary, disabled),
+      button("skip", "⏭️", ButtonStyle.Secondary, disabled),
+      button("stop", "⏹️", ButtonStyle.Danger, disabled)
+    ),
+    new ActionRowBuilder().addComponents(
+      button("loop", queue.loop === "track" ? "🔂" : "🔁",
+        queue.loop === "off" ? ButtonStyle.Secondary : ButtonStyle.Success, disabled),
+      button("shuffle", "🔀", ButtonStyle.Secondary, disabled || queue.tracks.length < 2),
+      button("volume_down", "🔉", ButtonStyle.Secondary, disabled || volume <= 0),
+      button("volume_up", "🔊", ButtonStyle.Secondary, disabled || volume >= MAX_VOLUME)
+    )
+  ];
+}
+
+/**
+ * Construye el contenido del panel para el track actual
+ *
+ * @param {Object} queue - Entrada de `queues`
+ * @param {Player} player - Player de Shoukaku
+ * @returns {Object} Opciones de mensaje ({ embeds, components })
+ */
+export function buildControlPanel(queue, player) {
+  const t = queue.translator;
+  const track = queue.current;
+  const embed = createNowPlayingEmbed(track, t, queue);
+
+  if (!track.info.isStream) {
+    const position = Math.min(player?.position ?? 0, track.info.length);
+
+    embed.addFields({
+      name: player?.paused ? `${t("progress")} · ${t("paused")}` : t("progress"),
+      value: `${formatDuration(position)} ${EmbedFactory.progressBar(position, track.info.length)} ${formatDuration(track.info.length)}`
+    });
+  }
+
+  embed.addFields(
+    { name: t("volume"), value: `${player?.volume ?? 100}%`, inline: true },
+    { name: t("in_queue"), value: `${queue.tracks.length}`, inline: true }
+  );
+
+  return { embeds: [embed], components: createPanelButtons(player, queue) };
+}
+
+/**
+ * Publica el panel del track actual
+ * Reutiliza el mensaje del servidor si sigue existiendo
+ *
+ * @param {Guild} guild - Servidor
+ * @param {Object} queue - Entrada de `queues`
+ */
+export async function sendControlPanel(guild, queue) {
+  scheduleRequestPanelUpdate(guild);
+
+  // En el canal de peticiones el panel fijado hace de panel de control
+  if (await isRequestChannel(guild.id, queue.textChannel?.id)) {
+    queue.contextHandled = true;
+    return;
+  }
+
+  const player = guild.client.lavalink.shoukaku.players.get(guild.id);
+  const panel = buildControlPanel(queue, player);
+
+  queue.panelUpdatedAt = Date.now();
+
+  // Primer track: se responde al comando que inició la reproducción
+  if (!queue.contextHandled && queue.originalContext) {
+    queue.contextHandled = true;
+    queue.panelMessage = await queue.originalContext.editReply(panel);
+    return;
+  }
+
+  if (queue.panelMessage) {
+    try {
+      await queue.panelMessage.edit(panel);
+      return;
+    } catch (error) {
+      logger.debug(`Panel anterior no disponible, enviando uno nuevo: ${error.message}`);
+      queue.panelMessage = null;
+    }
+  }
+
+  queue.panelMessage = await queue.textChannel?.send(panel).catch(error => {
+    logger.warn(`⚠️ No se pudo enviar el panel: ${error.message}`);
+    return null;
+  }) ?? null;
+}
+
+/**
+ * Refresca la barra de progreso (limitado a REFRESH_INTERVAL_MS)
+ *
+ * @param {Guild} guild - Servidor
+ * @param {Object} queue - Entrada de `queues`
+ * @param {boolean} force - Ignorar el límite de frecuencia
+ */
+export async function refreshControlPanel(guild, queue, force = false) {
+  if (!queue.panelMessage || !queue.current) return;
+  if (!force && Date.now() - (queue.panelUpdatedAt || 0) < REFRESH_INTERVAL_MS) return;
+
+  queue.panelUpdatedAt = Date.now();
+
+  const player = guild.client.lavalink.shoukaku.players.get(guild.id);
+
+  try {
+    await queue.panelMessage.edit(buildControlPanel(queue, player));
+  } catch (error) {
+    logger.debug(`No se pudo refrescar el panel: ${error.message}`);
+    queue.panelMessage = null;
+  }
+}
+
+/**
+ * Deja el panel sin botones cuando la reproducción termina
+ *
+ * @param {Object} queue - Entrada de `queues`
+ */
+export async function closeControlPanel(queue) {
+  scheduleRequestPanelUpdate(queue.textChannel?.guild);
+
+  const message = queue.panelMessage;
+  if (!message) return;
+
+  queue.panelMessage = null;
+
+  try {
+    await message.edit({ components: [] });
+  } catch (error) {
+    logger.debug(`No se pudo cerrar el panel: ${error.message}`);
+  }
+}
+
+/**
+ * Maneja los botones del panel (enrutado desde interactionCreate)
+ * Solo los miembros del canal de voz del bot pueden usarlos
+ *
+ * @param {ButtonInteraction} interaction
+ */
+export async function handleControlPanelButton(interaction) {
+  const t = await createTranslator({ category: "music", name: "nowplaying" }, interaction);
+  const action = interaction.customId.slice(PANEL_PREFIX.length);
+
+  const { allowed, reason, player, queue } = checkMusicControl(interaction);
+
+  if (!allowed) {
+    // Panel huérfano (cola terminada o bot reiniciado): quitar botones
+    if (reason === "not_playing" && !queues.has(interaction.guildId)) {
+      await interaction.update({ components: [] }).catch(() => {});
+      return interaction.followUp({ content: t(reason), ephemeral: true }).catch(() => {});
+    }
+    return interaction.reply({ content: t(reason), ephemeral: true });
+  }
+
+  logger.debug(`🎛️ ${interaction.user.tag} → ${action} en ${interaction.guild.name}`);
+
+  const dj = await checkDJ(interaction, queue);
+
+  if (!dj.allowed && action === "skip") {
+    const settings = await getMusicSettings(interaction.guildId);
+    const { votes, required, passed, alreadyVoted } = registerSkipVote(queue, interaction.member, settings);
+
+    if (!passed) {
+      const content = t(alreadyVoted ? "already_voted" : "vote_registered", { votes, required });
+      return interaction.reply({ content, ephemeral: alreadyVoted });
+    }
+  } else if (!dj.allowed) {
+    return interaction.reply({ content: t(dj.reason), ephemeral: true });
+  }
+
+  switch (action) {
+    case "pause":
+    case "resume":
+      await player.setPaused(action === "pause");
+      break;
+
+    case "skip":
+      if (player.paused) {
+        await player.setPaused(false);
+      }
+      // "end" con reason "stopped" → playback.js continúa y actualiza el panel
+      await interaction.deferUpdate();
+      await player.stopTrack();
+      return;
+
+    case "stop":
+      player.removeAllListeners();
+      queues.delete(interaction.guildId);
+      // Igual que closeControlPanel (/stop), pero el mensaje se edita con la propia interacción
+      scheduleRequestPanelUpdate(interaction.guild);
+      await interaction.update({ components: [] });
+      queue.panelMessage = null;
+      await interaction.client.lavalink.shoukaku.leaveVoiceChannel(interaction.guildId);
+      logger.info(`⏹️ Reproducción detenida desde el panel en ${interaction.guild.name}`);
+      return interaction.followUp({ content: t("panel_stopped", { user: interaction.user.toString() }) });
+
+    case "loop":
+      queue.loop = LOOP_MODES[(LOOP_MODES.indexOf(queue.loop) + 1) % LOOP_MODES.length];
+      break;
+
+    case "shuffle": {
+      const tracks = queue.tracks;
+      for (let i = tracks.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
+      }
+      break;
+    }
+
+    case "volume_down":
+    case "volume_up": {
+      const delta = action === "volume_up" ? VOLUME_STEP : -VOLUME_STEP;
+      const volume = Math.max(0, Math.min(MAX_VOLUME, player.volume + delta));
+      await player.setGlobalVolume(volume);
+      break;
+    }
+
+    default:
+      return interaction.deferUpdate();
+  }
+
+  queue.panelUpdatedAt = Date.now();
+  await interaction.update(buildControlPanel(queue, player));
+}
@@ -0,0 +1,148 @@
+// src/handlers/music/filters.js
+// ============================================
+// FILTROS DE AUDIO (LAVALINK)
+// Presets por nombre; la cola guarda los activos y se reaplican al mover/restaurar
+// ============================================
+
+import { createLogger } from "../../utils/Logger.js";
+
+const logger = createLogger("music:filters");
+
+// Lavalink reemplaza el set completo: los filtros no usados van explícitamente a null
+const EMPTY_FILTERS = {
+  volume: 1,
+  equalizer: [],
+  karaoke: null,
+  timescale: null,
+  tremolo: null,
+  vibrato: null,
+  rotation: null,
+  distortion: null,
+  channelMix: null,
+  lowPass: null
+};
+
+// 15 bandas (25 Hz → 16 kHz), ganancia -0.25 a 1.0
+function bands(gains) {
+  return gains.map((gain, band) => ({ band, gain }));
+}
+
+export const EQUALIZER_PRESETS = {
+  flat: bands([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+  pop: bands([-0.05, 0.05, 0.1, 0.15, 0.1, 0.05, 0, -0.05, -0.05, 0, 0.05, 0.1, 0.1, 0.05, 0]),
+  rock: bands([0.2, 0.15, 0.1, 0.05, -0.05, -0.1, -0.05, 0, 0.05, 0.1, 0.15, 0.2, 0.2, 0.2, 0.2]),
+  electronic: bands([0.25, 0.2, 0.1, 0, -0.05, 0.05, 0.05, 0, 0.05, 0.1, 0.15, 0.2, 0.2, 0.25, 0.25]),
+  treble: bands([-0.1, -0.1, -0.05, 0, 0, 0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.3, 0.3, 0.3]),
+  soft: bands([0, 0, 0, 0, 0, 0, 0, 0, -0.1, -0.15, -0.2, -0.2, -0.25, -0.25, -0.25])
+};
+
+export const BASSBOOST_LEVELS = {
+  low: 0.1,
+  medium: 0.2,
+  high: 0.35
+};
+
+/**
+ * Construye el fragmento de filtros de un preset
+ *
+ * @param {string} name - Nombre del filtro (bassboost, nightcore, ...)
+ * @param {Object} settings - Ajustes del preset (nivel, preset EQ, timescale...)
+ * @returns {Object|null} Fragmento de FilterOptions o null si no existe
+ */
+export function createFilter(name, settings = {}) {
+  switch (name) {
+    case "bassboost": {
+      const gain = BASSBOOST_LEVELS[settings.level] ?? BASSBOOST_LEVELS.medium;
+      // Graves arriba, el resto se atenúa progresivamente
+      return {
+        equalizer: bands([gain, gain, gain * 0.8, gain * 0.5, gain * 0.2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])
+      };
+    }
+    case "nightcore":
+      return { timescale: { speed: 1.2, pitch: 1.2, rate: 1 } };
+    case "vaporwave":
+      return { timescale: { speed: 0.85, pitch: 0.8, rate: 1 } };
+    case "8d":
+      return { rotation: { rotationHz: 0.2 } };
+    case "karaoke":
+      return { karaoke: { level: 1, monoLevel: 1, filterBand: 220, filterWidth: 100 } };
+    case "timescale":
+      return {
+        timescale: {
+          speed: settings.speed ?? 1,
+          pitch: settings.pitch ?? 1,
+          rate: settings.rate ?? 1
+        }
+      };
+    case "equalizer":
+      return EQUALIZER_PRESETS[settings.preset]
+        ? { equalizer: EQUALIZER_PRESETS[settings.preset] }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Activa o desactiva un filtro en la cola
+ * Los filtros que tocan la misma propiedad (p. ej. nightcore y vaporwave) se reemplazan
+ *
+ * @param {Object} queue - Entrada de `queues`
+ * @param {string} name - Nombre del filtro
+ * @param {Object} settings - Ajustes del preset
+ * @param {boolean} toggle - Desactivar si ya estaba activo con los mismos ajustes
+ * @returns {boolean} true si quedó activo, false si se desactivó
+ */
+export function setQueueFilter(queue, name, settings = {}, toggle = true) {
+  const current = queue.filters[name];
+
+  if (toggle && current && JSON.stringify(current.settings) === JSON.stringify(settings)) {
+    delete queue.filters[name];
+    return false;
+  }
+
+  const options = createFilter(name, settings);
+  const keys = Object.keys(options);
+
+  for (const [activeName, active] of Object.entries(queue.filters)) {
+    const overlaps = Object.keys(createFilter(activeName, active.settings) || {})
+      .some(key => keys.includes(key));
+
+    if (overlaps) delete queue.filters[activeName];
+  }
+
+  queue.filters[name] = { settings };
+  return true;
+}
+
+/**
+ * Combina los filtros activos en un FilterOptions completo
+ *
+ * @param {Object} activeFilters - queue.filters
+ * @returns {Object} FilterOptions listo para player.setFilters
+ */
+export function buildFilterOptions(activeFilters = {}) {
+  const options = { ...EMPTY_FILTERS };
+
+  for (const [name, { settings }] of Object.entries(activeFilters)) {
+    Object.assign(options, createFilter(name, settings));
+  }
+
+  return options;
+}
+
+/**
+ * Aplica al player los filtros guardados en la cola
+ *
+ * @param {Player} player - Player de Shoukaku
+ * @param {Object} queue - Entrada de `queues`
+ */
+export async function applyQueueFilters(player, queue) {
+  try {
+    await player.setFilters(buildFilterOptions(queue.filters));
+    logger.debug(`🎚️ Filtros aplicados: ${Object.keys(queue.filters).join(", ") || "ninguno"}`);
+  } catch (error) {
+    logger.error("❌ Error aplicando filtros", error);
+    throw error;
+  }
+}
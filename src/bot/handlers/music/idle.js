@@ -0,0 +1,147 @@
+// src/handlers/music/idle.js
+// ============================================
+// DESCONEXIÓN POR INACTIVIDAD Y MODO 24/7
+// Sale del canal cuando la cola termina o se queda sin oyentes;
+// pausa sola mientras no queda nadie escuchando
+// ============================================
+
+import { createLogger } from "../../utils/Logger.js";
+import { getCustomLevelsConfig } from "../../commands/config/CustomLevelsConfig.js";
+import { queues } from "./utils.js";
+import { closeControlPanel } from "./controlPanel.js";
+import { getMusicSettings, getListeners } from "./settings.js";
+
+const logger = createLogger("music:idle");
+
+// guildId → { timeout, reason } ("queue_end" | "empty")
+const idleTimers = new Map();
+
+/**
+ * 24/7 solo cuenta en servidores premium (si deja de serlo, vuelve a desconectarse)
+ *
+ * @param {string} guildId - ID del servidor
+ * @param {Object} settings - Ajustes de música del servidor
+ * @returns {boolean}
+ */
+export function isStayConnected(guildId, settings) {
+  return settings.stayConnected && getCustomLevelsConfig().isPremium(guildId);
+}
+
+/**
+ * Programa la salida del canal de voz
+ *
+ * @param {Guild} guild - Servidor
+ * @param {string} reason - "queue_end" (cola terminada) o "empty" (sin oyentes)
+ */
+export async function scheduleIdleDisconnect(guild, reason) {
+  const settings = await getMusicSettings(guild.id);
+
+  if (isStayConnected(guild.id, settings)) {
+    logger.debug(`🌙 24/7 activo en ${guild.name}, no se programa salida (${reason})`);
+    return;
+  }
+
+  // "empty" tiene prioridad: no la reemplaza un fin de cola
+  const existing = idleTimers.get(guild.id);
+  if (existing && (existing.reason === reason || existing.reason === "empty")) return;
+
+  cancelIdleDisconnect(guild.id);
+
+  const minutes = reason === "empty" ? settings.emptyTimeoutMinutes : settings.idleTimeoutMinutes;
+  const timeout = setTimeout(() => {
+    idleTimers.delete(guild.id);
+    disconnectIdle(guild, reason).catch(error => {
+      logger.error(`❌ Error desconectando por inactividad en ${guild.name}`, error);
+    });
+  }, minutes * 60 * 1000);
+
+  idleTimers.set(guild.id, { timeout, reason });
+  logger.debug(`⏳ Salida programada en ${guild.name} dentro de ${minutes} min (${reason})`);
+}
+
+/**
+ * Cancela la salida programada
+ *
+ * @param {string} guildId - ID del servidor
+ * @param {string|null} reason - Cancelar solo si coincide el motivo
+ */
+export function cancelIdleDisconnect(guildId, reason = null) {
+  const existing = idleTimers.get(guildId);
+  if (!existing || (reason && existing.reason !== reason)) return;
+
+  clearTimeout(existing.timeout);
+  idleTimers.delete(guildId);
+}
+
+async function disconnectIdle(guild, reason) {
+  const shoukaku = guild.client.lavalink.shoukaku;
+  const player = shoukaku.players.get(guild.id);
+  const queue = queues.get(guild.id);
+
+  // La cola volvió a sonar mientras corría el temporizador
+  if (reason === "queue_end" && queue?.current) return;
+
+  if (player) {
+    player.removeAllListeners();
+  }
+
+  queues.delete(guild.id);
+  if (queue) {
+    await closeControlPanel(queue);
+  }
+
+  await shoukaku.leaveVoiceChannel(guild.id);
+  logger.info(`💤 Desconectado de ${guild.name} por inactividad (${reason})`);
+
+  if (queue?.translator && queue.textChannel) {
+    await queue.textChannel.send({
+      content: queue.translator(reason === "empty" ? "empty_disconnect" : "idle_disconnect")
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Reacciona a cambios de oyentes en el canal del bot:
+ * pausa y programa la salida al quedarse solo, reanuda cuando vuelve alguien
+ *
+ * @param {Guild} guild - Servidor
+ */
+export async function handleListenersChange(guild) {
+  const botChannel = guild.members.me?.voice?.channel;
+  const queue = queues.get(guild.id);
+  const player = guild.client.lavalink.shoukaku.players.get(guild.id);
+
+  if (!botChannel || !player) return;
+
+  const settings = await getMusicSettings(guild.id);
+  const alone = getListeners(botChannel).size === 0;
+
+  if (alone) {
+    if (settings.autoPause && queue?.current && !player.paused) {
+      await player.setPaused(true);
+      queue.autoPaused = true;
+      logger.info(`⏸️ Pausa automática en ${guild.name}: no quedan oyentes`);
+      queue.textChannel?.send({ content: queue.translator("auto_paused") }).catch(() => {});
+    }
+
+    await scheduleIdleDisconnect(guild, "empty");
+    return;
+  }
+
+  cancelIdleDisconnect(guild.id, "empty");
+
+  if (queue?.autoPaused) {
+    queue.autoPaused = false;
+
+    if (player.paused) {
+      await player.setPaused(false);
+      logger.info(`▶️ Reanudado en ${guild.name}: volvió un oyente`);
+      queue.textChannel?.send({ content: queue.translator("auto_resumed") }).catch(() => {});
+    }
+  }
+
+  // Se reprograma la salida por cola terminada si seguía vacía
+  if (queue && !queue.current) {
+    await scheduleIdleDisconnect(guild, "queue_end");
+  }
+}
@@ -0,0 +1,124 @@
+// src/handlers/music/limits.js
+// ============================================
+// LÍMITES DE COLA POR SERVIDOR
+// Largo de la cola, duración máxima, tracks por usuario, duplicados y fuentes
+// Los servidores premium tienen topes más altos
+// ============================================
+
+import { getCustomLevelsConfig } from "../../commands/config/CustomLevelsConfig.js";
+import { queues } from "./utils.js";
+import { getMusicSettings } from "./settings.js";
+
+// Topes máximos; lo configurado por el servidor nunca los supera
+export const LIMIT_CAPS = {
+  free: { maxQueueLength: 200, maxTrackMinutes: 60, maxTracksPerUser: 50 },
+  premium: { maxQueueLength: 1000, maxTrackMinutes: 600, maxTracksPerUser: 500 }
+};
+
+// Fuentes configurables (sourceName de Lavalink); las demás no se filtran
+export const MUSIC_SOURCES = ["youtube", "soundcloud", "http"];
+
+// Tracks rechazados que se listan en el aviso
+const REJECTED_PREVIEW = 10;
+
+/**
+ * Límites efectivos del servidor (configurado o tope, lo que sea menor)
+ *
+ * @param {string} guildId - ID del servidor
+ * @param {Object} settings - Ajustes de música del servidor
+ * @returns {{ premium: boolean, maxQueueLength: number, maxTrackMinutes: number,
+ *   maxTracksPerUser: number, blockDuplicates: boolean, allowedSources: string[] }}
+ */
+export function getQueueLimits(guildId, settings) {
+  const premium = getCustomLevelsConfig().isPremium(guildId);
+  const caps = premium ? LIMIT_CAPS.premium : LIMIT_CAPS.free;
+  const limit = (key) => Math.min(settings[key] ?? caps[key], caps[key]);
+
+  return {
+    premium,
+    maxQueueLength: limit("maxQueueLength"),
+    maxTrackMinutes: limit("maxTrackMinutes"),
+    maxTracksPerUser: limit("maxTracksPerUser"),
+    blockDuplicates: settings.blockDuplicates,
+    allowedSources: settings.allowedSources
+  };
+}
+
+function trackKey(track) {
+  return track.info.uri || track.info.identifier;
+}
+
+/**
+ * Separa los tracks que se pueden encolar de los que incumplen algún límite
+ * Los tracks aceptados cuentan para los siguientes (cola llena, por usuario, duplicados)
+ *
+ * @param {Guild} guild - Servidor
+ * @param {string} userId - Quien pide los tracks
+ * @param {Array} tracks - Tracks de Lavalink
+ * @returns {Promise<{ accepted: Array, rejected: Array<{ track: Object, reason: string, params: Object }>, limits: Object }>}
+ */
+export async function checkQueueLimits(guild, userId, tracks) {
+  const settings = await getMusicSettings(guild.id);
+  const limits = getQueueLimits(guild.id, settings);
+  const queue = queues.get(guild.id);
+
+  const queued = queue ? [queue.current, ...queue.tracks].filter(Boolean) : [];
+  const keys = new Set(queued.map(trackKey));
+  let queueLength = queue?.tracks.length ?? 0;
+  let userCount = queued.filter(track => track.requester === userId).length;
+
+  const accepted = [];
+  const rejected = [];
+  const reject = (track, reason, params = {}) => rejected.push({ track, reason, params });
+
+  for (const track of tracks) {
+    const source = track.info.sourceName;
+
+    if (MUSIC_SOURCES.includes(source) && !limits.allowedSources.includes(source)) {
+      reject(track, "limit_source", { source });
+    } else if (!track.info.isStream && track.info.length > limits.maxTrackMinutes * 60 * 1000) {
+      reject(track, "limit_duration", { max: limits.maxTrackMinutes });
+    } else if (limits.blockDuplicates && keys.has(trackKey(track))) {
+      reject(track, "limit_duplicate");
+    } else if (queueLength >= limits.maxQueueLength) {
+      reject(track, "limit_queue_full", { max: limits.maxQueueLength });
+    } else if (userCount >= limits.maxTracksPerUser) {
+      reject(track, "limit_per_user", { max: limits.maxTracksPerUser });
+    } else {
+      accepted.push(track);
+      keys.add(trackKey(track));
+      queueLength++;
+      userCount++;
+    }
+  }
+
+  return { accepted, rejected, limits };
+}
+
+/**
+ * Aviso con el motivo de cada track rechazado
+ *
+ * @param {Function} t - Traductor de music/play
+ * @param {Array} rejected - Resultado de checkQueueLimits
+ * @param {Object} limits - Límites efectivos (para sugerir premium)
+ * @returns {string}
+ */
+export function formatRejectedTracks(t, rejected, limits) {
+  const lines = rejected
+    .slice(0, REJECTED_PREVIEW)
+    .map(({ track, reason, params }) => `• ${t(reason, { title: track.info.title, ...params })}`);
+
+  if (rejected.length > REJECTED_PREVIEW) {
+    lines.push(t("limit_rejected_more", { count: rejected.length - REJECTED_PREVIEW }));
+  }
+
+  // Los topes, no las fuentes ni los duplicados, son los que sube premium
+  const capped = rejected.some(({ reason }) =>
+    ["limit_duration", "limit_queue_full", "limit_per_user"].includes(reason)
+  );
+  if (capped && !limits.premium) {
+    lines.push(t("limit_premium_hint"));
+  }
+
+  return `${t("limit_rejected", { count: rejected.length })}\n${lines.join("\n")}`;
+}
@@ -0,0 +1,239 @@
+// src/handlers/music/persistence.js
+// ============================================
+// PERSISTENCIA DE COLAS DE MÚSICA
+// Guarda las colas activas en SQLite y las restaura al arrancar
+// ============================================
+
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { db } from "../../database/ResilientDatabaseManager.js";
+import { queues } from "./utils.js";
+import { createQueue, playNext, attachPlayerListeners } from "./playback.js";
+import { applyQueueFilters } from "./filters.js";
+
+const logger = createLogger("music:persistence");
+
+const SAVE_INTERVAL_MS = 10 * 1000;
+const NODE_WAIT_TIMEOUT_MS = 30 * 1000;
+
+// Guilds con fila guardada (para borrar las que ya no tienen cola)
+const persistedGuilds = new Set();
+
+let saveInterval = null;
+
+/**
+ * Reduce un track de Lavalink a lo necesario para volver a reproducirlo
+ */
+function serializeTrack(track) {
+  return { encoded: track.encoded, info: track.info, requester: track.requester ?? null };
+}
+
+/**
+ * Guarda el estado de todas las colas activas
+ *
+ * @param {Client} client - Cliente de Discord.js
+ */
+export function persistAllQueues(client) {
+  if (!db.local) return;
+
+  const shoukaku = client.lavalink?.shoukaku;
+  const activeGuilds = new Set();
+
+  for (const [guildId, queue] of queues) {
+    if (!queue.current) continue;
+
+    const player = shoukaku?.players.get(guildId);
+    if (!player) continue;
+
+    try {
+      db.saveMusicQueue({
+        guild_id: guildId,
+        voice_channel_id: queue.voiceChannelId,
+        text_channel_id: queue.textChannel?.id ?? null,
+        current_track: serializeTrack(queue.current),
+        position: player.position,
+        tracks: queue.tracks.map(serializeTrack),
+        loop_mode: queue.loop,
+        autoplay: queue.autoplay,
+        paused: player.paused,
+        volume: player.volume,
+        filters: queue.filters
+      });
+      activeGuilds.add(guildId);
+    } catch (error) {
+      logger.error(`❌ Error guardando cola de ${guildId}`, error);
+    }
+  }
+
+  // Colas que terminaron o se detuvieron desde el último guardado
+  for (const guildId of persistedGuilds) {
+    if (!activeGuilds.has(guildId)) {
+      db.deleteMusicQueue(guildId);
+      persistedGuilds.delete(guildId);
+    }
+  }
+
+  for (const guildId of activeGuilds) {
+    persistedGuilds.add(guildId);
+  }
+}
+
+/**
+ * Inicia el guardado periódico de colas
+ *
+ * @param {Client} client - Cliente de Discord.js
+ */
+export function startQueuePersistence(client) {
+  if (saveInterval) return;
+
+  saveInterval = setInterval(() => persistAllQueues(client), SAVE_INTERVAL_MS);
+  logger.info("💾 Persistencia de colas iniciada");
+}
+
+/**
+ * Detiene el guardado periódico y hace un último guardado
+ *
+ * @param {Client} client - Cliente de Discord.js
+ */
+export function stopQueuePersistence(client) {
+  if (saveInterval) {
+    clearInterval(saveInterval);
+    saveInterval = null;
+  }
+
+  persistAllQueues(client);
+}
+
+/**
+ * Espera a que haya al menos un nodo Lavalink disponible
+ */
+function waitForNode(shoukaku) {
+  if (shoukaku.getIdealNode()) return Promise.resolve(true);
+
+  return new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      shoukaku.off("ready", onReady);
+      resolve(false);
+    }, NODE_WAIT_TIMEOUT_MS);
+
+    function onReady() {
+      clearTimeout(timeout);
+      shoukaku.off("ready", onReady);
+      resolve(true);
+    }
+
+    shoukaku.on("ready", onReady);
+  });
+}
+
+/**
+ * Restaura una cola guardada y reanuda en el offset guardado
+ */
+async function restoreQueue(client, row) {
+  const shoukaku = client.lavalink.shoukaku;
+  const guild = client.guilds.cache.get(row.guild_id);
+
+  if (!guild) throw new Error("Guild no disponible");
+
+  const voiceChannel = guild.channels.cache.get(row.voice_channel_id);
+  if (!voiceChannel?.isVoiceBased()) throw new Error("Canal de voz no encontrado");
+
+  // Sin oyentes no tiene sentido reanudar
+  const listeners = voiceChannel.members.filter(member => !member.user.bot);
+  if (listeners.size === 0) throw new Error("Canal de voz vacío");
+
+  if (queues.has(guild.id) || shoukaku.players.has(guild.id)) {
+    throw new Error("Ya existe un player activo");
+  }
+
+  const textChannel = row.text_channel_id
+    ? guild.channels.cache.get(row.text_channel_id) ?? null
+    : null;
+
+  const player = await shoukaku.joinVoiceChannel({
+    guildId: guild.id,
+    channelId: voiceChannel.id,
+    shardId: guild.shardId ?? 0,
+    deaf: true
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 1000));
+
+  const t = await createTranslator({ category: "music", name: "play" }, { guild });
+
+  const queue = createQueue({
+    textChannel,
+    voiceChannelId: voiceChannel.id,
+    translator: t
+  });
+  queue.loop = row.loop_mode;
+  queue.autoplay = row.autoplay;
+  queue.filters = row.filters;
+  queue.tracks.push(row.current_track, ...row.tracks);
+
+  queues.set(guild.id, queue);
+
+  try {
+    attachPlayerListeners(player, guild, queue);
+    await playNext(guild, queue, { startPosition: row.position });
+
+    if (row.volume !== 100) {
+      await player.setGlobalVolume(row.volume);
+    }
+    if (Object.keys(queue.filters).length > 0) {
+      await applyQueueFilters(player, queue);
+    }
+
+    if (row.paused) {
+      await player.setPaused(true);
+    }
+  } catch (error) {
+    player.removeAllListeners();
+    queues.delete(guild.id);
+    await shoukaku.leaveVoiceChannel(guild.id).catch(() => {});
+    throw error;
+  }
+
+  persistedGuilds.add(guild.id);
+
+  if (textChannel) {
+    await textChannel.send({
+      content: t("queue_restored", {
+        title: row.current_track.info.title,
+        count: row.tracks.length
+      })
+    }).catch(() => {});
+  }
+
+  logger.info(`✅ Cola restaurada en ${guild.name} (${row.tracks.length + 1} tracks)`);
+}
+
+/**
+ * Restaura todas las colas guardadas (llamar en ClientReady)
+ *
+ * @param {Client} client - Cliente de Discord.js
+ */
+export async function restoreQueues(client) {
+  const rows = db.getMusicQueues();
+  if (rows.length === 0) return;
+
+  const shoukaku = client.lavalink?.shoukaku;
+  if (!shoukaku) return;
+
+  logger.info(`💾 Restaurando ${rows.length} colas guardadas...`);
+
+  const nodeReady = await waitForNode(shoukaku);
+  if (!nodeReady) {
+    logger.warn("⚠️ Ningún nodo Lavalink disponible, se conservan las colas para el próximo arranque");
+    return;
+  }
+
+  for (const row of rows) {
+    try {
+      await restoreQueue(client, row);
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo restaurar la cola de ${row.guild_id}: ${error.message}`);
+      db.deleteMusicQueue(row.guild_id);
+    }
+  }
+}
@@ -0,0 +1,582 @@
+// src/handlers/music/playback.js
+// ============================================
+// MOTOR DE REPRODUCCIÓN COMPARTIDO
+// Usado por play.js, /playlist y por la restauración de colas al arrancar
+// ============================================
+
+import { createLogger } from "../../utils/Logger.js";
+import {
+  queues,
+  resolveAutoplayTrack,
+  formatDuration
+} from "./utils.js";
+import { hardLockedGuilds } from "./voiceStateHandler.js";
+import { sendControlPanel, refreshControlPanel, closeControlPanel } from "./controlPanel.js";
+import { applyQueueFilters } from "./filters.js";
+import { scheduleIdleDisconnect, cancelIdleDisconnect } from "./idle.js";
+import { scheduleRequestPanelUpdate } from "./requestChannel.js";
+
+const logger = createLogger("music:playback");
+
+const RECENT_IDENTIFIERS_LIMIT = 50;
+const HISTORY_LIMIT = 25;
+
+/**
+ * Crea una entrada de cola con la forma que esperan los comandos de música
+ *
+ * @param {Object} options
+ * @param {TextChannel} options.textChannel - Canal donde se anuncian los tracks
+ * @param {string} options.voiceChannelId - Canal de voz del player
+ * @param {Function} options.translator - Traductor de music/play (listeners)
+ * @param {Context} options.originalContext - Contexto a editar con el primer embed
+ * @returns {Object}
+ */
+export function createQueue({ textChannel, voiceChannelId, translator, originalContext = null }) {
+  return {
+    playing: false,
+    current: null,
+    tracks: [],
+    loop: "off", // "off" | "track" | "queue"
+    autoplay: false,
+    recentIdentifiers: [],
+    history: [], // tracks ya reproducidos (el último al final) para /previous
+    navigating: false, // /previous cambia de track sin pasar por loop/historial
+    filters: {}, // nombre → { settings } (ver filters.js)
+    skipVotes: new Set(), // IDs de quienes votaron saltar el track actual
+    autoPaused: false, // pausado por quedarse sin oyentes (idle.js)
+    textChannel,
+    originalContext,
+    contextHandled: !originalContext,
+    listenersConfigured: false,
+    voiceChannelId,
+    translator
+  };
+}
+
+/**
+ * Reproduce el siguiente track de la cola
+ *
+ * @param {Guild} guild - Servidor
+ * @param {Object} queue - Entrada de `queues`
+ * @param {Object} options
+ * @param {number} options.startPosition - Offset en ms (restauración de colas)
+ */
+export async function playNext(guild, queue, { startPosition = 0 } = {}) {
+  const t = queue.translator;
+  const shoukaku = guild.client.lavalink.shoukaku;
+  
+  const queueLength = queue.tracks.length;
+  logger.debug(`▶️ playNext() - Cola: ${queueLength} tracks`);
+  
+  const next = queue.tracks.shift();
+  
+  if (!next) {
+    logger.info("🏁 Cola vacía, deteniendo reproducción");
+    queue.playing = false;
+    queue.current = null;
+    await closeControlPanel(queue);
+    await scheduleIdleDisconnect(guild, "queue_end");
+    return;
+  }
+  
+  queue.playing = true;
+  queue.current = next;
+  queue.skipVotes.clear();
+  cancelIdleDisconnect(guild.id, "queue_end");
+  
+  // Identificadores recientes: autoplay evita repetir lo ya escuchado
+  queue.recentIdentifiers.push(next.info.identifier);
+  if (queue.recentIdentifiers.length > RECENT_IDENTIFIERS_LIMIT) {
+    queue.recentIdentifiers.shift();
+  }
+  
+  logger.group("🎵 Reproduciendo Track", () => {
+    logger.info(`Título: ${next.info.title}`);
+    logger.debug(`Autor: ${next.info.author}`);
+    logger.debug(`Duración: ${formatDuration(next.info.length)}`);
+  });
+  
+  try {
+    // ✅ VALIDACIÓN PRE-PLAY: Verificar que player sigue válido
+    const currentPlayer = shoukaku.players.get(guild.id);
+    const botVoice = guild.members.me?.voice;
+    
+    if (!currentPlayer) {
+      logger.error("❌ Player no existe antes de play");
+      queue.playing = false;
+      
+      queue.textChannel?.send({
+        content: t("playback_stopped_no_player")
+      });
+      
+      return;
+    }
+    
+    if (botVoice?.channelId !== queue.voiceChannelId) {
+      logger.error("❌ Bot desconectado antes de play");
+      queue.playing = false;
+      
+      queue.textChannel?.send({
+        content: t("playback_stopped_disconnected")
+      });
+      
+      return;
+    }
+    
+    await currentPlayer.playTrack({ 
+      track: { encoded: next.encoded },
+      ...(startPosition > 0 && { position: startPosition })
+    });
+    
+    logger.info("✅ Reproducción iniciada correctamente");
+    
+    // Panel de control (embed + botones)
+    await sendControlPanel(guild, queue);
+    
+  } catch (error) {
+    logger.error("❌ Error reproduciendo track", error);
+    queue.playing = false;
+    
+    if (!queue.contextHandled && queue.originalContext) {
+      await queue.originalContext.editReply({
+        content: t("failed_to_play")
+      });
+      queue.contextHandled = true;
+    } else {
+      queue.textChannel?.send({
+        content: t("track_error", { title: next.info.title })
+      });
+    }
+    
+    logger.debug("🔄 Intentando siguiente track...");
+    await playNext(guild, queue);
+  }
+}
+
+/**
+ * Registra los listeners de reproducción del player (una vez por cola)
+ *
+ * @param {Player} player - Player de Shoukaku
+ * @param {Guild} guild - Servidor
+ * @param {Object} queue - Entrada de `queues`
+ */
+export function attachPlayerListeners(player, guild, queue) {
+  const t = queue.translator;
+  
+  logger.debug("🎧 Configurando event listeners...");
+  
+  player.removeAllListeners("end");
+  player.removeAllListeners("exception");
+  player.removeAllListeners("closed");
+  player.removeAllListeners("stuck");
+  player.removeAllListeners("update");
+  player.removeAllListeners("resumed");
+  
+  // Lavalink envía la posición periódicamente: refresca la barra de progreso
+  player.on("update", () => {
+    refreshControlPanel(guild, queue);
+  });
+  
+  // Tras moverse de nodo (o reanudar sesión) el player nuevo arranca sin filtros
+  player.on("resumed", async () => {
+    if (Object.keys(queue.filters).length === 0) return;
+    
+    logger.info(`🔀 Player reanudado en ${player.node.name}, reaplicando filtros`);
+    await applyQueueFilters(player, queue).catch(() => {});
+  });
+  
+  player.on("end", async (data) => {
+    logger.group("⏹️ Evento END", () => {
+      logger.debug(`Razón: ${data.reason}`);
+      logger.debug(`Cola restante: ${queue.tracks.length} tracks`);
+    });
+    
+    // "stopped" llega tras /skip (stopTrack); /stop vacía la cola antes
+    const shouldContinue = ["finished", "loadFailed", "stopped"].includes(data.reason);
+    
+    if (shouldContinue) {
+      const lastTrack = queue.current;
+      
+      if (queue.navigating) {
+        // /previous ya colocó los tracks en la cola
+        queue.navigating = false;
+      } else if (lastTrack && data.reason === "finished" && queue.loop === "track") {
+        // Loop: "track" solo repite si terminó solo (un skip avanza igual)
+        queue.tracks.unshift(lastTrack);
+      } else if (lastTrack && data.reason !== "loadFailed") {
+        queue.history.push(lastTrack);
+        if (queue.history.length > HISTORY_LIMIT) {
+          queue.history.shift();
+        }
+        
+        if (queue.loop === "queue") {
+          queue.tracks.push(lastTrack);
+        }
+      }
+      
+      // Autoplay: buscar un track relacionado antes de dar la cola por terminada
+      if (queue.tracks.length === 0 && queue.autoplay && lastTrack) {
+        try {
+          const related = await resolveAutoplayTrack(player.node, lastTrack, queue.recentIdentifiers);
+          
+          if (related) {
+            logger.info(`♾️ Autoplay: ${related.info.title}`);
+            queue.tracks.push(related);
+          } else {
+            queue.textChannel?.send({ content: t("autoplay_no_results") }).catch(() => {});
+          }
+        } catch (autoplayError) {
+          logger.error("❌ Error resolviendo autoplay", autoplayError);
+          queue.textChannel?.send({ content: t("autoplay_no_results") }).catch(() => {});
+        }
+      }
+      
+      if (queue.tracks.length > 0) {
+        logger.debug("▶️ Continuando con siguiente track");
+        await playNext(guild, queue);
+      } else {
+        logger.info("🏁 Cola terminada");
+        queue.playing = false;
+        queue.current = null;
+        await closeControlPanel(queue);
+        await scheduleIdleDisconnect(guild, "queue_end");
+      }
+    } else {
+      logger.debug(`⏸️ Reproducción detenida: ${data.reason}`);
+      queue.playing = false;
+      queue.current = null;
+      await closeControlPanel(queue);
+    }
+  });
+  
+  player.on("exception", async (data) => {
+    logger.error("💥 Excepción en playback", data.exception);
+    
+    queue.textChannel?.send({
+      content: t("track_error", { title: data.track?.info?.title || 'Unknown' })
+    });
+    
+    logger.debug("🔄 Intentando siguiente track tras excepción");
+    await playNext(guild, queue);
+  });
+  
+  // ✅ DETECTAR DESCONEXIONES FORZADAS
+  player.on("closed", (data) => {
+    logger.warn("🔌 Conexión cerrada por Discord", data);
+    
+    queue.playing = false;
+    closeControlPanel(queue);
+    
+    // ✅ SOLUCIÓN PROFESIONAL: Hard lock el guild
+    hardLockedGuilds.add(guild.id);
+    logger.info(`🔒 Guild ${guild.id} bloqueado - esperando VOICE_STATE_UPDATE`);
+    
+    // ✅ LIMPIEZA SIMPLE Y DIRECTA
+    try {
+      const currentPlayer = guild.client.lavalink.shoukaku.players.get(guild.id);
+      
+      if (currentPlayer) {
+        logger.debug("🧹 Destruyendo player...");
+        currentPlayer.removeAllListeners();
+        currentPlayer.destroy();
+      }
+      
+      queues.delete(guild.id);
+      
+      logger.info("✅ Player y cola limpiados");
+    } catch (cleanupErr) {
+      logger.error("Error en limpieza:", cleanupErr);
+    }
+    
+    // ✅ FALLBACK: Si por alguna razón no llega VOICE_STATE_UPDATE, liberar después de 15s
+    setTimeout(() => {
+      if (hardLockedGuilds.has(guild.id)) {
+        logger.warn(`⚠️ Hard lock timeout para guild ${guild.id} - liberando por seguridad`);
+        hardLockedGuilds.delete(guild.id);
+      }
+    }, 15000);
+    
+    // Notificar al usuario usando el traductor de la cola
+    const queueTranslator = queue.translator;
+    if (queueTranslator && queue.textChannel) {
+      queue.textChannel.send({
+        content: queueTranslator("connection_closed")
+      }).catch(() => {});
+    }
+  });
+  
+  queue.listenersConfigured = true;
+  logger.debug("✅ Event listeners configurados");
+}
+
+/**
+ * Conecta el bot al canal de voz del usuario (si hace falta), añade los tracks
+ * a la cola y empieza a reproducir si no había nada sonando
+ * El contexto debe estar diferido; las respuestas usan las claves de music/play
+ *
+ * @param {Context} context - Contexto del comando (miembro en un canal de voz)
+ * @param {Function} t - Traductor de music/play
+ * @param {Array} tracks - Tracks de Lavalink a encolar
+ * @param {Object|null} playlistInfo - { name, count } para anunciar una playlist (name null: selección de búsqueda)
+ * @returns {Promise<boolean>} false si no se pudo conectar o encolar
+ */
+export async function enqueueTracks(context, t, tracks, playlistInfo = null) {
+  const { member, guild, channel, client } = context;
+  const shoukaku = client.lavalink.shoukaku;
+  const [track] = tracks;
+  
+  // ========================================
+  // CONEXIÓN A VOZ CON VALIDACIÓN SIMPLE
+  // ========================================
+  
+  let player = shoukaku.players.get(guild.id);
+  const voiceChannel = member.voice.channel;
+  
+  /**
+   * Limpia completamente todos los recursos del servidor
+   * Útil cuando el bot fue expulsado o la conexión está corrupta
+   */
+  async function cleanupGuildResources(reason = "cleanup") {
+    logger.debug(`🧹 Limpieza completa de recursos (${reason})...`);
+    
+    if (player) {
+      try {
+        // Remover listeners para evitar eventos durante cleanup
+        player.removeAllListeners("end");
+        player.removeAllListeners("exception");
+        player.removeAllListeners("closed");
+        player.removeAllListeners("stuck");
+        
+        // ✅ CORRECTO: Destruir el player (libera VoiceState de Discord)
+        player.destroy();
+        logger.debug("✅ Player destruido");
+      } catch (err) {
+        logger.debug(`No crítico durante cleanup: ${err.message}`);
+      }
+    }
+    
+    // Limpiar registros
+    shoukaku.players.delete(guild.id);
+    queues.delete(guild.id);
+    
+    logger.debug("✅ Recursos limpiados completamente");
+  }
+  
+  // ✅ VALIDACIÓN SIMPLE: Si hay player Y el usuario está en otro canal
+  if (player) {
+    const botVoiceState = guild.members.me?.voice;
+    const playerChannel = botVoiceState?.channelId;
+    
+    logger.debug(`🔍 Player existente detectado`);
+    logger.debug(`  Bot en canal: ${playerChannel || 'null'}`);
+    logger.debug(`  Usuario en canal: ${voiceChannel.id}`);
+    
+    // Si el bot está en OTRO canal diferente al del usuario
+    if (playerChannel && playerChannel !== voiceChannel.id) {
+      logger.debug(`❌ Usuario en canal diferente al bot`);
+      await context.editReply({
+        content: t("music_in_other_channel")
+      });
+      return false;
+    }
+    
+    // Si el bot NO está en ningún canal pero hay player (zombie)
+    if (!playerChannel) {
+      logger.warn("⚠️ Player zombie detectado (bot no en canal) - limpiando...");
+      await cleanupGuildResources("zombie_player");
+      player = null;
+    }
+  }
+  
+  // ✅ CREAR PLAYER si no existe o fue limpiado
+  if (!player) {
+    logger.debug("🔌 Conectando a canal de voz...");
+    
+    try {
+      // Verificar permisos ANTES de intentar conectar
+      const permissions = voiceChannel.permissionsFor(guild.members.me);
+      
+      if (!permissions.has('Connect')) {
+        logger.error("❌ Bot no tiene permiso Connect");
+        await context.editReply({
+          content: t("no_connect_permission")
+        });
+        return false;
+      }
+      
+      if (!permissions.has('Speak')) {
+        logger.error("❌ Bot no tiene permiso Speak");
+        await context.editReply({
+          content: t("no_speak_permission")
+        });
+        return false;
+      }
+      
+      logger.debug("✅ Permisos verificados");
+      
+      // ✅ LIMPIEZA PREVENTIVA SIMPLE (si hay residuos)
+      try {
+        logger.debug("🔄 Iniciando conexión a canal de voz...");
+        
+        const existingPlayer = shoukaku.players.get(guild.id);
+        
+        if (existingPlayer) {
+          logger.warn("🧹 Player residual detectado - destruyendo...");
+          existingPlayer.removeAllListeners();
+          existingPlayer.destroy();
+          queues.delete(guild.id);
+          logger.debug("✅ Limpieza preventiva completada");
+        }
+        
+        // Crear conexión
+        logger.debug("🔌 Creando nueva conexión...");
+        player = await Promise.race([
+          shoukaku.joinVoiceChannel({
+            guildId: guild.id,
+            channelId: voiceChannel.id,
+            shardId: guild.shardId ?? 0,
+            deaf: true
+          }),
+          new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('Connection timeout after 10s')), 10000)
+          )
+        ]);
+        
+        if (!player) {
+          throw new Error('Player is null after connection');
+        }
+        
+        logger.debug("⏳ Esperando estabilización (1s)...");
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        
+        // Verificar que el bot está en el canal
+        const botVoice = guild.members.me?.voice;
+        if (botVoice?.channelId !== voiceChannel.id) {
+          throw new Error('Bot not in voice channel after connection');
+        }
+        
+        logger.info(`🔊 Conectado exitosamente a: ${voiceChannel.name}`);
+        
+      } catch (connectionError) {
+        logger.error("❌ Error en conexión:", connectionError.message);
+        
+        // Limpiar cualquier player fallido
+        if (player) {
+          try {
+            player.removeAllListeners();
+            player.destroy();
+          } catch {}
+          player = null;
+        }
+        
+        await context.editReply({
+          content: t("connection_error", { error: connectionError.message })
+        });
+        
+        return false;
+      }
+      
+    } catch (error) {
+      logger.error("❌ Error crítico conectando a voz", error);
+      
+      // Limpiar cualquier residuo
+      await cleanupGuildResources("critical_connection_error").catch(() => {});
+      
+      await context.editReply({
+        content: t("connect_error", { error: error.message })
+      });
+      
+      return false;
+    }
+  } else {
+    logger.debug(`✅ Usando player existente`);
+  }
+  
+  // ========================================
+  // GESTIÓN DE COLA
+  // ========================================
+  
+  logger.debug("📋 Gestionando cola...");
+  
+  let queue = queues.get(guild.id);
+  
+  if (!queue) {
+    logger.debug("🆕 Creando nueva cola");
+    queue = createQueue({
+      textChannel: channel,
+      voiceChannelId: voiceChannel.id,
+      translator: t, // Traductor para los event listeners
+      originalContext: context
+    });
+    queues.set(guild.id, queue);
+  }
+  
+  // ✅ VALIDACIÓN: Verificar que el usuario sigue en el mismo canal
+  if (queue.voiceChannelId && queue.voiceChannelId !== voiceChannel.id) {
+    await context.editReply({
+      content: t("music_in_other_channel")
+    });
+    return false;
+  }
+  
+  // Quien pidió el track puede controlarlo sin ser DJ
+  for (const queued of tracks) {
+    queued.requester = context.user.id;
+  }
+  
+  // Añadir track(s) a la cola
+  if (playlistInfo) {
+    queue.tracks.push(...tracks);
+    logger.info(`✅ ${tracks.length} tracks añadidos a la cola`);
+    
+    // Sin nombre: varios resultados elegidos en el selector de búsqueda
+    await context.editReply({
+      content: playlistInfo.name
+        ? t("playlist_added", { count: playlistInfo.count, name: playlistInfo.name })
+        : t("selection_added", { count: playlistInfo.count })
+    });
+    queue.contextHandled = true;
+    
+  } else {
+    queue.tracks.push(...tracks);
+    logger.debug(`✅ Track añadido. Cola: ${queue.tracks.length} tracks`);
+  }
+  
+  // Si ya está reproduciendo, solo confirmar adición
+  if (queue.playing) {
+    scheduleRequestPanelUpdate(guild);
+    
+    logger.debug("▶️ Ya hay reproducción activa, añadiendo a cola");
+    
+    if (!playlistInfo) {
+      const position = queue.tracks.length;
+      await context.editReply({
+        content: t("added", {
+          title: track.info.title,
+          position: position
+        })
+      });
+      queue.contextHandled = true;
+    }
+    
+    return true;
+  }
+  
+  // ========================================
+  // EVENT LISTENERS (SOLO UNA VEZ) CON VALIDACIÓN
+  // ========================================
+  
+  if (!queue.listenersConfigured) {
+    attachPlayerListeners(player, guild, queue);
+  } else {
+    logger.debug("✅ Event listeners ya configurados, reutilizando");
+  }
+  
+  // ========================================
+  // INICIAR REPRODUCCIÓN
+  // ========================================
+  
+  logger.info("🚀 Iniciando reproducción...");
+  await playNext(guild, queue);
+  return true;
+}
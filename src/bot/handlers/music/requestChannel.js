@@ -0,0 +1,181 @@
+// src/handlers/music/requestChannel.js
+// ============================================
+// CANAL DE PETICIONES
+// Cada mensaje del canal es una búsqueda de /play; arriba queda un panel
+// fijado con lo que suena y la cola, que se actualiza solo
+// ============================================
+
+import { EmbedBuilder } from "discord.js";
+import { createLogger } from "../../utils/Logger.js";
+import { createTranslator } from "../../localization/TranslatorHelper.js";
+import { queues, createNowPlayingEmbed, formatDuration } from "./utils.js";
+import { getMusicSettings, updateMusicSettings } from "./settings.js";
+
+const logger = createLogger("music:requests");
+
+// Tracks de la cola que se listan en el panel
+const UP_NEXT_PREVIEW = 10;
+// 10 títulos completos podrían pasar del límite de 1024 caracteres del campo
+const TITLE_MAX_LENGTH = 60;
+
+// Varios eventos seguidos (encolar + empezar a sonar) → una sola edición
+const UPDATE_DEBOUNCE_MS = 1500;
+
+// guildId → timeout de la próxima actualización
+const pendingUpdates = new Map();
+
+/**
+ * Indica si el canal es el canal de peticiones del servidor
+ *
+ * @param {string} guildId - ID del servidor
+ * @param {string} channelId - ID del canal
+ * @returns {Promise<boolean>}
+ */
+export async function isRequestChannel(guildId, channelId) {
+  if (!guildId || !channelId) return false;
+
+  const settings = await getMusicSettings(guildId);
+  return settings.requestChannelId === channelId;
+}
+
+/**
+ * Construye el panel con el track actual y los siguientes de la cola
+ *
+ * @param {Guild} guild - Servidor
+ * @param {Function} t - Traductor de music/play
+ * @returns {Object} Opciones de mensaje ({ embeds })
+ */
+export function buildRequestPanel(guild, t) {
+  const queue = queues.get(guild.id);
+
+  if (!queue?.current) {
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(t("request_panel_title"))
+      .setDescription(t("request_panel_idle"))
+      .setFooter({ text: t("request_panel_footer") });
+
+    return { embeds: [embed] };
+  }
+
+  const embed = createNowPlayingEmbed(queue.current, t, queue);
+
+  const upNext = queue.tracks
+    .slice(0, UP_NEXT_PREVIEW)
+    .map((track, index) => `\`${index + 1}.\` ${track.info.title.slice(0, TITLE_MAX_LENGTH)} · ${formatDuration(track.info.length)}`);
+
+  if (queue.tracks.length > UP_NEXT_PREVIEW) {
+    upNext.push(t("request_panel_more", { count: queue.tracks.length - UP_NEXT_PREVIEW }));
+  }
+
+  embed
+    .addFields({
+      name: t("request_panel_up_next"),
+      value: upNext.length > 0 ? upNext.join("\n") : t("request_panel_empty_queue")
+    })
+    .setFooter({ text: t("request_panel_footer") });
+
+  return { embeds: [embed] };
+}
+
+async function fetchPanelMessage(channel, messageId) {
+  if (!messageId) return null;
+  return channel.messages.fetch(messageId).catch(() => null);
+}
+
+async function sendPanel(channel, panel) {
+  const message = await channel.send(panel);
+  await message.pin().catch(error => {
+    logger.warn(`⚠️ No se pudo fijar el panel en #${channel.name}: ${error.message}`);
+  });
+  return message;
+}
+
+/**
+ * Edita el panel fijado (o lo vuelve a enviar si lo borraron)
+ *
+ * @param {Guild} guild - Servidor
+ */
+export async function updateRequestPanel(guild) {
+  const settings = await getMusicSettings(guild.id);
+  if (!settings.requestChannelId) return;
+
+  const channel = guild.channels.cache.get(settings.requestChannelId);
+  if (!channel) {
+    logger.warn(`⚠️ Canal de peticiones ${settings.requestChannelId} no encontrado en ${guild.name}`);
+    return;
+  }
+
+  const t = await createTranslator({ category: "music", name: "play" }, { guild });
+  const panel = buildRequestPanel(guild, t);
+
+  const message = await fetchPanelMessage(channel, settings.requestMessageId);
+  if (message) {
+    await message.edit(panel);
+    return;
+  }
+
+  const sent = await sendPanel(channel, panel);
+  await updateMusicSettings(guild.id, { requestMessageId: sent.id });
+}
+
+/**
+ * Programa la actualización del panel (agrupa eventos seguidos)
+ *
+ * @param {Guild} guild - Servidor
+ */
+export function scheduleRequestPanelUpdate(guild) {
+  if (!guild || pendingUpdates.has(guild.id)) return;
+
+  const timeout = setTimeout(() => {
+    pendingUpdates.delete(guild.id);
+    updateRequestPanel(guild).catch(error => {
+      logger.debug(`No se pudo actualizar el panel de peticiones en ${guild.name}: ${error.message}`);
+    });
+  }, UPDATE_DEBOUNCE_MS);
+
+  pendingUpdates.set(guild.id, timeout);
+}
+
+/**
+ * Convierte un canal en el canal de peticiones y publica el panel fijado
+ * Si había otro canal configurado, su panel se elimina
+ *
+ * @param {Guild} guild - Servidor
+ * @param {TextChannel} channel - Canal de texto
+ * @param {Function} t - Traductor de music/play
+ */
+export async function setupRequestChannel(guild, channel, t) {
+  await teardownRequestChannel(guild);
+
+  const message = await sendPanel(channel, buildRequestPanel(guild, t));
+
+  await updateMusicSettings(guild.id, {
+    requestChannelId: channel.id,
+    requestMessageId: message.id
+  });
+
+  logger.info(`🎶 Canal de peticiones configurado en ${guild.name}: #${channel.name}`);
+}
+
+/**
+ * Desactiva el canal de peticiones y borra su panel
+ *
+ * @param {Guild} guild - Servidor
+ * @returns {Promise<boolean>} false si no había canal configurado
+ */
+export async function teardownRequestChannel(guild) {
+  const settings = await getMusicSettings(guild.id);
+  if (!settings.requestChannelId) return false;
+
+  const channel = guild.channels.cache.get(settings.requestChannelId);
+  const message = channel ? await fetchPanelMessage(channel, settings.requestMessageId) : null;
+  await message?.delete().catch(() => {});
+
+  clearTimeout(pendingUpdates.get(guild.id));
+  pendingUpdates.delete(guild.id);
+
+  await updateMusicSettings(guild.id, { requestChannelId: null, requestMessageId: null });
+  logger.info(`🎶 Canal de peticiones desactivado en ${guild.name}`);
+  return true;
+}
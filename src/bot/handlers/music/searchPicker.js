@@ -0,0 +1,103 @@
+// src/handlers/music/searchPicker.js
+// ============================================
+// SELECTOR DE RESULTADOS DE BÚSQUEDA
+// Muestra los primeros resultados en un menú desplegable (/search y /play pick)
+// ============================================
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder
+} from "discord.js";
+import { createLogger } from "../../utils/Logger.js";
+import { formatSearchResult } from "./utils.js";
+
+const logger = createLogger("music:search");
+
+// Discord admite hasta 25 opciones; más de 10 resultados no aportan nada
+export const SEARCH_RESULTS_LIMIT = 10;
+const PICKER_TIMEOUT_MS = 60 * 1000;
+
+function createPickerComponents(results, t) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId("search_select")
+    .setPlaceholder(t("search_placeholder"))
+    .setMinValues(1)
+    .setMaxValues(results.length)
+    .addOptions(results.map((track, index) => ({
+      label: formatSearchResult(track),
+      value: String(index)
+    })));
+
+  const cancel = new ButtonBuilder()
+    .setCustomId("search_cancel")
+    .setLabel(t("search_cancel"))
+    .setStyle(ButtonStyle.Secondary);
+
+  return [
+    new ActionRowBuilder().addComponents(menu),
+    new ActionRowBuilder().addComponents(cancel)
+  ];
+}
+
+/**
+ * Pide al usuario que elija uno o varios resultados
+ * El contexto debe estar diferido: el selector se muestra con editReply
+ *
+ * @param {Object} context - Contexto del comando
+ * @param {Function} t - Traductor de music/play
+ * @param {Array} tracks - Resultados de la búsqueda
+ * @returns {Promise<Array|null>} Tracks elegidos (en el orden del menú) o null si cancela o expira
+ */
+export async function promptSearchSelection(context, t, tracks) {
+  const results = tracks.slice(0, SEARCH_RESULTS_LIMIT);
+
+  const message = await context.editReply({
+    content: t("search_prompt", { count: results.length }),
+    components: createPickerComponents(results, t)
+  });
+
+  if (!message) return null;
+
+  return new Promise(resolve => {
+    const collector = message.createMessageComponentCollector({ time: PICKER_TIMEOUT_MS });
+
+    collector.on("collect", async (i) => {
+      if (i.user.id !== context.user.id) {
+        return i.reply({ content: t("search_not_yours"), ephemeral: true });
+      }
+
+      if (i.customId === "search_cancel") {
+        collector.stop("cancelled");
+        return i.update({ content: t("search_cancelled"), components: [] });
+      }
+
+      const selected = i.values
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(index => results[index]);
+
+      collector.stop("selected");
+
+      // Confirmar antes de resolver: la respuesta de la cola sobrescribe este mensaje
+      await i.update({
+        content: t("search_selected", { count: selected.length }),
+        components: []
+      }).catch(() => {});
+
+      resolve(selected);
+    });
+
+    collector.on("end", (_, reason) => {
+      if (reason === "selected") return;
+
+      if (reason === "time") {
+        logger.debug(`⌛ Selector de búsqueda expirado para ${context.user.tag}`);
+        message.edit({ content: t("search_timeout"), components: [] }).catch(() => {});
+      }
+
+      resolve(null);
+    });
+  });
+}
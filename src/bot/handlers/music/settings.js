@@ -0,0 +1,136 @@
+// src/handlers/music/settings.js
+// ============================================
+// AJUSTES DE MÚSICA POR SERVIDOR
+// Rol DJ, voto para saltar, tiempos de inactividad, canal de peticiones
+// y límites de cola
+// (guild_settings.music_settings)
+// ============================================
+
+import { createLogger } from "../../utils/Logger.js";
+import { db } from "../../database/ResilientDatabaseManager.js";
+
+const logger = createLogger("music:settings");
+
+export const DEFAULT_MUSIC_SETTINGS = {
+  djRoleId: null,
+  voteSkipPercent: 50,
+  idleTimeoutMinutes: 5, // salir tras terminar la cola
+  emptyTimeoutMinutes: 2, // salir cuando no quedan oyentes
+  autoPause: true, // pausar mientras no hay oyentes
+  stayConnected: false, // 24/7 (solo premium)
+  requestChannelId: null, // canal de peticiones (cada mensaje es una búsqueda)
+  requestMessageId: null, // panel fijado en ese canal
+  maxQueueLength: null, // null: el tope del plan (ver limits.js)
+  maxTrackMinutes: null,
+  maxTracksPerUser: null,
+  blockDuplicates: false,
+  allowedSources: ["youtube", "soundcloud", "http"]
+};
+
+// Se consultan en cada comando de control: evitar ir a la DB cada vez
+const settingsCache = new Map();
+
+/**
+ * Ajustes de música del servidor (con valores por defecto)
+ *
+ * @param {string} guildId - ID del servidor
+ * @returns {Promise<Object>}
+ */
+export async function getMusicSettings(guildId) {
+  if (settingsCache.has(guildId)) {
+    return settingsCache.get(guildId);
+  }
+
+  let stored = {};
+  try {
+    stored = await db.getMusicSettings(guildId);
+  } catch (error) {
+    logger.warn(`⚠️ No se pudieron leer los ajustes de música de ${guildId}: ${error.message}`);
+  }
+
+  const settings = { ...DEFAULT_MUSIC_SETTINGS, ...stored };
+  settingsCache.set(guildId, settings);
+  return settings;
+}
+
+/**
+ * Guarda cambios parciales en los ajustes de música
+ *
+ * @param {string} guildId - ID del servidor
+ * @param {Object} changes - Claves a modificar
+ * @returns {Promise<Object>} Ajustes resultantes
+ */
+export async function updateMusicSettings(guildId, changes) {
+  const settings = { ...await getMusicSettings(guildId), ...changes };
+
+  await db.setMusicSettings(guildId, settings);
+  settingsCache.set(guildId, settings);
+
+  logger.info(`🎛️ Ajustes de música actualizados en ${guildId}: ${Object.keys(changes).join(", ")}`);
+  return settings;
+}
+
+/**
+ * Un miembro es DJ si tiene el rol configurado o gestiona el servidor
+ * Sin rol configurado todos los oyentes son DJ
+ *
+ * @param {GuildMember} member
+ * @param {Object} settings - Ajustes de música del servidor
+ * @returns {boolean}
+ */
+export function isDJ(member, settings) {
+  if (!settings.djRoleId) return true;
+  if (member.permissions?.has("ManageGuild")) return true;
+  return member.roles?.cache?.has(settings.djRoleId) ?? false;
+}
+
+/**
+ * Oyentes humanos del canal de voz
+ */
+export function getListeners(voiceChannel) {
+  return voiceChannel?.members.filter(member => !member.user.bot) ?? new Map();
+}
+
+/**
+ * Verifica que el miembro pueda controlar la reproducción sin votación:
+ * DJs, quien pidió el track actual o quien está solo con el bot
+ *
+ * @param {Object} context - Contexto del comando o interacción
+ * @param {Object} queue - Entrada de `queues`
+ * @returns {Promise<{ allowed: boolean, reason?: string }>}
+ */
+export async function checkDJ(context, queue) {
+  const { member, guild } = context;
+  const settings = await getMusicSettings(guild.id);
+
+  if (isDJ(member, settings)) return { allowed: true };
+  if (queue.current?.requester === member.id) return { allowed: true };
+  if (getListeners(member.voice.channel).size <= 1) return { allowed: true };
+
+  return { allowed: false, reason: "dj_only" };
+}
+
+/**
+ * Registra el voto para saltar el track actual
+ * Solo cuentan los votos de quien sigue en el canal de voz
+ *
+ * @param {Object} queue - Entrada de `queues`
+ * @param {GuildMember} member - Miembro que vota
+ * @param {Object} settings - Ajustes de música del servidor
+ * @returns {{ votes: number, required: number, passed: boolean, alreadyVoted: boolean }}
+ */
+export function registerSkipVote(queue, member, settings) {
+  const listeners = getListeners(member.voice.channel);
+
+  for (const userId of queue.skipVotes) {
+    if (!listeners.has(userId)) queue.skipVotes.delete(userId);
+  }
+
+  const alreadyVoted = queue.skipVotes.has(member.id);
+  queue.skipVotes.add(member.id);
+
+  const required = Math.max(1, Math.ceil(listeners.size * settings.voteSkipPercent / 100));
+  const votes = queue.skipVotes.size;
+
+  return { votes, required, passed: votes >= required, alreadyVoted };
+}
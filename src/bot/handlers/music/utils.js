@@ -9,6 +9,9 @@ import { EmbedBuilder } from "discord.js";
 ====================== */
 export const queues = new Map();
 
+// Volumen del player (Lavalink admite hasta 1000, por encima de 150 distorsiona)
+export const MAX_VOLUME = 150;
+
 /* ======================
    UTILIDADES COMPARTIDAS
 ====================== */
@@ -33,6 +36,79 @@ export function buildSearchIdentifier(query) {
   return `ytsearch:${query}`;
 }
 
+/**
+ * Verifica que el miembro pueda controlar la reproducción del servidor
+ * Devuelve la clave de traducción del motivo si no puede
+ *
+ * @param {Object} context - Contexto del comando (slash o prefix)
+ * @param {Object} options
+ * @param {boolean} options.requireCurrent - Exigir un track sonando
+ * @returns {{ allowed: boolean, reason?: string, player?: Object, queue?: Object }}
+ */
+export function checkMusicControl(context, { requireCurrent = true } = {}) {
+  const { guild, member, client } = context;
+
+  if (!member?.voice?.channel) {
+    return { allowed: false, reason: "no_voice" };
+  }
+
+  const player = client.lavalink?.shoukaku?.players.get(guild.id);
+  const queue = queues.get(guild.id);
+
+  if (!player || !queue || (requireCurrent && !queue.current)) {
+    return { allowed: false, reason: "not_playing" };
+  }
+
+  const botChannelId = guild.members.me?.voice?.channelId;
+  if (botChannelId && botChannelId !== member.voice.channel.id) {
+    return { allowed: false, reason: "not_same_channel" };
+  }
+
+  return { allowed: true, player, queue };
+}
+
+/**
+ * Busca un track relacionado con el último reproducido (autoplay)
+ *
+ * @param {Node} node - Nodo de Lavalink del player
+ * @param {Object} lastTrack - Último track reproducido
+ * @param {Array<string>} recentIdentifiers - Identificadores a evitar
+ * @returns {Promise<Object|null>} Track relacionado o null
+ */
+export async function resolveAutoplayTrack(node, lastTrack, recentIdentifiers = []) {
+  const query = lastTrack.info.author || lastTrack.info.title;
+  const result = await node.rest.resolve(`ytsearch:${query}`);
+
+  if (result?.loadType !== "search" || !result.data?.length) {
+    return null;
+  }
+
+  return result.data.find(track =>
+    !track.info.isStream &&
+    track.info.identifier !== lastTrack.info.identifier &&
+    !recentIdentifiers.includes(track.info.identifier)
+  ) || null;
+}
+
+/**
+ * Texto del modo de reproducción (loop + autoplay) para embeds
+ */
+export function formatPlaybackMode(queue, t) {
+  const loopLabels = {
+    off: t("loop_off"),
+    track: t("loop_track"),
+    queue: t("loop_queue")
+  };
+
+  const parts = [loopLabels[queue.loop] || loopLabels.off];
+  if (queue.autoplay) parts.push(t("autoplay_on"));
+
+  const filters = Object.keys(queue.filters || {});
+  if (filters.length > 0) parts.push(t("filters_on", { filters: filters.join(", ") }));
+
+  return parts.join(" · ");
+}
+
 export function formatDuration(ms) {
   const seconds = Math.floor(ms / 1000);
   const mins = Math.floor(seconds / 60);
@@ -40,7 +116,77 @@ export function formatDuration(ms) {
   return `${mins}:${secs.toString().padStart(2, "0")}`;
 }
 
-export function createNowPlayingEmbed(track, t) {
+/**
+ * Duración con horas para resultados de búsqueda (`1:02:03`, `3:45`)
+ */
+export function formatTrackLength(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+
+  if (mins >= 60) {
+    const hours = Math.floor(mins / 60);
+    const remainMins = mins % 60;
+    return `${hours}:${remainMins.toString().padStart(2, "0")}:${secs.toString().padStart(2, "0")}`;
+  }
+
+  return `${mins}:${secs.toString().padStart(2, "0")}`;
+}
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  return text.substring(0, maxLength - 3) + "...";
+}
+
+/**
+ * Texto de un resultado de búsqueda (autocompletado de /play y selector de /search)
+ * Discord limita a 100 caracteres tanto las opciones de autocompletado como las del menú
+ *
+ * @param {Object} track - Track de Lavalink
+ * @returns {string}
+ */
+export function formatSearchResult(track) {
+  const duration = formatTrackLength(track.info.length);
+  return truncate(`${track.info.title} - ${track.info.author} [${duration}]`, 100);
+}
+
+/**
+ * Interpreta una posición de tiempo escrita por el usuario
+ * Acepta el formato de formatDuration (`1:23`, `1:02:03`), segundos (`90`)
+ * y unidades (`1m30s`). Con `+`/`-` delante es relativa a la posición actual
+ *
+ * @param {string} input - Texto del usuario
+ * @returns {{ ms: number, relative: boolean }|null} null si no es válido
+ */
+export function parseTimeInput(input) {
+  const match = String(input ?? "").trim().toLowerCase().match(/^([+-])?\s*(.+)$/);
+  if (!match) return null;
+
+  const [, sign, value] = match;
+  let seconds = null;
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+    // m:ss o h:mm:ss
+    const parts = value.split(":").map(Number);
+    if (parts.slice(1).some(part => part >= 60)) return null;
+    seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  } else if (/^\d+$/.test(value)) {
+    seconds = Number(value);
+  } else if (/^(\d+h)?\s*(\d+m)?\s*(\d+s)?$/.test(value) && value.length > 0) {
+    const units = { h: 3600, m: 60, s: 1 };
+    seconds = [...value.matchAll(/(\d+)([hms])/g)]
+      .reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+  }
+
+  if (seconds === null) return null;
+
+  const ms = seconds * 1000;
+  return sign
+    ? { ms: sign === "-" ? -ms : ms, relative: true }
+    : { ms, relative: false };
+}
+
+export function createNowPlayingEmbed(track, t, queue = null) {
   const embed = new EmbedBuilder()
     .setColor(0x1DB954)
     .setTitle(t("now_playing_title")) // ✅ Correcto
@@ -61,6 +207,14 @@ export function createNowPlayingEmbed(track, t) {
     )
     .setTimestamp();
 
+  if (queue) {
+    embed.addFields({
+      name: t("playback_mode"),
+      value: formatPlaybackMode(queue, t),
+      inline: true
+    });
+  }
+
   if (track.info.uri?.includes("youtube.com") || track.info.uri?.includes("youtu.be")) {
     const videoId = track.info.identifier || track.info.uri.split("v=")[1]?.split("&")[0];
     if (videoId) {
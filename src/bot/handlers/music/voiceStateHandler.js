@@ -2,6 +2,7 @@
 // Este handler es la FUENTE DE VERDAD para saber cuándo Discord liberó la conexión
 
 import { createLogger } from "../../utils/Logger.js";
+import { handleListenersChange, cancelIdleDisconnect } from "./idle.js";
 
 const logger = createLogger("voiceStateHandler");
 
@@ -16,8 +17,20 @@ export const hardLockedGuilds = new Set();
  */
 export function setupVoiceStateHandler(client) {
   client.on("voiceStateUpdate", (oldState, newState) => {
-    // Solo nos importa cuando el BOT cambia de estado
-    if (oldState.id !== client.user.id) return;
+    // Oyentes entrando o saliendo del canal del bot → pausa / salida por inactividad
+    if (oldState.id !== client.user.id) {
+      const botChannelId = oldState.guild.members.me?.voice?.channelId;
+      const affectsBot = botChannelId &&
+        oldState.channelId !== newState.channelId &&
+        (oldState.channelId === botChannelId || newState.channelId === botChannelId);
+      
+      if (affectsBot && !newState.member?.user.bot) {
+        handleListenersChange(oldState.guild).catch(error => {
+          logger.error("❌ Error gestionando cambio de oyentes", error);
+        });
+      }
+      return;
+    }
     
     const guildId = oldState.guild.id;
     
@@ -27,6 +40,8 @@ export function setupVoiceStateHandler(client) {
       logger.debug(`  Old channel: ${oldState.channelId}`);
       logger.debug(`  New channel: null`);
       
+      cancelIdleDisconnect(guildId);
+      
       // ✅ LIBERAR HARD LOCK - Discord confirmó que liberó la conexión
       if (hardLockedGuilds.has(guildId)) {
         hardLockedGuilds.delete(guildId);
@@ -34,6 +49,13 @@ export function setupVoiceStateHandler(client) {
       }
     }
     
+    // Bot movido a otro canal: puede haber quedado solo
+    if (oldState.channelId && newState.channelId && oldState.channelId !== newState.channelId) {
+      handleListenersChange(newState.guild).catch(error => {
+        logger.error("❌ Error gestionando cambio de canal del bot", error);
+      });
+    }
+    
     // Logging adicional para debugging
     if (oldState.channelId !== newState.channelId) {
       logger.debug(`Voice state change para bot en guild ${guildId}:`);
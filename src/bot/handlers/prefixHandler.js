@@ -3,9 +3,12 @@
 // PREFIX HANDLER CON CACHE INVALIDABLE
 // ============================================
 
-import { EmbedBuilder } from "discord.js";
 import { db } from "../database/ResilientDatabaseManager.js";
 import { createLogger } from "../utils/Logger.js";
+import Context from "../utils/Context.js";
+import { tokenize, parseArguments, buildUsage } from "../utils/ArgumentParser.js";
+import { createTranslator } from "../localization/TranslatorHelper.js";
+import { isRequestChannel } from "./music/requestChannel.js";
 
 const logger = createLogger("prefix");
 
@@ -17,10 +20,16 @@ const prefixCache = new Map();
 const CACHE_TTL = 30 * 60 * 1000; // 30 minutos
 const DEFAULT_PREFIX = "r!";
 
+// Las respuestas en el canal de peticiones se borran para dejar solo el panel
+const REQUEST_REPLY_TTL_MS = 8000;
+
 /**
- * Obtener prefix con cache
+ * Obtener prefix con cache (el por defecto fuera de servidores)
+ *
+ * @param {string|null} guildId
+ * @returns {Promise<string>}
  */
-async function getGuildPrefix(guildId) {
+export async function getGuildPrefix(guildId) {
   if (!guildId) return DEFAULT_PREFIX;
   
   // Cache hit
@@ -102,20 +111,55 @@ export function getPrefixCacheStats() {
 // ============================================
 
 /**
- * Formatear duración en ms a MM:SS o HH:MM:SS
+ * Responde con el error de argumentos y el uso generado desde el esquema
  */
-function formatDuration(ms) {
-  const seconds = Math.floor(ms / 1000);
-  const mins = Math.floor(seconds / 60);
-  const secs = seconds % 60;
+async function replyWithUsage(message, prefix, commandName, command, parsed) {
+  const t = await createTranslator(null, { guild: message.guild });
+  const { key, params } = parsed.error;
   
-  if (mins >= 60) {
-    const hours = Math.floor(mins / 60);
-    const remainMins = mins % 60;
-    return `${hours}:${remainMins.toString().padStart(2, "0")}:${secs.toString().padStart(2, "0")}`;
-  }
+  const error = t(key, { ...params, type: params.typeKey ? t(params.typeKey) : "" });
+  const usage = buildUsage(prefix, commandName, command, parsed.subcommand);
   
-  return `${mins}:${secs.toString().padStart(2, "0")}`;
+  await message.reply({
+    content: `❌ ${error}\n${t("arg_usage", { usage })}`,
+    allowedMentions: { repliedUser: false }
+  }).catch(() => {});
+}
+
+/**
+ * Canal de peticiones: el mensaje completo es la búsqueda de play
+ * Las respuestas son temporales y el mensaje del usuario se borra al terminar
+ */
+async function handleSongRequest(message, client) {
+  const command = client.commands.get("play");
+  const query = message.content.trim();
+  
+  try {
+    if (!command || !query) return;
+    
+    logger.debug(`Petición en canal de música: "${query}" (${message.author.tag})`);
+    
+    const context = new Context(message, { _subcommand: null, query }, command.data.name);
+    
+    for (const method of ["reply", "editReply", "followUp"]) {
+      const send = context[method].bind(context);
+      context[method] = async (options) => {
+        const sent = await send(options);
+        setTimeout(() => sent?.delete().catch(() => {}), REQUEST_REPLY_TTL_MS);
+        return sent;
+      };
+    }
+    
+    await client.commandHandler.execute(context);
+    
+    // "⏳ Procesando..." queda sin editar cuando el panel fijado hace de respuesta
+    setTimeout(() => context.deleteReply().catch(() => {}), REQUEST_REPLY_TTL_MS);
+    
+  } catch (error) {
+    logger.error("Error procesando petición de música:", error);
+  } finally {
+    await message.delete().catch(() => {});
+  }
 }
 
 // ============================================
@@ -133,11 +177,17 @@ export async function handlePrefixCommand(message, client) {
   const prefix = await getGuildPrefix(message.guild.id);
   
   // Verificar si el mensaje empieza con el prefix
-  if (!message.content.startsWith(prefix)) return;
+  if (!message.content.startsWith(prefix)) {
+    if (await isRequestChannel(message.guild.id, message.channel.id)) {
+      await handleSongRequest(message, client);
+    }
+    return;
+  }
   
   // Parsear comando y args
-  const args = message.content.slice(prefix.length).trim().split(/\s+/);
-  const commandName = args.shift()?.toLowerCase();
+  const body = message.content.slice(prefix.length).trim();
+  const [commandToken = ""] = body.split(/\s+/, 1);
+  const commandName = commandToken.toLowerCase();
   
   if (!commandName) return;
   
@@ -149,115 +199,16 @@ export async function handlePrefixCommand(message, client) {
   
   logger.debug(`Prefix command: ${commandName} (prefix: ${prefix})`);
   
-  // Ejecutar comando
-  try {
-    // Crear contexto compatible
-    const context = {
-      type: "prefix",
-      client,  // ✅ CRÍTICO: Necesario para comandos de música
-      message,
-      guild: message.guild,
-      channel: message.channel,
-      member: message.member,
-      user: message.author,
-      commandName,
-      args,
-      
-      // Métodos helper
-      reply: async (options) => {
-        context.replied = true;
-        if (typeof options === "string") {
-          return message.reply(options);
-        }
-        return message.reply(options);
-      },
-      
-      deferReply: async () => {
-        context.deferred = true;
-        await message.channel.sendTyping();
-      },
-      
-      editReply: async (options) => {
-        context.replied = true;
-        // Para prefix commands, enviamos nuevo mensaje
-        if (typeof options === "string") {
-          return message.channel.send(options);
-        }
-        return message.channel.send(options);
-      },
-      
-      followUp: async (options) => {
-        if (typeof options === "string") {
-          return message.channel.send(options);
-        }
-        return message.channel.send(options);
-      },
-      
-      // Translator
-      getTranslator: async () => {
-        const { useLang } = await import("../localization/Translator.js");
-        return useLang({ guildId: message.guild?.id, locale: "en" });
-      },
-      
-      // Options getter (simulado)
-      options: {
-        getString: (name, required = false) => {
-          // Para comandos de música, retornar todos los args como query
-          if (name === "query" && args.length > 0) {
-            return args.join(" ");
-          }
-          
-          const value = args[0] || null;
-          
-          if (required && !value) {
-            throw new Error(`Missing required argument: ${name}`);
-          }
-          
-          return value;
-        },
-        getInteger: (name) => {
-          const val = parseInt(args[0]);
-          return isNaN(val) ? null : val;
-        },
-        getUser: (name) => message.mentions.users.first() || null,
-        getChannel: (name) => message.mentions.channels.first() || null,
-        getRole: (name) => message.mentions.roles.first() || null
-      },
-      
-      // ✅ CRÍTICO: Embeds helper para comandos de música
-      embeds: {
-        music: (track) => {
-          return new EmbedBuilder()
-            .setColor(0x1DB954)
-            .setTitle("🎵 Now Playing")
-            .setDescription(`**${track.info.title}**`)
-            .addFields(
-              { name: "Artist", value: track.info.author, inline: true },
-              { name: "Duration", value: formatDuration(track.info.length), inline: true }
-            )
-            .setTimestamp();
-        }
-      },
-      
-      // ✅ Flags de estado para manejo de respuestas
-      deferred: false,
-      replied: false
-    };
-    
-    await command.execute(context);
-    
-  } catch (error) {
-    logger.error(`Error ejecutando ${commandName}:`, error);
-    
-    try {
-      await message.reply({
-        content: "❌ Hubo un error ejecutando este comando.",
-        allowedMentions: { repliedUser: false }
-      });
-    } catch (replyError) {
-      logger.error("No se pudo enviar mensaje de error", replyError);
-    }
+  // Argumentos tipados según las opciones del comando
+  const parsed = parseArguments(command, tokenize(body.slice(commandToken.length)), message);
+  
+  if (parsed.error) {
+    logger.debug(`Argumentos inválidos para ${commandName}: ${parsed.error.key}`);
+    return replyWithUsage(message, prefix, commandName, command, parsed);
   }
+  
+  // Misma cadena que los slash: cooldowns, permisos, analytics y errores
+  await client.commandHandler.execute(message, parsed.args, command.data.name);
 }
 
 // ============================================
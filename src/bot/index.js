@@ -1,15 +1,18 @@
 // src/index.js
 import { Client, Collection, GatewayIntentBits } from "discord.js";
 import "dotenv/config";
-import path from "path";
-import { loadCommands } from "./utils/loadCommands.js";
+import { loadCommands, watchCommands, COMMANDS_PATH } from "./utils/loadCommands.js";
 import { clearCommandCache } from "./utils/commandbuilder.js";
 import { clearTranslationCache } from "./localization/TranslatorHelper.js";
 import LavalinkManager from "./music/LavalinkManager.js";
 import { handlePrefixCommand } from "./handlers/prefixHandler.js";
 import CommandHandler from "./utils/CommandHandler.js";
+import { cooldownManager } from "./utils/CooldownManager.js";
+import { pluginManager } from "./plugins/PluginManager.js";
 import { createLogger } from "./utils/Logger.js";
 import { db } from "./database/ResilientDatabaseManager.js";
+import { stopQueuePersistence } from "./handlers/music/persistence.js";
+import { setupVoiceStateHandler } from "./handlers/music/voiceStateHandler.js";
 
 const logger = createLogger("main");
 
@@ -35,8 +38,11 @@ clearTranslationCache();
 
 // Cargar comandos
 logger.info("Cargando comandos...");
-await loadCommands(path.resolve("src/bot/commands"), client.commands);
+const { failed } = await loadCommands(COMMANDS_PATH, client.commands);
 logger.info(`✅ ${client.commands.size} comandos cargados`);
+if (failed.length > 0) {
+  logger.warn(`⚠️ ${failed.length} comando(s) con errores: ${failed.map(f => f.file).join(", ")}`);
+}
 
 // Inicializar base de datos
 logger.info("Inicializando base de datos...");
@@ -47,12 +53,24 @@ try {
   db.available = false;
 }
 
+// Cooldowns largos que seguían activos antes del reinicio
+cooldownManager.restore();
+
+// Plugins (después de la DB: pueden tener migraciones)
+await pluginManager.loadAll(client);
+
 // Event handlers
 
 import("./events/ready.js").then(m => m.default(client));
 import("./events/interactionCreate.js").then(m => m.default(client));
 import("./events/members/guildnewmember.js").then(m => m.default(client));
 
+// Hard lock de voz, pausa automática y salida por inactividad
+setupVoiceStateHandler(client);
+
+// Recarga de comandos al guardar (HOT_RELOAD=true o NODE_ENV=development)
+const commandWatchers = watchCommands(client);
+
 // Prefix commands
 client.on("messageCreate", async (message) => {
   await handlePrefixCommand(message, client);
@@ -64,6 +82,11 @@ async function shutdown(signal) {
   logger.info("Cerrando servicios...");
   
   try {
+    commandWatchers.forEach(watcher => watcher.close());
+    
+    // Guardar colas de música antes de cerrar la DB
+    stopQueuePersistence(client);
+    
     // Cerrar base de datos
     await db.shutdown();
     logger.info("✅ Base de datos cerrada");
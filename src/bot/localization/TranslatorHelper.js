@@ -6,7 +6,7 @@
 // ============================================
 
 import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
+import { join, dirname, isAbsolute } from 'path';
 import { fileURLToPath } from 'url';
 import { createLogger } from '../utils/Logger.js';
 
@@ -28,6 +28,9 @@ const CONFIG = {
 // Cache de archivos cargados
 const fileCache = new Map();
 
+// Carpetas i18n de plugins: categoría → carpeta con {locale}/{comando}.json
+const commandSources = new Map();
+
 // Estadísticas
 const stats = {
   filesLoaded: 0,
@@ -85,9 +88,51 @@ export async function detectLanguage(context) {
 // CARGA DE ARCHIVOS
 // ========================================
 
+/**
+ * Registra la carpeta i18n de una categoría externa (plugins)
+ * @param {string} category - Categoría de los comandos
+ * @param {string} path - Carpeta con {locale}/{comando}.json
+ */
+export function registerCommandSource(category, path) {
+  commandSources.set(category, path);
+}
+
+/**
+ * Quita la carpeta de una categoría y sus archivos del cache
+ * @param {string} category - Categoría de los comandos
+ */
+export function unregisterCommandSource(category) {
+  const path = commandSources.get(category);
+  if (!path) return;
+
+  commandSources.delete(category);
+  for (const key of fileCache.keys()) {
+    if (key.includes(path)) fileCache.delete(key);
+  }
+}
+
+/**
+ * Carpeta i18n registrada para una categoría (undefined si es de src/i18n)
+ * @param {string} category
+ * @returns {string|undefined}
+ */
+export function getCommandSource(category) {
+  return commandSources.get(category);
+}
+
+/**
+ * Ruta del JSON de un comando: relativa a i18n/{locale}/ o absoluta (plugins)
+ */
+function commandFilePath(commandData, locale) {
+  const source = commandSources.get(commandData.category);
+  return source
+    ? join(source, locale, `${commandData.name}.json`)
+    : `commands/${commandData.category}/${commandData.name}.json`;
+}
+
 /**
  * Carga un archivo JSON de traducción con cache
- * @param {string} relativePath - Ruta relativa desde i18n/{locale}/
+ * @param {string} relativePath - Ruta relativa desde i18n/{locale}/ (o absoluta)
  * @param {string} locale - Código de idioma
  * @returns {Promise<Object>}
  */
@@ -104,7 +149,9 @@ async function loadJSON(relativePath, locale) {
   stats.cacheMisses++;
   
   try {
-    const fullPath = join(CONFIG.i18nPath, locale, relativePath);
+    const fullPath = isAbsolute(relativePath)
+      ? relativePath
+      : join(CONFIG.i18nPath, locale, relativePath);
     const content = await readFile(fullPath, 'utf-8');
     const data = JSON.parse(content);
     
@@ -214,7 +261,7 @@ export async function createTranslator(commandData, context) {
   
   // Cargar comando específico
   if (commandData?.category && commandData?.name) {
-    const commandPath = `commands/${commandData.category}/${commandData.name}.json`;
+    const commandPath = commandFilePath(commandData, locale);
     const commandData_i18n = await loadJSON(commandPath, locale);
     deepMerge(translations, commandData_i18n);
   }
@@ -228,7 +275,7 @@ export async function createTranslator(commandData, context) {
     }
     
     if (commandData?.category && commandData?.name) {
-      const commandPath = `commands/${commandData.category}/${commandData.name}.json`;
+      const commandPath = commandFilePath(commandData, CONFIG.defaultLocale);
       const data = await loadJSON(commandPath, CONFIG.defaultLocale);
       deepMerge(fallbackTranslations, data);
     }
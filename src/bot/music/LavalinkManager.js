@@ -1,26 +1,17 @@
 import { Shoukaku, Connectors } from "shoukaku";
+import NodeRegistry from "./NodeRegistry.js";
+
+// Estados de conexión de Shoukaku (Constants.State)
+const NODE_STATES = ["connecting", "connected", "disconnecting", "idle"];
 
 export default class LavalinkManager {
   constructor(client) {
-    // ✅ SOLO NODOS VERIFICADOS Y FUNCIONALES
-    const nodes = [
-      {
-        name: "ajiedev-v4",
-        url: "lava-v4.ajieblogs.eu.org:443",
-        auth: "ajieblogs",
-        secure: true
-      },
-      {
-        name: "jirayu-stable",
-        url: "lavalink.jirayu.net:13592",
-        auth: "youshallnotpass",
-        secure: false
-      }
-    ];
+    // ✅ Nodos desde configuración (LAVALINK_NODES / data/lavalink-nodes.json)
+    this.registry = new NodeRegistry();
 
     this.shoukaku = new Shoukaku(
       new Connectors.DiscordJS(client),
-      nodes,
+      this.registry.toShoukakuOptions(),
       {
         moveOnDisconnect: true,
         resume: true,
@@ -29,7 +20,8 @@ export default class LavalinkManager {
         reconnectTries: 2,
         reconnectInterval: 5,
         restTimeout: 60000,
-        userAgent: "Discord Bot (Shoukaku)"
+        userAgent: "Discord Bot (Shoukaku)",
+        nodeResolver: (nodes, connection) => this.resolveNode(nodes, connection)
       }
     );
 
@@ -38,6 +30,7 @@ export default class LavalinkManager {
     });
 
     this.shoukaku.on("error", (name, error) => {
+      this.registry.recordError(name, error);
       console.error(`❌ Error en nodo ${name}:`, error.message);
     });
 
@@ -53,4 +46,107 @@ export default class LavalinkManager {
       console.log(`🚪 Nodo ${name} cerrado: ${code} - ${reason || 'Sin razón'}`);
     });
   }
+
+  /**
+   * Elige nodo: prioridad (menor primero) → región de la conexión → penalties
+   */
+  resolveNode(nodes, connection) {
+    const region = connection?.region?.toLowerCase();
+
+    return [...nodes.values()]
+      .filter(node => node.state === 1)
+      .sort((a, b) => {
+        const configA = this.registry.get(a.name);
+        const configB = this.registry.get(b.name);
+
+        const priorityDiff = (configA?.priority ?? 0) - (configB?.priority ?? 0);
+        if (priorityDiff !== 0) return priorityDiff;
+
+        if (region) {
+          const matchA = configA?.region && region.startsWith(configA.region) ? 0 : 1;
+          const matchB = configB?.region && region.startsWith(configB.region) ? 0 : 1;
+          if (matchA !== matchB) return matchA - matchB;
+        }
+
+        return a.penalties - b.penalties;
+      })
+      .shift();
+  }
+
+  /**
+   * Añadir nodo en caliente
+   * @throws {Error} Si ya existe un nodo activo con ese nombre o los datos son inválidos
+   */
+  addNode(options) {
+    if (this.shoukaku.nodes.has(options.name)) {
+      throw new Error(`Ya existe un nodo activo llamado ${options.name}`);
+    }
+
+    const node = this.registry.add(options);
+    this.shoukaku.addNode({
+      name: node.name,
+      url: node.url,
+      auth: node.auth,
+      secure: node.secure
+    });
+
+    console.log(`➕ Nodo Lavalink añadido: ${node.name} (${node.url})`);
+    return node;
+  }
+
+  /**
+   * Quitar nodo en caliente (los players se mueven a otro nodo)
+   * @returns {boolean} Si el nodo existía
+   */
+  removeNode(name) {
+    const existed = this.registry.remove(name);
+    const node = this.shoukaku.nodes.get(name);
+
+    if (node) {
+      // Sin reintentos restantes Shoukaku limpia el nodo en vez de reconectar
+      node.reconnects = this.shoukaku.options.reconnectTries;
+
+      if (node.state === 1 || node.state === 0) {
+        this.shoukaku.removeNode(name, "Eliminado por el owner");
+      } else {
+        node.removeAllListeners();
+        this.shoukaku.nodes.delete(name);
+      }
+    }
+
+    if (existed || node) {
+      console.log(`➖ Nodo Lavalink eliminado: ${name}`);
+    }
+
+    return existed || Boolean(node);
+  }
+
+  /**
+   * Estado de salud de cada nodo configurado
+   */
+  getNodeStatus() {
+    return [...this.registry.nodes.values()].map(config => {
+      const node = this.shoukaku.nodes.get(config.name);
+      const stats = node?.stats;
+
+      return {
+        name: config.name,
+        url: config.url,
+        secure: config.secure,
+        region: config.region,
+        priority: config.priority,
+        source: config.source,
+        state: node ? NODE_STATES[node.state] : "removed",
+        players: stats?.players ?? 0,
+        playingPlayers: stats?.playingPlayers ?? 0,
+        cpu: stats ? stats.cpu.lavalinkLoad * 100 : null,
+        memory: stats?.memory.used ?? null,
+        uptime: stats?.uptime ?? null,
+        penalties: node?.state === 1 ? node.penalties : null,
+        reconnects: node?.reconnects ?? 0,
+        lastError: config.lastError,
+        lastErrorAt: config.lastErrorAt
+      };
+    });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,182 @@
+// src/bot/music/NodeRegistry.js
+// ============================================
+// REGISTRO DE NODOS LAVALINK
+// Carga los nodos desde entorno / archivo y guarda su estado de salud
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "../utils/Logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const logger = createLogger("lavalink:nodes");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "../../../data/lavalink-nodes.json");
+
+// host:puerto sin protocolo (formato que espera Shoukaku)
+const URL_PATTERN = /^[a-z0-9.-]+:\d{1,5}$/i;
+
+/**
+ * Registro de nodos Lavalink
+ *
+ * Fuentes (en orden, el nombre más reciente gana):
+ * 1. Archivo JSON (`LAVALINK_CONFIG` o data/lavalink-nodes.json)
+ * 2. Variable `LAVALINK_NODES` con un array JSON
+ *
+ * Los nodos añadidos en caliente se guardan en el archivo;
+ * los definidos por entorno nunca se escriben a disco.
+ */
+export default class NodeRegistry {
+  constructor(configPath = process.env.LAVALINK_CONFIG || DEFAULT_CONFIG_PATH) {
+    this.configPath = configPath;
+    this.nodes = new Map();
+    this.load();
+  }
+
+  /**
+   * Valida y normaliza la definición de un nodo
+   * @throws {Error} Si falta un campo obligatorio o el formato es inválido
+   */
+  static normalize(options, source = "runtime") {
+    const name = String(options.name || "").trim();
+    const url = String(options.url || "").trim().replace(/^(wss?|https?):\/\//, "");
+
+    if (!name) throw new Error("El nodo necesita un nombre");
+    if (!URL_PATTERN.test(url)) throw new Error(`URL inválida para ${name}: usa host:puerto`);
+    if (!options.auth) throw new Error(`El nodo ${name} necesita auth`);
+
+    return {
+      name,
+      url,
+      auth: String(options.auth),
+      secure: options.secure === true || options.secure === "true",
+      region: options.region ? String(options.region).toLowerCase() : null,
+      priority: Number.isFinite(Number(options.priority)) ? Number(options.priority) : 0,
+      source,
+      lastError: null,
+      lastErrorAt: null
+    };
+  }
+
+  /**
+   * Cargar nodos desde archivo y entorno
+   */
+  load() {
+    this.nodes.clear();
+
+    for (const node of this.readFile()) {
+      this.register(node, "file");
+    }
+
+    if (process.env.LAVALINK_NODES) {
+      try {
+        const parsed = JSON.parse(process.env.LAVALINK_NODES);
+        for (const node of Array.isArray(parsed) ? parsed : [parsed]) {
+          this.register(node, "env");
+        }
+      } catch (error) {
+        logger.error("❌ LAVALINK_NODES no es JSON válido", error);
+      }
+    }
+
+    if (this.nodes.size === 0) {
+      logger.warn("⚠️ No hay nodos Lavalink configurados (LAVALINK_NODES o data/lavalink-nodes.json)");
+    } else {
+      logger.info(`✅ ${this.nodes.size} nodos Lavalink configurados`);
+    }
+  }
+
+  readFile() {
+    try {
+      if (!fs.existsSync(this.configPath)) return [];
+
+      const parsed = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+      return Array.isArray(parsed) ? parsed : parsed.nodes || [];
+    } catch (error) {
+      logger.error(`❌ Error leyendo ${this.configPath}`, error);
+      return [];
+    }
+  }
+
+  register(options, source) {
+    try {
+      const node = NodeRegistry.normalize(options, source);
+      this.nodes.set(node.name, node);
+      return node;
+    } catch (error) {
+      logger.warn(`⚠️ Nodo ignorado: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Guardar en archivo los nodos que no vienen del entorno
+   */
+  save() {
+    try {
+      const nodes = [...this.nodes.values()]
+        .filter(node => node.source !== "env")
+        .map(({ name, url, auth, secure, region, priority }) => ({
+          name, url, auth, secure, region, priority
+        }));
+
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      fs.writeFileSync(this.configPath, JSON.stringify({ nodes }, null, 2), "utf8");
+      return true;
+    } catch (error) {
+      logger.error("❌ Error guardando nodos Lavalink", error);
+      return false;
+    }
+  }
+
+  /**
+   * Añadir nodo (en caliente)
+   * @returns {Object} Nodo normalizado
+   */
+  add(options) {
+    const node = NodeRegistry.normalize(options, "runtime");
+    this.nodes.set(node.name, node);
+    this.save();
+    return node;
+  }
+
+  /**
+   * Quitar nodo (en caliente)
+   * @returns {boolean} Si existía
+   */
+  remove(name) {
+    const node = this.nodes.get(name);
+    if (!node) return false;
+
+    this.nodes.delete(name);
+    if (node.source !== "env") this.save();
+    return true;
+  }
+
+  get(name) {
+    return this.nodes.get(name) || null;
+  }
+
+  has(name) {
+    return this.nodes.has(name);
+  }
+
+  /**
+   * Opciones en el formato de Shoukaku
+   */
+  toShoukakuOptions() {
+    return [...this.nodes.values()].map(({ name, url, auth, secure }) => ({
+      name, url, auth, secure
+    }));
+  }
+
+  recordError(name, error) {
+    const node = this.nodes.get(name);
+    if (!node) return;
+
+    node.lastError = error?.message || String(error);
+    node.lastErrorAt = Date.now();
+  }
+}
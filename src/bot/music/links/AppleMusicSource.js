@@ -0,0 +1,81 @@
+// src/bot/music/links/AppleMusicSource.js
+// ============================================
+// APPLE MUSIC (token de desarrollador: APPLE_MUSIC_TOKEN)
+// ============================================
+
+import LinkSource from "./LinkSource.js";
+
+const API_URL = "https://api.music.apple.com/v1/catalog";
+
+function toItem(song) {
+  const attributes = song.attributes ?? {};
+  return {
+    title: attributes.name,
+    artist: attributes.artistName ?? null,
+    isrc: attributes.isrc ?? null,
+    durationMs: attributes.durationInMillis ?? null
+  };
+}
+
+export default class AppleMusicSource extends LinkSource {
+  constructor(token = process.env.APPLE_MUSIC_TOKEN) {
+    super("Apple Music");
+    this.token = token;
+  }
+
+  parse(url) {
+    if (url.hostname !== "music.apple.com") return null;
+
+    const match = url.pathname.match(/^\/([a-z]{2})\/(song|album|playlist)\/(?:[^/]+\/)?([^/?]+)$/);
+    if (!match) return null;
+
+    const [, storefront, type, id] = match;
+
+    // Enlace a una canción dentro de un álbum: .../album/nombre/123?i=456
+    const songId = url.searchParams.get("i");
+    if (type === "album" && songId) {
+      return { type: "track", id: songId, storefront };
+    }
+
+    return { type: type === "song" ? "track" : type, id, storefront };
+  }
+
+  async api(path) {
+    if (!this.token) {
+      throw new Error("Apple Music: falta APPLE_MUSIC_TOKEN");
+    }
+
+    return this.request(`${API_URL}${path}`, { Authorization: `Bearer ${this.token}` });
+  }
+
+  async fetchMetadata({ type, id, storefront }, limit) {
+    if (type === "track") {
+      const { data } = await this.api(`/${storefront}/songs/${id}`);
+      return { type, name: data[0].attributes.name, total: 1, items: [toItem(data[0])] };
+    }
+
+    const { data } = await this.api(`/${storefront}/${type}s/${id}`);
+    const collection = data[0];
+    const songs = [...(collection.relationships?.tracks?.data ?? [])];
+
+    // Las relaciones vienen paginadas de 100 en 100
+    let next = collection.relationships?.tracks?.next;
+    while (next && songs.length < limit) {
+      const page = await this.request(`https://api.music.apple.com${next}`, { Authorization: `Bearer ${this.token}` });
+      songs.push(...page.data);
+      next = page.next;
+    }
+
+    const items = songs
+      .filter(song => song.type === "songs")
+      .slice(0, limit)
+      .map(toItem);
+
+    return {
+      type,
+      name: collection.attributes.name,
+      total: collection.attributes.trackCount ?? songs.length,
+      items
+    };
+  }
+}
@@ -0,0 +1,51 @@
+// src/bot/music/links/DeezerSource.js
+// ============================================
+// DEEZER (API pública, sin clave)
+// ============================================
+
+import LinkSource from "./LinkSource.js";
+
+const API_URL = "https://api.deezer.com";
+
+function toItem(track) {
+  return {
+    title: track.title,
+    artist: track.artist?.name ?? null,
+    isrc: track.isrc ?? null,
+    durationMs: track.duration ? track.duration * 1000 : null
+  };
+}
+
+export default class DeezerSource extends LinkSource {
+  constructor() {
+    super("Deezer");
+  }
+
+  parse(url) {
+    if (!/(^|\.)deezer\.com$/.test(url.hostname)) return null;
+
+    const match = url.pathname.match(/^(?:\/[a-z]{2})?\/(track|album|playlist)\/(\d+)/);
+    return match ? { type: match[1], id: match[2] } : null;
+  }
+
+  async fetchMetadata({ type, id }, limit) {
+    if (type === "track") {
+      const track = await this.request(`${API_URL}/track/${id}`);
+      if (track.error) throw new Error(`Deezer: ${track.error.message}`);
+
+      return { type, name: track.title, total: 1, items: [toItem(track)] };
+    }
+
+    const collection = await this.request(`${API_URL}/${type}/${id}`);
+    if (collection.error) throw new Error(`Deezer: ${collection.error.message}`);
+
+    const tracks = await this.request(`${API_URL}/${type}/${id}/tracks?limit=${limit}`);
+
+    return {
+      type,
+      name: collection.title,
+      total: collection.nb_tracks ?? tracks.total ?? tracks.data.length,
+      items: tracks.data.slice(0, limit).map(toItem)
+    };
+  }
+}
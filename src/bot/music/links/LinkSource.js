@@ -0,0 +1,52 @@
+// src/bot/music/links/LinkSource.js
+// ============================================
+// INTERFAZ DE SERVICIOS DE MÚSICA EXTERNOS
+// ============================================
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Servicio externo (Spotify, Apple Music, Deezer...)
+ *
+ * Las implementaciones sobrescriben `parse` y `fetchMetadata`.
+ * Cada canción se describe como `{ title, artist, isrc, durationMs }`.
+ */
+export default class LinkSource {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Extrae tipo e ID del enlace
+   *
+   * @param {URL} url
+   * @returns {{ type: string, id: string, [key: string]: any }|null}
+   */
+  parse(url) {
+    return null;
+  }
+
+  /**
+   * Metadatos de la canción, álbum o playlist
+   *
+   * @param {Object} link - Resultado de `parse`
+   * @param {number} limit - Máximo de canciones a leer
+   * @returns {Promise<{ type: string, name: string, total: number, items: Array }>}
+   */
+  async fetchMetadata(link, limit) {
+    throw new Error(`${this.constructor.name} no implementa fetchMetadata()`);
+  }
+
+  async request(url, headers = {}) {
+    const response = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name}: HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
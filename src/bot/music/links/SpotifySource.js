@@ -0,0 +1,125 @@
+// src/bot/music/links/SpotifySource.js
+// ============================================
+// SPOTIFY (Client Credentials: SPOTIFY_CLIENT_ID / SPOTIFY_CLIENT_SECRET)
+// ============================================
+
+import LinkSource from "./LinkSource.js";
+
+const API_URL = "https://api.spotify.com/v1";
+const TOKEN_URL = "https://accounts.spotify.com/api/token";
+
+// La API admite como máximo 50 IDs por petición de /tracks, 50 canciones por página
+// de álbum y 100 por página de playlist
+const TRACKS_BATCH = 50;
+const ALBUM_PAGE = 50;
+const PLAYLIST_PAGE = 100;
+
+function toItem(track) {
+  return {
+    title: track.name,
+    artist: track.artists?.map(artist => artist.name).join(", ") || null,
+    isrc: track.external_ids?.isrc ?? null,
+    durationMs: track.duration_ms ?? null
+  };
+}
+
+export default class SpotifySource extends LinkSource {
+  constructor(clientId = process.env.SPOTIFY_CLIENT_ID, clientSecret = process.env.SPOTIFY_CLIENT_SECRET) {
+    super("Spotify");
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  parse(url) {
+    // spotify:track:ID llega como URL con protocolo "spotify:"
+    if (url.protocol === "spotify:") {
+      const [type, id] = url.pathname.split(":");
+      return ["track", "album", "playlist"].includes(type) && id ? { type, id } : null;
+    }
+
+    if (url.hostname !== "open.spotify.com") return null;
+
+    const match = url.pathname.match(/^(?:\/intl-[a-z-]+)?\/(track|album|playlist)\/([A-Za-z0-9]+)/);
+    return match ? { type: match[1], id: match[2] } : null;
+  }
+
+  async getToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt) return this.token;
+
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error("Spotify: faltan SPOTIFY_CLIENT_ID / SPOTIFY_CLIENT_SECRET");
+    }
+
+    const response = await fetch(TOKEN_URL, {
+      method: "POST",
+      headers: {
+        "Authorization": `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: "grant_type=client_credentials",
+      signal: AbortSignal.timeout(8000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Spotify: token HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    this.token = data.access_token;
+    // Renovar un minuto antes de que caduque
+    this.tokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+    return this.token;
+  }
+
+  async api(path) {
+    const token = await this.getToken();
+    return this.request(`${API_URL}${path}`, { Authorization: `Bearer ${token}` });
+  }
+
+  async fetchMetadata({ type, id }, limit) {
+    if (type === "track") {
+      const track = await this.api(`/tracks/${id}`);
+      return { type, name: track.name, total: 1, items: [toItem(track)] };
+    }
+
+    if (type === "playlist") {
+      const playlist = await this.api(`/playlists/${id}?fields=name,tracks.total`);
+      const items = [];
+
+      // Los episodios y canciones borradas se descartan: avanzar por lo recibido, no por lo guardado
+      let offset = 0;
+      while (items.length < limit) {
+        const page = await this.api(`/playlists/${id}/tracks?offset=${offset}&limit=${Math.min(PLAYLIST_PAGE, limit - items.length)}`);
+        items.push(...page.items.filter(entry => entry.track?.type === "track").map(entry => toItem(entry.track)));
+        offset += page.items.length;
+        if (!page.next || page.items.length === 0) break;
+      }
+
+      return { type, name: playlist.name, total: playlist.tracks.total, items: items.slice(0, limit) };
+    }
+
+    // Las canciones de un álbum no traen ISRC: pedirlas completas por lotes
+    const album = await this.api(`/albums/${id}`);
+    const ids = album.tracks.items.map(track => track.id);
+
+    // /albums/{id} solo trae la primera página de canciones
+    let page = album.tracks;
+    while (page.next && ids.length < limit) {
+      page = await this.api(`/albums/${id}/tracks?offset=${ids.length}&limit=${ALBUM_PAGE}`);
+      if (page.items.length === 0) break;
+      ids.push(...page.items.map(track => track.id));
+    }
+
+    ids.splice(limit);
+    const items = [];
+
+    for (let i = 0; i < ids.length; i += TRACKS_BATCH) {
+      const { tracks } = await this.api(`/tracks?ids=${ids.slice(i, i + TRACKS_BATCH).join(",")}`);
+      items.push(...tracks.filter(Boolean).map(toItem));
+    }
+
+    return { type, name: album.name, total: album.total_tracks, items };
+  }
+}
@@ -0,0 +1,170 @@
+// src/bot/music/links/index.js
+// ============================================
+// ENLACES DE SPOTIFY / APPLE MUSIC / DEEZER
+// Convierte los metadatos del servicio en tracks reproducibles:
+// primero por ISRC, después por título y artista
+// ============================================
+
+import { createLogger } from "../../utils/Logger.js";
+import SpotifySource from "./SpotifySource.js";
+import AppleMusicSource from "./AppleMusicSource.js";
+import DeezerSource from "./DeezerSource.js";
+
+const logger = createLogger("music:links");
+
+const SOURCES = [new SpotifySource(), new AppleMusicSource(), new DeezerSource()];
+
+// Enlaces cortos que redirigen al enlace real
+const SHORT_LINK_HOSTS = ["spotify.link", "deezer.page.link", "link.deezer.com"];
+
+// Máximo de canciones que se expanden de un álbum o playlist
+export const LINK_TRACK_LIMIT = Math.max(1, Number(process.env.LINK_TRACK_LIMIT) || 50);
+
+// Búsquedas simultáneas contra Lavalink al expandir una playlist
+const SEARCH_CONCURRENCY = 4;
+
+// Diferencia máxima de duración para aceptar un resultado por título/artista
+const DURATION_TOLERANCE_MS = 15_000;
+
+function toUrl(input) {
+  try {
+    return new URL(input.trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Indica si el texto es un enlace de un servicio soportado
+ *
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function isMusicServiceLink(query) {
+  const url = toUrl(query);
+  if (!url) return false;
+
+  return SHORT_LINK_HOSTS.includes(url.hostname) || SOURCES.some(source => source.parse(url));
+}
+
+async function expandShortLink(url) {
+  if (!SHORT_LINK_HOSTS.includes(url.hostname)) return url;
+
+  const response = await fetch(url, { redirect: "follow", signal: AbortSignal.timeout(8000) });
+  return new URL(response.url);
+}
+
+function durationMatches(item, track) {
+  if (!item.durationMs || track.info.isStream) return !track.info.isStream;
+  return Math.abs(track.info.length - item.durationMs) <= DURATION_TOLERANCE_MS;
+}
+
+async function search(node, identifier) {
+  const result = await node.rest.resolve(identifier);
+  return result?.loadType === "search" ? result.data : [];
+}
+
+/**
+ * Busca en Lavalink el track que corresponde a una canción del servicio
+ *
+ * @param {Node} node - Nodo de Lavalink
+ * @param {Object} item - { title, artist, isrc, durationMs }
+ * @returns {Promise<Object|null>} Track de Lavalink o null
+ */
+export async function matchTrack(node, item) {
+  // ISRC: los canales "Topic" de YouTube lo indexan
+  if (item.isrc) {
+    const byIsrc = await search(node, `ytsearch:"${item.isrc}"`);
+    const track = byIsrc.find(candidate => durationMatches(item, candidate));
+    if (track) return track;
+  }
+
+  const query = item.artist ? `${item.artist} - ${item.title}` : item.title;
+  const candidates = (await search(node, `ytsearch:${query}`)).slice(0, 5);
+
+  // El más cercano en duración dentro de la tolerancia
+  return candidates
+    .filter(candidate => durationMatches(item, candidate))
+    .sort((a, b) =>
+      Math.abs(a.info.length - (item.durationMs ?? 0)) - Math.abs(b.info.length - (item.durationMs ?? 0))
+    )[0] ?? null;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Resuelve un enlace de Spotify, Apple Music o Deezer
+ *
+ * @param {Node} node - Nodo de Lavalink para las búsquedas
+ * @param {string} query - Enlace pegado por el usuario
+ * @param {Object} options
+ * @param {number} options.limit - Máximo de canciones a expandir
+ * @returns {Promise<{ source: string, type: string, name: string, total: number,
+ *   tracks: Array, unmatched: Array, truncated: boolean }>}
+ * @throws {Error} Si el enlace no es soportado o el servicio falla
+ */
+export async function resolveMusicLink(node, query, { limit = LINK_TRACK_LIMIT } = {}) {
+  const url = await expandShortLink(toUrl(query));
+
+  let source = null;
+  let link = null;
+  for (const candidate of SOURCES) {
+    link = candidate.parse(url);
+    if (link) {
+      source = candidate;
+      break;
+    }
+  }
+
+  if (!source) {
+    throw new Error(`Enlace no soportado: ${url.href}`);
+  }
+
+  const metadata = await source.fetchMetadata(link, limit);
+  logger.info(`🔗 ${source.name} ${metadata.type}: ${metadata.name} (${metadata.items.length}/${metadata.total})`);
+
+  const matches = await mapWithConcurrency(metadata.items, SEARCH_CONCURRENCY, item =>
+    matchTrack(node, item).catch(error => {
+      logger.debug(`Búsqueda fallida para "${item.title}": ${error.message}`);
+      return null;
+    })
+  );
+
+  const tracks = [];
+  const unmatched = [];
+
+  metadata.items.forEach((item, index) => {
+    if (matches[index]) {
+      tracks.push(matches[index]);
+    } else {
+      unmatched.push(item);
+    }
+  });
+
+  if (unmatched.length > 0) {
+    logger.warn(`⚠️ ${unmatched.length} canciones de ${source.name} sin equivalente`);
+  }
+
+  return {
+    source: source.name,
+    type: metadata.type,
+    name: metadata.name,
+    total: metadata.total,
+    tracks,
+    unmatched,
+    truncated: metadata.total > metadata.items.length
+  };
+}
@@ -0,0 +1,57 @@
+// src/bot/music/lyrics/FixtureProvider.js
+// ============================================
+// PROVEEDOR DE LETRAS: FIXTURE LOCAL
+// Letras desde un JSON en disco, para pruebas sin red
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import LyricsProvider from "./LyricsProvider.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, "../../../../data/lyrics-fixtures.example.json");
+
+function normalize(text) {
+  return String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+// Palabras completas: "star" no coincide dentro de "stardust"; un título vacío no coincide con nada
+function containsWords(text, words) {
+  return Boolean(words) && ` ${text} `.includes(` ${words} `);
+}
+
+/**
+ * Formato del archivo: `{ "songs": [{ "title", "artist", "lyrics" }] }` o un array
+ */
+export default class FixtureProvider extends LyricsProvider {
+  constructor(fixturePath = process.env.LYRICS_FIXTURES || DEFAULT_FIXTURE_PATH) {
+    super("fixture");
+
+    const parsed = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+    this.songs = Array.isArray(parsed) ? parsed : parsed.songs || [];
+  }
+
+  async search({ title, artist = null }) {
+    const wantedTitle = normalize(title);
+    const wantedArtist = normalize(artist);
+
+    if (!wantedTitle) return null;
+
+    const song = this.songs.find(entry =>
+      normalize(entry.title) === wantedTitle &&
+      (!wantedArtist || normalize(entry.artist) === wantedArtist)
+    ) ?? this.songs.find(entry => containsWords(wantedTitle, normalize(entry.title)));
+
+    if (!song) return null;
+
+    return {
+      title: song.title,
+      artist: song.artist,
+      lyrics: song.lyrics,
+      source: "Fixture",
+      url: null
+    };
+  }
+}
@@ -0,0 +1,54 @@
+// src/bot/music/lyrics/LrclibProvider.js
+// ============================================
+// PROVEEDOR DE LETRAS: LRCLIB
+// API pública sin clave (https://lrclib.net)
+// ============================================
+
+import LyricsProvider from "./LyricsProvider.js";
+
+const API_URL = "https://lrclib.net/api/search";
+const REQUEST_TIMEOUT_MS = 8000;
+
+export default class LrclibProvider extends LyricsProvider {
+  constructor(apiUrl = process.env.LRCLIB_API_URL || API_URL) {
+    super("lrclib");
+    this.apiUrl = apiUrl;
+  }
+
+  async search({ title, artist = null }) {
+    const params = new URLSearchParams({ track_name: title });
+    if (artist) params.set("artist_name", artist);
+
+    let results = await this.request(params);
+
+    // El artista de YouTube suele ser el canal: reintentar solo con el texto
+    if (results.length === 0 && artist) {
+      results = await this.request(new URLSearchParams({ q: `${artist} ${title}` }));
+    }
+
+    const match = results.find(result => result.plainLyrics && !result.instrumental);
+    if (!match) return null;
+
+    return {
+      title: match.trackName,
+      artist: match.artistName,
+      lyrics: match.plainLyrics,
+      source: "LRCLIB",
+      url: null
+    };
+  }
+
+  async request(params) {
+    const response = await fetch(`${this.apiUrl}?${params}`, {
+      headers: { "User-Agent": "Discord Bot (lyrics)" },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+  }
+}
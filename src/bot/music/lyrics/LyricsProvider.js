@@ -0,0 +1,28 @@
+// src/bot/music/lyrics/LyricsProvider.js
+// ============================================
+// INTERFAZ DE PROVEEDORES DE LETRAS
+// ============================================
+
+/**
+ * Proveedor de letras
+ *
+ * Las implementaciones sobrescriben `search` y devuelven
+ * `{ title, artist, lyrics, source, url }` o null si no hay letra.
+ */
+export default class LyricsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Buscar la letra de una canción
+   *
+   * @param {Object} query
+   * @param {string} query.title - Título de la canción
+   * @param {string|null} query.artist - Artista (opcional)
+   * @returns {Promise<Object|null>}
+   */
+  async search(query) {
+    throw new Error(`${this.constructor.name} no implementa search()`);
+  }
+}
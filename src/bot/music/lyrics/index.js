@@ -0,0 +1,77 @@
+// src/bot/music/lyrics/index.js
+// ============================================
+// LETRAS: SELECCIÓN DE PROVEEDOR
+// LYRICS_PROVIDER=lrclib (por defecto) | fixture
+// ============================================
+
+import { createLogger } from "../../utils/Logger.js";
+import LyricsProvider from "./LyricsProvider.js";
+import LrclibProvider from "./LrclibProvider.js";
+import FixtureProvider from "./FixtureProvider.js";
+
+const logger = createLogger("lyrics:provider");
+
+const PROVIDERS = {
+  lrclib: () => new LrclibProvider(),
+  fixture: () => new FixtureProvider()
+};
+
+// Texto de YouTube que no forma parte del título real
+const TITLE_NOISE = /\s*[([](?:official|oficial|lyrics?|letra|video|audio|visualizer|hd|4k|mv)[^)\]]*[)\]]/gi;
+
+let provider = null;
+
+/**
+ * Proveedor activo (se crea al primer uso)
+ *
+ * @returns {LyricsProvider}
+ */
+export function getLyricsProvider() {
+  if (!provider) {
+    const name = (process.env.LYRICS_PROVIDER || "lrclib").toLowerCase();
+
+    if (!PROVIDERS[name]) {
+      logger.warn(`⚠️ Proveedor de letras desconocido "${name}", usando lrclib`);
+    }
+
+    provider = (PROVIDERS[name] ?? PROVIDERS.lrclib)();
+    logger.info(`📝 Proveedor de letras: ${provider.name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Reemplaza el proveedor activo (p. ej. un FixtureProvider con otro archivo)
+ *
+ * @param {LyricsProvider} newProvider
+ */
+export function setLyricsProvider(newProvider) {
+  if (!(newProvider instanceof LyricsProvider)) {
+    throw new Error("El proveedor debe extender LyricsProvider");
+  }
+
+  provider = newProvider;
+}
+
+/**
+ * Título y artista a partir de la info de un track de Lavalink
+ * "Artista - Canción (Official Video)" → { artist: "Artista", title: "Canción" }
+ *
+ * @param {Object} info - track.info
+ * @returns {{ title: string, artist: string|null }}
+ */
+export function parseTrackInfo(info) {
+  let title = info.title.replace(TITLE_NOISE, "").trim();
+  let artist = info.author?.replace(/\s*-\s*Topic$/i, "").replace(/VEVO$/i, "").trim() || null;
+
+  const separator = title.indexOf(" - ");
+  if (separator > 0) {
+    artist = title.slice(0, separator).trim();
+    title = title.slice(separator + 3).trim();
+  }
+
+  return { title, artist };
+}
+
+export { LyricsProvider, LrclibProvider, FixtureProvider };
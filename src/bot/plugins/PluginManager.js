@@ -0,0 +1,576 @@
+// src/plugins/PluginManager.js
+// ============================================
+// SISTEMA DE PLUGINS
+// - Cada carpeta de plugins/ con plugin.json (ver manifest.js) declara
+//   comandos, eventos, traducciones, migraciones y config por servidor
+// - Carga, descarga y recarga en caliente, sin reiniciar el cliente
+// - Aislamiento: los errores de un plugin se capturan y, si se repiten,
+//   el plugin se descarga solo
+// - Activación y config por servidor (guild_settings.plugin_settings)
+// ============================================
+
+import { readdirSync, readFileSync, existsSync } from "fs";
+import { join, isAbsolute, relative } from "path";
+import { pathToFileURL } from "url";
+import { Guild } from "discord.js";
+import { createLogger } from "../utils/Logger.js";
+import { db } from "../database/ResilientDatabaseManager.js";
+import { clearCommandCache } from "../utils/commandbuilder.js";
+import {
+  createTranslator,
+  registerCommandSource,
+  unregisterCommandSource
+} from "../localization/TranslatorHelper.js";
+import { PLUGINS_PATH, discoverPlugins, readManifest, defaultConfig } from "./manifest.js";
+
+const logger = createLogger("plugins");
+
+// Errores que aguanta un plugin dentro de la ventana antes de descargarlo
+const MAX_ERRORS = 5;
+const ERROR_WINDOW_MS = 60 * 1000;
+
+// Tiempo máximo de onLoad / onUnload
+const HOOK_TIMEOUT_MS = 10 * 1000;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label}: sin respuesta tras ${ms / 1000}s`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Servidor del evento: el primer argumento que sea un servidor o tenga uno
+function findGuildId(args) {
+  for (const arg of args) {
+    if (arg instanceof Guild) return arg.id;
+
+    const guildId = arg?.guild?.id ?? arg?.guildId;
+    if (guildId) return guildId;
+  }
+  return null;
+}
+
+// Import sin la cache de módulos de Node: cada carga lee el archivo de nuevo
+// (los módulos que importe el archivo sí se reutilizan)
+function importFresh(file) {
+  const url = pathToFileURL(file);
+  url.searchParams.set("v", Date.now().toString());
+  return import(url.href);
+}
+
+export class PluginManager {
+  constructor() {
+    this.client = null;
+    // nombre → plugin cargado
+    this.plugins = new Map();
+    // nombre → { dir, error } de la última carga fallida
+    this.failed = new Map();
+    // guildId → ajustes de plugins del servidor
+    this.settingsCache = new Map();
+  }
+
+  /**
+   * Carga todos los plugins instalados (tras inicializar la DB)
+   * @param {Client} client
+   */
+  async loadAll(client) {
+    this.client = client;
+
+    for (const dir of discoverPlugins()) {
+      await this.load(dir);
+    }
+
+    if (this.plugins.size > 0 || this.failed.size > 0) {
+      logger.info(`🧩 ${this.plugins.size} plugin(s) cargados, ${this.failed.size} con errores`);
+    }
+  }
+
+  // Acepta el nombre de la carpeta o su ruta
+  resolveDir(nameOrDir) {
+    if (isAbsolute(nameOrDir)) return nameOrDir;
+    return this.plugins.get(nameOrDir)?.manifest.dir ??
+      this.failed.get(nameOrDir)?.dir ??
+      join(PLUGINS_PATH, nameOrDir);
+  }
+
+  /**
+   * Nombres de los plugins instalados (cargados o no)
+   * @returns {string[]}
+   */
+  available() {
+    const names = new Set([...this.plugins.keys(), ...this.failed.keys()]);
+
+    for (const dir of discoverPlugins()) {
+      try {
+        names.add(readManifest(dir).name);
+      } catch {
+        names.add(relative(PLUGINS_PATH, dir));
+      }
+    }
+
+    return [...names].sort();
+  }
+
+  /**
+   * Carga un plugin. Si algo falla se deshace lo registrado
+   * y el resto del bot sigue funcionando
+   *
+   * @param {string} nameOrDir - Nombre de la carpeta en plugins/ o ruta
+   * @returns {Promise<{ success: boolean, plugin?: Object, error?: string }>}
+   */
+  async load(nameOrDir) {
+    const dir = this.resolveDir(nameOrDir);
+    let manifest;
+
+    try {
+      manifest = readManifest(dir);
+    } catch (error) {
+      const name = relative(PLUGINS_PATH, dir);
+      this.failed.set(name, { dir, error: error.message });
+      logger.error(`❌ Plugin ${name} no válido: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+
+    const { name } = manifest;
+
+    if (this.plugins.has(name)) {
+      return { success: false, error: `${name} ya está cargado` };
+    }
+
+    const plugin = this.createPlugin(manifest);
+
+    try {
+      if (manifest.i18n) registerCommandSource(name, manifest.i18n);
+
+      this.runMigrations(manifest);
+
+      // 1. Importar todo antes de registrar nada
+      const main = manifest.main ? await importFresh(manifest.main) : null;
+      const commands = [];
+      const events = [];
+
+      for (const file of manifest.commands) {
+        const module = await importFresh(file);
+
+        if (!module.data || typeof module.execute !== "function") {
+          throw new Error(`${relative(dir, file)} no exporta 'data' y 'execute'`);
+        }
+
+        const existing = this.client.commands.get(module.data.name);
+        if (existing) {
+          throw new Error(`El comando /${module.data.name} ya existe${existing.plugin ? ` (plugin ${existing.plugin})` : ""}`);
+        }
+
+        commands.push(this.wrapCommand(plugin, module));
+      }
+
+      for (const file of manifest.events) {
+        const module = await importFresh(file);
+
+        if (typeof module.event !== "string" || typeof module.execute !== "function") {
+          throw new Error(`${relative(dir, file)} no exporta 'event' y 'execute'`);
+        }
+
+        events.push(module);
+      }
+
+      // 2. Registrar comandos y eventos
+      for (const command of commands) {
+        this.client.commands.set(command.data.name, command);
+        plugin.commands.push(command.data.name);
+      }
+
+      for (const module of events) {
+        this.addListener(plugin, module);
+      }
+
+      // 3. Hook del plugin
+      plugin.module = main;
+      if (typeof main?.onLoad === "function") {
+        await withTimeout(Promise.resolve(main.onLoad(plugin.api)), HOOK_TIMEOUT_MS, "onLoad");
+      }
+    } catch (error) {
+      this.teardown(plugin);
+      this.failed.set(name, { dir, error: error.message });
+      logger.error(`❌ Error cargando el plugin ${name}`, error);
+      return { success: false, error: error.message };
+    }
+
+    plugin.loadedAt = Date.now();
+    this.plugins.set(name, plugin);
+    this.failed.delete(name);
+
+    await this.registerSlashCommands(plugin);
+
+    logger.info(
+      `🧩 Plugin ${name} v${manifest.version} cargado ` +
+      `(${plugin.commands.length} comando(s), ${plugin.listeners.length} evento(s))`
+    );
+    return { success: true, plugin };
+  }
+
+  /**
+   * Descarga un plugin: quita sus comandos, eventos y timers
+   *
+   * @param {string} name - Nombre del plugin
+   * @param {Object} options
+   * @param {boolean} options.keepSlashCommands - No borrarlos de Discord (recarga)
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async unload(name, { keepSlashCommands = false } = {}) {
+    const plugin = this.plugins.get(name);
+    if (!plugin) {
+      return { success: false, error: `${name} no está cargado` };
+    }
+
+    this.plugins.delete(name);
+
+    if (typeof plugin.module?.onUnload === "function") {
+      try {
+        await withTimeout(Promise.resolve(plugin.module.onUnload(plugin.api)), HOOK_TIMEOUT_MS, "onUnload");
+      } catch (error) {
+        logger.warn(`⚠️ onUnload de ${name} falló: ${error.message}`);
+      }
+    }
+
+    this.teardown(plugin);
+
+    if (!keepSlashCommands) {
+      await this.removeSlashCommands(plugin.commands);
+    }
+
+    logger.info(`🧩 Plugin ${name} descargado`);
+    return { success: true };
+  }
+
+  /**
+   * Descarga y vuelve a cargar un plugin leyendo de nuevo sus archivos
+   *
+   * @param {string} name - Nombre del plugin
+   * @returns {Promise<{ success: boolean, plugin?: Object, error?: string }>}
+   */
+  async reload(name) {
+    const previous = this.plugins.get(name);
+    const dir = this.resolveDir(name);
+
+    if (previous) {
+      await this.unload(name, { keepSlashCommands: true });
+    }
+
+    const result = await this.load(dir);
+
+    // Los comandos que ya no declara (o todos si no cargó) se quitan de Discord
+    const current = result.plugin?.commands ?? [];
+    await this.removeSlashCommands((previous?.commands ?? []).filter(cmd => !current.includes(cmd)));
+
+    return result;
+  }
+
+  // Estado del plugin y API que reciben sus módulos
+  createPlugin(manifest) {
+    const { name } = manifest;
+    const plugin = {
+      manifest,
+      module: null,
+      commands: [], // nombres en client.commands
+      listeners: [], // { event, listener }
+      timers: new Set(),
+      errors: [], // timestamps de los errores recientes
+      loadedAt: null
+    };
+
+    plugin.api = {
+      name,
+      version: manifest.version,
+      dir: manifest.dir,
+      client: this.client,
+      logger: createLogger(`plugin:${name}`),
+      db,
+      isEnabled: guildId => this.isEnabled(guildId, name),
+      getConfig: guildId => this.getConfig(guildId, name),
+      // Traducciones de i18n/{locale}/{file}.json del plugin
+      translator: (context, file = "messages") => createTranslator({ category: name, name: file }, context),
+      // Timers que se cancelan al descargar y cuyos errores no tumban el bot
+      setTimeout: (fn, ms) => {
+        const timer = setTimeout(() => {
+          plugin.timers.delete(timer);
+          this.guard(plugin, "setTimeout", fn)();
+        }, ms);
+        plugin.timers.add(timer);
+        return timer;
+      },
+      setInterval: (fn, ms) => {
+        const timer = setInterval(this.guard(plugin, "setInterval", fn), ms);
+        plugin.timers.add(timer);
+        return timer;
+      },
+      clearTimer: timer => {
+        clearTimeout(timer);
+        plugin.timers.delete(timer);
+      }
+    };
+
+    return plugin;
+  }
+
+  // Ejecuta fn capturando sus errores (síncronos o no)
+  guard(plugin, label, fn) {
+    return async (...args) => {
+      try {
+        return await fn(...args);
+      } catch (error) {
+        this.recordError(plugin, label, error);
+      }
+    };
+  }
+
+  // El comando se ejecuta a través de CommandHandler, que responde al error
+  wrapCommand(plugin, module) {
+    const name = plugin.manifest.name;
+    const command = { ...module, plugin: name };
+
+    command.execute = async (context) => {
+      try {
+        return await module.execute(context, plugin.api);
+      } catch (error) {
+        this.recordError(plugin, `/${module.data.name}`, error);
+        throw error;
+      }
+    };
+
+    if (typeof module.autocomplete === "function") {
+      command.autocomplete = this.guard(plugin, `autocompletado de /${module.data.name}`,
+        interaction => module.autocomplete(interaction, plugin.api));
+    }
+
+    return command;
+  }
+
+  addListener(plugin, module) {
+    const name = plugin.manifest.name;
+
+    const listener = this.guard(plugin, `evento ${module.event}`, async (...args) => {
+      const guildId = findGuildId(args);
+      if (guildId && !(await this.isEnabled(guildId, name))) return;
+
+      await module.execute(plugin.api, ...args);
+    });
+
+    this.client[module.once ? "once" : "on"](module.event, listener);
+    plugin.listeners.push({ event: module.event, listener });
+  }
+
+  recordError(plugin, label, error) {
+    const name = plugin.manifest.name;
+    const now = Date.now();
+
+    logger.error(`❌ [${name}] Error en ${label}`, error);
+
+    plugin.errors = plugin.errors.filter(time => now - time < ERROR_WINDOW_MS);
+    plugin.errors.push(now);
+
+    // Solo si sigue cargado (y no es una versión anterior ya descargada)
+    if (plugin.errors.length >= MAX_ERRORS && this.plugins.get(name) === plugin) {
+      logger.error(`🧩 ${name}: ${MAX_ERRORS} errores en ${ERROR_WINDOW_MS / 1000}s, se descarga`);
+
+      this.unload(name)
+        .then(() => this.failed.set(name, { dir: plugin.manifest.dir, error: `Demasiados errores: ${error.message}` }))
+        .catch(unloadError => logger.error(`No se pudo descargar ${name}`, unloadError));
+    }
+  }
+
+  // Quita todo lo que el plugin registró en el cliente
+  teardown(plugin) {
+    const name = plugin.manifest.name;
+
+    for (const commandName of plugin.commands) {
+      if (this.client.commands.get(commandName)?.plugin === name) {
+        this.client.commands.delete(commandName);
+      }
+    }
+
+    for (const { event, listener } of plugin.listeners) {
+      this.client.off(event, listener);
+    }
+
+    for (const timer of plugin.timers) {
+      clearTimeout(timer);
+    }
+    plugin.timers.clear();
+
+    unregisterCommandSource(name);
+    clearCommandCache(name);
+  }
+
+  // Migraciones .sql pendientes, en orden alfabético (001_init.sql, 002_...)
+  runMigrations(manifest) {
+    if (!manifest.migrations || !existsSync(manifest.migrations)) return;
+
+    const applied = new Set(db.getPluginMigrations(manifest.name));
+    const files = readdirSync(manifest.migrations).filter(file => file.endsWith(".sql")).sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+
+      try {
+        db.applyPluginMigration(manifest.name, file, readFileSync(join(manifest.migrations, file), "utf-8"));
+      } catch (error) {
+        throw new Error(`Migración ${file}: ${error.message}`);
+      }
+
+      logger.info(`🗃️ [${manifest.name}] Migración aplicada: ${file}`);
+    }
+  }
+
+  // ========================================
+  // SLASH COMMANDS EN CALIENTE
+  // Al arrancar los registra deploy-commands.js; en caliente se crean
+  // o borran uno a uno para no tocar el resto. Con DEV_GUILD_ID van al
+  // servidor de pruebas, como `npm run deploy:dev`
+  // ========================================
+
+  async registerSlashCommands(plugin) {
+    if (!this.client?.isReady() || plugin.commands.length === 0) return;
+
+    const guildId = process.env.DEV_GUILD_ID || undefined;
+
+    try {
+      for (const commandName of plugin.commands) {
+        await this.client.application.commands.create(this.client.commands.get(commandName).data.toJSON(), guildId);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ No se pudieron registrar los comandos de ${plugin.manifest.name}: ${error.message}`);
+    }
+  }
+
+  async removeSlashCommands(names) {
+    if (!this.client?.isReady() || names.length === 0) return;
+
+    const guildId = process.env.DEV_GUILD_ID || undefined;
+
+    try {
+      const registered = await this.client.application.commands.fetch({ guildId });
+
+      for (const command of registered.values()) {
+        if (names.includes(command.name)) await command.delete();
+      }
+    } catch (error) {
+      logger.warn(`⚠️ No se pudieron quitar los comandos ${names.join(", ")}: ${error.message}`);
+    }
+  }
+
+  // ========================================
+  // AJUSTES POR SERVIDOR
+  // { [plugin]: { enabled?: boolean, config: { [clave]: valor } } }
+  // ========================================
+
+  async getGuildSettings(guildId) {
+    if (this.settingsCache.has(guildId)) {
+      return this.settingsCache.get(guildId);
+    }
+
+    let stored = {};
+    try {
+      stored = await db.getPluginSettings(guildId);
+    } catch (error) {
+      logger.warn(`⚠️ No se pudieron leer los ajustes de plugins de ${guildId}: ${error.message}`);
+    }
+
+    this.settingsCache.set(guildId, stored);
+    return stored;
+  }
+
+  async updateGuildSettings(guildId, name, changes) {
+    const settings = { ...await this.getGuildSettings(guildId) };
+    const entry = { config: {}, ...settings[name], ...changes };
+
+    if (entry.enabled === undefined && Object.keys(entry.config).length === 0) {
+      delete settings[name];
+    } else {
+      settings[name] = entry;
+    }
+
+    await db.setPluginSettings(guildId, settings);
+    this.settingsCache.set(guildId, settings);
+  }
+
+  /**
+   * ¿Está activo el plugin en el servidor? (false si no está cargado)
+   */
+  async isEnabled(guildId, name) {
+    const plugin = this.plugins.get(name);
+    if (!plugin) return false;
+
+    const settings = await this.getGuildSettings(guildId);
+    return settings[name]?.enabled ?? plugin.manifest.enabledByDefault;
+  }
+
+  /**
+   * Plugins cargados que el servidor tiene desactivados
+   * @returns {Promise<Set<string>>}
+   */
+  async getDisabledPlugins(guildId) {
+    const disabled = new Set();
+
+    for (const name of this.plugins.keys()) {
+      if (!(await this.isEnabled(guildId, name))) disabled.add(name);
+    }
+    return disabled;
+  }
+
+  async setEnabled(guildId, name, enabled) {
+    await this.updateGuildSettings(guildId, name, { enabled });
+    logger.info(`🧩 ${name} ${enabled ? "activado" : "desactivado"} en ${guildId}`);
+  }
+
+  /**
+   * Config del plugin en el servidor (con los valores por defecto del manifest)
+   */
+  async getConfig(guildId, name) {
+    const plugin = this.plugins.get(name);
+    if (!plugin) return {};
+
+    const settings = await this.getGuildSettings(guildId);
+    return { ...defaultConfig(plugin.manifest), ...settings[name]?.config };
+  }
+
+  /**
+   * Cambia una clave de la config (null: volver al valor por defecto)
+   * El valor ya debe estar validado (ver parseConfigValue)
+   */
+  async setConfig(guildId, name, key, value) {
+    const settings = await this.getGuildSettings(guildId);
+    const config = { ...settings[name]?.config };
+
+    if (value === null) delete config[key];
+    else config[key] = value;
+
+    await this.updateGuildSettings(guildId, name, { config });
+  }
+
+  /**
+   * Estado de los plugins (cargados y con errores)
+   * @returns {Array<Object>}
+   */
+  list() {
+    const loaded = [...this.plugins.values()].map(plugin => ({
+      name: plugin.manifest.name,
+      version: plugin.manifest.version,
+      description: plugin.manifest.description,
+      commands: plugin.commands,
+      events: plugin.listeners.length,
+      errors: plugin.errors.length,
+      loadedAt: plugin.loadedAt,
+      loaded: true
+    }));
+
+    const failed = [...this.failed].map(([name, { error }]) => ({ name, error, loaded: false }));
+
+    return [...loaded, ...failed].sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+// Instancia compartida (index.js, CommandHandler, /plugins)
+export const pluginManager = new PluginManager();
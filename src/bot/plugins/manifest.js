@@ -0,0 +1,199 @@
+// src/plugins/manifest.js
+// ============================================
+// MANIFEST DE PLUGINS (plugin.json)
+// Lectura y validación del manifest y de la configuración por servidor
+// Sin DB ni cliente: también lo usa deploy-commands.js
+// ============================================
+
+import { readFileSync, readdirSync, existsSync } from "fs";
+import { join, dirname, resolve, relative, isAbsolute } from "path";
+import { fileURLToPath } from "url";
+import { TRUE_VALUES, FALSE_VALUES } from "../utils/ArgumentParser.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Cada carpeta con plugin.json dentro de plugins/ es un plugin
+export const PLUGINS_PATH = __dirname;
+export const MANIFEST_FILE = "plugin.json";
+
+// El nombre es también la categoría de sus comandos: no puede chocar con las del bot
+const BUILTIN_CATEGORIES_PATH = join(__dirname, "..", "..", "i18n", "en", "commands");
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+export const CONFIG_TYPES = ["string", "integer", "number", "boolean", "channel", "role"];
+
+/**
+ * Carpetas de plugins instalados (con plugin.json)
+ *
+ * @param {string} root - Carpeta donde buscar
+ * @returns {string[]}
+ */
+export function discoverPlugins(root = PLUGINS_PATH) {
+  return readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && existsSync(join(root, entry.name, MANIFEST_FILE)))
+    .map(entry => join(root, entry.name));
+}
+
+// Ruta declarada en el manifest, sin salir de la carpeta del plugin
+function resolveInside(dir, file, field) {
+  if (typeof file !== "string" || !file) {
+    throw new Error(`"${field}" debe ser una ruta`);
+  }
+
+  const fullPath = resolve(dir, file);
+  const rel = relative(dir, fullPath);
+  if (rel.startsWith("..") || isAbsolute(rel)) {
+    throw new Error(`"${field}" apunta fuera del plugin: ${file}`);
+  }
+
+  return fullPath;
+}
+
+function validateConfigSchema(config = {}) {
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`"config" debe ser un objeto`);
+  }
+
+  for (const [key, schema] of Object.entries(config)) {
+    if (!CONFIG_TYPES.includes(schema?.type)) {
+      throw new Error(`Tipo no válido en config.${key}: ${schema?.type} (${CONFIG_TYPES.join(", ")})`);
+    }
+
+    if (schema.default !== undefined && schema.default !== null &&
+        parseConfigValue(key, schema, String(schema.default)).error) {
+      throw new Error(`Valor por defecto no válido en config.${key}: ${schema.default}`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Lee y valida el plugin.json de una carpeta
+ *
+ * {
+ *   "name": "starboard",              // [a-z0-9-], categoría de sus comandos
+ *   "version": "1.0.0",
+ *   "main": "index.js",               // opcional: onLoad(plugin) / onUnload(plugin)
+ *   "commands": ["commands/star.js"], // módulos { data, execute, autocomplete? }
+ *   "events": ["events/reaction.js"], // módulos { event, once?, execute(plugin, ...args) }
+ *   "i18n": "i18n",                   // {locale}/{comando}.json
+ *   "migrations": "migrations",       // .sql en orden alfabético (SQLite)
+ *   "config": { "channel": { "type": "channel", "default": null } },
+ *   "enabledByDefault": true
+ * }
+ *
+ * @param {string} dir - Carpeta del plugin
+ * @returns {Object} Manifest normalizado (rutas absolutas)
+ */
+export function readManifest(dir) {
+  const manifestPath = join(dir, MANIFEST_FILE);
+  let raw;
+
+  try {
+    raw = JSON.parse(readFileSync(manifestPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`No se pudo leer ${manifestPath}: ${error.message}`);
+  }
+
+  if (!NAME_PATTERN.test(raw.name ?? "")) {
+    throw new Error(`Nombre de plugin no válido: "${raw.name}" (minúsculas, números y guiones)`);
+  }
+
+  if (existsSync(join(BUILTIN_CATEGORIES_PATH, raw.name))) {
+    throw new Error(`El nombre "${raw.name}" coincide con una categoría de comandos del bot`);
+  }
+
+  for (const field of ["commands", "events"]) {
+    if (raw[field] !== undefined && !Array.isArray(raw[field])) {
+      throw new Error(`"${field}" debe ser una lista de archivos`);
+    }
+  }
+
+  return {
+    name: raw.name,
+    version: raw.version ?? "0.0.0",
+    description: raw.description ?? "",
+    dir,
+    main: raw.main ? resolveInside(dir, raw.main, "main") : null,
+    commands: (raw.commands ?? []).map(file => resolveInside(dir, file, "commands")),
+    events: (raw.events ?? []).map(file => resolveInside(dir, file, "events")),
+    i18n: raw.i18n ? resolveInside(dir, raw.i18n, "i18n") : null,
+    migrations: raw.migrations ? resolveInside(dir, raw.migrations, "migrations") : null,
+    config: validateConfigSchema(raw.config),
+    enabledByDefault: raw.enabledByDefault !== false
+  };
+}
+
+/**
+ * Convierte el texto escrito por el usuario al tipo de una clave de config
+ * Los errores usan las claves de common/validation.json (como ArgumentParser)
+ *
+ * @param {string} key - Clave de la config
+ * @param {Object} schema - Esquema de la clave en el manifest
+ * @param {string} raw - Valor escrito
+ * @returns {{ value: any }|{ error: { key: string, params: Object } }}
+ */
+export function parseConfigValue(key, schema, raw) {
+  const invalid = typeKey => ({ error: { key: "arg_invalid", params: { option: key, value: raw, typeKey } } });
+  const value = raw.trim();
+
+  switch (schema.type) {
+    case "boolean": {
+      const lower = value.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return invalid("type_boolean");
+    }
+
+    case "integer":
+    case "number": {
+      const isInteger = schema.type === "integer";
+      if (!(isInteger ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/).test(value)) {
+        return invalid(isInteger ? "type_integer" : "type_number");
+      }
+
+      const number = Number(value);
+      if ((schema.min !== undefined && number < schema.min) ||
+          (schema.max !== undefined && number > schema.max)) {
+        return {
+          error: { key: "arg_out_of_range", params: { option: key, min: schema.min ?? "-∞", max: schema.max ?? "∞" } }
+        };
+      }
+      return { value: number };
+    }
+
+    case "channel": {
+      const id = value.match(/^(?:<#)?(\d{17,20})>?$/)?.[1];
+      return id ? { value: id } : invalid("type_channel");
+    }
+
+    case "role": {
+      const id = value.match(/^(?:<@&)?(\d{17,20})>?$/)?.[1];
+      return id ? { value: id } : invalid("type_role");
+    }
+
+    default: {
+      if (schema.choices?.length && !schema.choices.includes(value)) {
+        return { error: { key: "arg_invalid_choice", params: { option: key, choices: schema.choices.join(", ") } } };
+      }
+
+      if (schema.maxLength && value.length > schema.maxLength) {
+        return { error: { key: "arg_length", params: { option: key, min: 0, max: schema.maxLength } } };
+      }
+      return { value };
+    }
+  }
+}
+
+/**
+ * Valores por defecto de la config declarada en el manifest
+ *
+ * @param {Object} manifest
+ * @returns {Object}
+ */
+export function defaultConfig(manifest) {
+  return Object.fromEntries(
+    Object.entries(manifest.config).map(([key, schema]) => [key, schema.default ?? null])
+  );
+}
@@ -0,0 +1,312 @@
+// src/utils/ArgumentParser.js
+// ============================================
+// PARSER DE ARGUMENTOS CON PREFIX
+// Asigna los argumentos del mensaje a las opciones del slash command
+// (tipos, obligatorias y orden del JSON), con comillas y --opcion valor
+// ============================================
+
+import { ApplicationCommandOptionType, SlashCommandSubcommandBuilder } from "discord.js";
+
+export const TRUE_VALUES = ["true", "yes", "si", "sí", "on", "1"];
+export const FALSE_VALUES = ["false", "no", "off", "0"];
+
+const SNOWFLAKE = /^\d{17,20}$/;
+
+// Clave de traducción del nombre de cada tipo (common/validation.json)
+const TYPE_KEYS = {
+  [ApplicationCommandOptionType.String]: "type_string",
+  [ApplicationCommandOptionType.Integer]: "type_integer",
+  [ApplicationCommandOptionType.Number]: "type_number",
+  [ApplicationCommandOptionType.Boolean]: "type_boolean",
+  [ApplicationCommandOptionType.User]: "type_user",
+  [ApplicationCommandOptionType.Channel]: "type_channel",
+  [ApplicationCommandOptionType.Role]: "type_role",
+  [ApplicationCommandOptionType.Mentionable]: "type_mentionable",
+  [ApplicationCommandOptionType.Attachment]: "type_attachment"
+};
+
+/**
+ * Separa el texto en argumentos respetando comillas ("dos palabras" o 'dos palabras')
+ *
+ * @param {string} input
+ * @returns {string[]}
+ */
+export function tokenize(input) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return tokens;
+}
+
+function matchesName(builder, value) {
+  const lower = value.toLowerCase();
+  return builder.name === lower ||
+    Object.values(builder.name_localizations ?? {}).some(name => name?.toLowerCase() === lower);
+}
+
+function mentionId(value, pattern) {
+  const match = value.match(pattern);
+  if (match) return match[1];
+  return SNOWFLAKE.test(value) ? value : null;
+}
+
+/**
+ * Convierte un argumento al tipo de la opción
+ * @returns {{ value: any }|{ error: { key: string, params: Object } }}
+ */
+function convertValue(option, raw, message) {
+  const invalid = () => ({
+    error: { key: "arg_invalid", params: { option: option.name, value: raw, typeKey: TYPE_KEYS[option.type] } }
+  });
+
+  switch (option.type) {
+    case ApplicationCommandOptionType.String: {
+      if (option.choices?.length) {
+        const choice = option.choices.find(c =>
+          c.value.toLowerCase() === raw.toLowerCase() || c.name.toLowerCase() === raw.toLowerCase()
+        );
+        if (!choice) {
+          return {
+            error: {
+              key: "arg_invalid_choice",
+              params: { option: option.name, choices: option.choices.map(c => c.value).join(", ") }
+            }
+          };
+        }
+        return { value: choice.value };
+      }
+
+      if ((option.min_length && raw.length < option.min_length) ||
+          (option.max_length && raw.length > option.max_length)) {
+        return {
+          error: {
+            key: "arg_length",
+            params: { option: option.name, min: option.min_length ?? 0, max: option.max_length ?? "∞" }
+          }
+        };
+      }
+      return { value: raw };
+    }
+
+    case ApplicationCommandOptionType.Integer:
+    case ApplicationCommandOptionType.Number: {
+      const isInteger = option.type === ApplicationCommandOptionType.Integer;
+      if (!(isInteger ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/).test(raw)) return invalid();
+
+      const value = Number(raw);
+      if ((option.min_value !== undefined && value < option.min_value) ||
+          (option.max_value !== undefined && value > option.max_value)) {
+        return {
+          error: {
+            key: "arg_out_of_range",
+            params: { option: option.name, min: option.min_value ?? "-∞", max: option.max_value ?? "∞" }
+          }
+        };
+      }
+      return { value };
+    }
+
+    case ApplicationCommandOptionType.Boolean: {
+      const lower = raw.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return invalid();
+    }
+
+    case ApplicationCommandOptionType.User: {
+      const id = mentionId(raw, /^<@!?(\d+)>$/);
+      return id ? { value: id } : invalid();
+    }
+
+    case ApplicationCommandOptionType.Channel: {
+      const id = mentionId(raw, /^<#(\d+)>$/);
+      return id ? { value: id } : invalid();
+    }
+
+    case ApplicationCommandOptionType.Role: {
+      const id = mentionId(raw, /^<@&(\d+)>$/);
+      return id ? { value: id } : invalid();
+    }
+
+    case ApplicationCommandOptionType.Mentionable: {
+      const id = mentionId(raw, /^<@[!&]?(\d+)>$/);
+      return id ? { value: id } : invalid();
+    }
+
+    case ApplicationCommandOptionType.Attachment:
+      return message.attachments?.size ? { value: message.attachments.first() } : invalid();
+
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Cuántas palabras se queda una opción de texto: todas menos las que necesitan
+ * las obligatorias de detrás y las opcionales inequívocas (choices o menciones)
+ * Booleanas y números no se reservan: "say yes" o "summer of 69" son búsquedas
+ */
+function greedyLength(later, positional, index, message) {
+  let end = positional.length;
+
+  for (const option of [...later].reverse()) {
+    if (option.type === ApplicationCommandOptionType.Attachment) continue;
+    if (end - 1 <= index) break;
+
+    const unambiguous = option.choices?.length || [
+      ApplicationCommandOptionType.User,
+      ApplicationCommandOptionType.Channel,
+      ApplicationCommandOptionType.Role,
+      ApplicationCommandOptionType.Mentionable
+    ].includes(option.type);
+
+    if (option.required || (unambiguous && !convertValue(option, positional[end - 1], message).error)) {
+      end--;
+    }
+  }
+
+  return end - index;
+}
+
+/**
+ * Texto de uso generado desde el esquema: `r!move <from> <to>`, `r!purge <user> [limit]`
+ *
+ * @param {string} prefix - Prefix del servidor
+ * @param {string} commandName - Nombre usado por el usuario
+ * @param {Object} command - Módulo del comando
+ * @param {Object|null} subcommand - Builder del subcomando elegido
+ * @returns {string}
+ */
+export function buildUsage(prefix, commandName, command, subcommand = null) {
+  const subcommands = command.data.options?.filter(opt => opt instanceof SlashCommandSubcommandBuilder) ?? [];
+
+  if (subcommands.length > 0 && !subcommand) {
+    return `${prefix}${commandName} <${subcommands.map(sub => sub.name).join("|")}>`;
+  }
+
+  const options = (subcommand || command.data).options ?? [];
+  const parts = options.map(opt => (opt.required ? `<${opt.name}>` : `[${opt.name}]`));
+
+  return [`${prefix}${commandName}`, subcommand?.name, ...parts].filter(Boolean).join(" ");
+}
+
+/**
+ * Asigna los argumentos a las opciones del comando
+ *
+ * - `--opcion valor` o `--opcion=valor` asignan por nombre (`--flag` solo = true en booleanas)
+ * - El resto se asigna en el orden del JSON; una opción opcional se salta si el
+ *   argumento no es de su tipo (`r!purge @user 50`)
+ * - Una opción de texto se queda con todas las palabras que no necesiten las
+ *   obligatorias que vienen detrás (`r!play never gonna give you up`)
+ *
+ * @param {Object} command - Módulo del comando (data construido con buildCommand)
+ * @param {string[]} tokens - Argumentos tras el nombre del comando (ver tokenize)
+ * @param {Message} message - Mensaje original (adjuntos)
+ * @returns {{ args: Object, subcommand: Object|null }|{ error: { key: string, params: Object }, subcommand: Object|null }}
+ */
+export function parseArguments(command, tokens, message) {
+  const subcommands = command.data.options?.filter(opt => opt instanceof SlashCommandSubcommandBuilder) ?? [];
+  let rest = [...tokens];
+  let subcommand = null;
+
+  if (subcommands.length > 0 && rest.length > 0) {
+    subcommand = subcommands.find(sub => matchesName(sub, rest[0])) ?? null;
+
+    if (!subcommand) {
+      return {
+        error: {
+          key: "arg_invalid_subcommand",
+          params: { value: rest[0], subcommands: subcommands.map(sub => sub.name).join(", ") }
+        },
+        subcommand: null
+      };
+    }
+    rest = rest.slice(1);
+  }
+
+  const options = subcommands.length > 0 ? (subcommand?.options ?? []) : (command.data.options ?? []);
+  const args = { _subcommand: subcommand?.name ?? null };
+  const fail = (key, params) => ({ error: { key, params }, subcommand });
+
+  // 1. Opciones con nombre
+  const positional = [];
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!flag) {
+      positional.push(rest[i]);
+      continue;
+    }
+
+    const option = options.find(opt => matchesName(opt, flag[1]));
+    if (!option) return fail("arg_unknown_option", { option: flag[1] });
+
+    let raw = flag[2];
+    if (raw === undefined) {
+      const next = rest[i + 1];
+      const isBoolean = option.type === ApplicationCommandOptionType.Boolean;
+
+      if (isBoolean && (next === undefined || next.startsWith("--") ||
+          ![...TRUE_VALUES, ...FALSE_VALUES].includes(next.toLowerCase()))) {
+        raw = "true";
+      } else if (next === undefined || next.startsWith("--")) {
+        return fail("arg_missing", { option: option.name });
+      } else {
+        raw = next;
+        i++;
+      }
+    }
+
+    const converted = convertValue(option, raw, message);
+    if (converted.error) return { error: converted.error, subcommand };
+    args[option.name] = converted.value;
+  }
+
+  // 2. Posicionales en el orden del esquema
+  const pending = options.filter(opt => !(opt.name in args));
+  let index = 0;
+
+  for (let o = 0; o < pending.length; o++) {
+    const option = pending[o];
+
+    if (option.type === ApplicationCommandOptionType.Attachment) {
+      if (message.attachments?.size) args[option.name] = message.attachments.first();
+      else if (option.required) return fail("arg_missing", { option: option.name });
+      continue;
+    }
+
+    if (index >= positional.length) {
+      if (option.required) return fail("arg_missing", { option: option.name });
+      continue;
+    }
+
+    let raw = positional[index];
+    let consumed = 1;
+
+    if (option.type === ApplicationCommandOptionType.String && !option.choices?.length) {
+      consumed = greedyLength(pending.slice(o + 1), positional, index, message);
+      raw = positional.slice(index, index + consumed).join(" ");
+    }
+
+    const converted = convertValue(option, raw, message);
+
+    if (converted.error) {
+      // Opcional de otro tipo: el argumento es para la siguiente opción
+      if (!option.required && o < pending.length - 1) continue;
+      return { error: converted.error, subcommand };
+    }
+
+    args[option.name] = converted.value;
+    index += consumed;
+  }
+
+  if (index < positional.length) {
+    return fail("arg_too_many", { value: positional.slice(index).join(" ") });
+  }
+
+  return { args, subcommand };
+}
@@ -2,6 +2,10 @@
 
 import Context from "./Context.js";
 import { db } from "../database/ResilientDatabaseManager.js";
+import { createTranslator } from "../localization/TranslatorHelper.js";
+import { getCommandSettings, getCommandOverride, checkCommandOverride } from "../handlers/commandSettings.js";
+import { cooldownManager } from "./CooldownManager.js";
+import { pluginManager } from "../plugins/PluginManager.js";
 import logger, { createLogger } from "./Logger.js";
 
 const handlerLogger = createLogger("handler");
@@ -9,13 +13,18 @@ const handlerLogger = createLogger("handler");
 export default class CommandHandler {
   constructor(client) {
     this.client = client;
-    this.cooldowns = new Map();
     
     handlerLogger.info("CommandHandler inicializado");
   }
   
+  /**
+   * Ejecuta un comando slash o con prefix (misma cadena de validaciones)
+   * @param {Interaction|Message|Context} source - Origen del comando o un Context ya creado
+   * @param {Object} args - Argumentos con prefix por nombre de opción (ver prefixHandler)
+   * @param {string} commandName - Nombre del comando (los alias ya resueltos)
+   */
   async execute(source, args = null, commandName = null) {
-    const context = new Context(source, args, commandName);
+    const context = source instanceof Context ? source : new Context(source, args, commandName);
     const command = this.client.commands.get(context.commandName);
     
     if (!command) {
@@ -23,11 +32,24 @@ export default class CommandHandler {
       return;
     }
     
+    // Latencia de analytics: solo la ejecución, sin las validaciones
+    let startedAt = null;
+    
     try {
       handlerLogger.debug(`Ejecutando: ${context.commandName}`);
       
-      // Verificar cooldowns
-      if (!this.checkCooldown(context, command)) {
+      // Verificar contexto (canal, NSFW, voz, categoría...) antes de gastar el cooldown
+      if (!(await this.checkContext(context, command))) {
+        return;
+      }
+      
+      // Verificar comandos desactivados y restricciones del servidor (/commands)
+      if (!(await this.checkGuildOverrides(context, command))) {
+        return;
+      }
+      
+      // Verificar cooldowns y rate limits
+      if (!(await this.checkCooldown(context, command))) {
         return;
       }
       
@@ -41,6 +63,7 @@ export default class CommandHandler {
       handlerLogger.time(timerLabel);
       
       // Ejecutar comando
+      startedAt = Date.now();
       await command.execute(context);
       
       handlerLogger.timeEnd(timerLabel);
@@ -53,7 +76,9 @@ export default class CommandHandler {
         db.analytics.logCommand({
           user: context.user,
           guild: context.guild,
-          commandName: context.commandName
+          commandName: context.commandName,
+          source: context.isInteraction ? "slash" : "prefix",
+          latency: Date.now() - startedAt
         }, true);
       }
       
@@ -69,38 +94,83 @@ export default class CommandHandler {
         db.analytics.logCommand({
           user: context.user,
           guild: context.guild,
-          commandName: context.commandName
+          commandName: context.commandName,
+          source: context.isInteraction ? "slash" : "prefix",
+          latency: startedAt ? Date.now() - startedAt : 0,
+          error
         }, false);
       }
     }
   }
   
-  checkCooldown(context, command) {
-    const cooldownAmount = (command.cooldown || 3) * 1000;
-    const key = `${context.user.id}-${context.commandName}`;
+  /**
+   * Aplica las reglas de CommandMetadata (metadata del JSON del comando)
+   * @returns {Promise<boolean>} false si ya se respondió con el motivo
+   */
+  async checkContext(context, command) {
+    const metadata = command.data.metadata;
+    if (!metadata) return true;
     
-    if (this.cooldowns.has(key)) {
-      const expirationTime = this.cooldowns.get(key);
-      const now = Date.now();
-      
-      if (now < expirationTime) {
-        const timeLeft = ((expirationTime - now) / 1000).toFixed(1);
-        
-        handlerLogger.debug(`Cooldown activo para ${context.user.tag}: ${timeLeft}s`);
-        
-        context.reply({
-          content: `⏱️ Espera **${timeLeft}s** antes de usar \`${context.commandName}\` de nuevo`,
-          ephemeral: true
-        });
-        
-        return false;
-      }
-    }
+    const result = metadata.canExecuteIn(context.channel, context.member);
+    if (result.allowed) return true;
     
-    this.cooldowns.set(key, Date.now() + cooldownAmount);
-    setTimeout(() => this.cooldowns.delete(key), cooldownAmount);
+    handlerLogger.debug(`Contexto no válido para ${context.commandName}: ${result.reason}`);
     
-    return true;
+    const t = await createTranslator(null, context);
+    await context.reply({
+      content: `❌ ${t(result.reason, result.params)}`,
+      ephemeral: true
+    });
+    
+    return false;
+  }
+  
+  /**
+   * Aplica los ajustes del servidor para el comando (ver handlers/commandSettings.js)
+   * y los plugins desactivados en el servidor (/plugins)
+   * @returns {Promise<boolean>} false si ya se respondió con el motivo
+   */
+  async checkGuildOverrides(context, command) {
+    if (!context.guild) return true;
+    
+    const settings = await getCommandSettings(context.guild.id);
+    const pluginEnabled = !command.plugin || await pluginManager.isEnabled(context.guild.id, command.plugin);
+    const result = pluginEnabled
+      ? checkCommandOverride(settings, command.data.name, context.member, context.channel)
+      : { allowed: false, reason: "plugin_disabled", params: { plugin: command.plugin } };
+    if (result.allowed) return true;
+    
+    handlerLogger.debug(`${context.commandName} bloqueado en ${context.guild.id}: ${result.reason}`);
+    
+    const t = await createTranslator(null, context);
+    await context.reply({
+      content: `🚫 ${t(result.reason, result.params)}`,
+      ephemeral: true
+    });
+    
+    return false;
+  }
+  
+  /**
+   * Cooldowns del comando con los overrides del servidor (ver CooldownManager)
+   * @returns {Promise<boolean>} false si ya se respondió con el tiempo restante
+   */
+  async checkCooldown(context, command) {
+    const settings = context.guild ? await getCommandSettings(context.guild.id) : {};
+    const override = getCommandOverride(settings, command.data.name);
+    
+    const result = cooldownManager.check(context, command, override);
+    if (result.allowed) return true;
+    
+    handlerLogger.debug(`${result.reason} para ${context.user.tag}: ${result.params.seconds}s`);
+    
+    const t = await createTranslator(null, context);
+    await context.reply({
+      content: `⏱️ ${t(result.reason, result.params)}`,
+      ephemeral: true
+    });
+    
+    return false;
   }
   
   checkPermissions(context, command) {
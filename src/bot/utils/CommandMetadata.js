@@ -1,5 +1,7 @@
 // src/utils/CommandMetadata.js
 
+import { ChannelType } from "discord.js";
+
 /**
  * Definir en qué contextos puede ejecutarse un comando
  */
@@ -66,8 +68,16 @@ export class CommandMetadata {
   
   /**
    * Verificar si el comando puede ejecutarse en un contexto dado
+   * `reason` es una clave de common/validation.json (con `params` si la necesita)
+   *
+   * @returns {{ allowed: boolean, reason?: string, params?: Object }}
    */
   canExecuteIn(channel, member = null) {
+    // Canal fuera de caché (DMs sin partials): solo se puede comprobar guildOnly
+    if (!channel) {
+      return this.checkGuildOnly({ guild: member?.guild ?? null });
+    }
+    
     const checks = [
       () => this.checkChannelType(channel),
       () => this.checkNSFW(channel),
@@ -99,7 +109,7 @@ export class CommandMetadata {
       if (!this.contexts.includes(CommandContext.DM)) {
         return { 
           allowed: false, 
-          reason: "Este comando no puede usarse en mensajes directos" 
+          reason: "context_no_dm" 
         };
       }
       return { allowed: true };
@@ -109,7 +119,7 @@ export class CommandMetadata {
     if (this.contexts.includes(CommandContext.GUILD_ONLY) && !channel.guild) {
       return { 
         allowed: false, 
-        reason: "Este comando solo funciona en servidores" 
+        reason: "context_guild_only" 
       };
     }
     
@@ -122,7 +132,7 @@ export class CommandMetadata {
       if (!this.contexts.some(ctx => voiceContexts.includes(ctx))) {
         return { 
           allowed: false, 
-          reason: "Este comando no puede usarse en canales de voz" 
+          reason: "context_no_voice_channel" 
         };
       }
     }
@@ -133,7 +143,7 @@ export class CommandMetadata {
           !this.contexts.includes(CommandContext.TEXT)) {
         return { 
           allowed: false, 
-          reason: "Este comando solo funciona en canales de voz" 
+          reason: "context_voice_only" 
         };
       }
     }
@@ -151,7 +161,7 @@ export class CommandMetadata {
           !this.contexts.includes(CommandContext.PRIVATE_THREAD)) {
         return { 
           allowed: false, 
-          reason: "Este comando no puede usarse en hilos" 
+          reason: "context_no_thread" 
         };
       }
     }
@@ -161,7 +171,7 @@ export class CommandMetadata {
       if (!this.contexts.includes(CommandContext.STAGE)) {
         return { 
           allowed: false, 
-          reason: "Este comando no puede usarse en stages" 
+          reason: "context_no_stage" 
         };
       }
     }
@@ -171,7 +181,7 @@ export class CommandMetadata {
       if (!this.contexts.includes(CommandContext.FORUM)) {
         return { 
           allowed: false, 
-          reason: "Este comando no puede usarse en foros" 
+          reason: "context_no_forum" 
         };
       }
     }
@@ -181,7 +191,7 @@ export class CommandMetadata {
       if (!this.contexts.includes(CommandContext.ANNOUNCEMENT)) {
         return { 
           allowed: false, 
-          reason: "Este comando no puede usarse en canales de anuncios" 
+          reason: "context_no_announcement" 
         };
       }
     }
@@ -191,7 +201,7 @@ export class CommandMetadata {
       if (!this.allowedChannelTypes.includes(channel.type)) {
         return { 
           allowed: false, 
-          reason: "Este comando no está permitido en este tipo de canal" 
+          reason: "context_channel_type_not_allowed" 
         };
       }
     }
@@ -199,7 +209,7 @@ export class CommandMetadata {
     if (this.blockedChannelTypes.includes(channel.type)) {
       return { 
         allowed: false, 
-        reason: "Este comando está bloqueado en este tipo de canal" 
+        reason: "context_channel_type_blocked" 
       };
     }
     
@@ -211,7 +221,7 @@ export class CommandMetadata {
       if (!channel.nsfw) {
         return { 
           allowed: false, 
-          reason: "Este comando solo puede usarse en canales NSFW (18+)" 
+          reason: "context_nsfw_only" 
         };
       }
     }
@@ -222,7 +232,7 @@ export class CommandMetadata {
     if (this.guildOnly && !channel.guild) {
       return { 
         allowed: false, 
-        reason: "Este comando solo funciona en servidores" 
+        reason: "context_guild_only" 
       };
     }
     return { allowed: true };
@@ -235,17 +245,17 @@ export class CommandMetadata {
       if (!member.voice?.channel) {
         return { 
           allowed: false, 
-          reason: "Debes estar en un canal de voz para usar este comando" 
+          reason: "context_user_not_in_voice" 
         };
       }
     }
     
     if (this.requiresBotVoiceConnection && channel.guild) {
       const botMember = channel.guild.members.me;
-      if (!botMember.voice?.channel) {
+      if (!botMember?.voice?.channel) {
         return { 
           allowed: false, 
-          reason: "El bot debe estar en un canal de voz" 
+          reason: "context_bot_not_in_voice" 
         };
       }
     }
@@ -258,15 +268,16 @@ export class CommandMetadata {
       return { allowed: true };
     }
     
-    const permissions = channel.permissionsFor(member);
-    const missing = this.requiredChannelPermissions.filter(
-      perm => !permissions.has(perm)
-    );
+    const permissions = channel.permissionsFor?.(member);
+    if (!permissions) return { allowed: true };
+    
+    const missing = permissions.missing(this.requiredChannelPermissions);
     
     if (missing.length > 0) {
       return { 
         allowed: false, 
-        reason: `Necesitas los permisos: ${missing.join(", ")}` 
+        reason: "context_missing_permissions",
+        params: { permissions: missing.join(", ") }
       };
     }
     
@@ -281,14 +292,14 @@ export class CommandMetadata {
     if (!channel.parent) {
       return { 
         allowed: false, 
-        reason: "Este comando solo funciona en canales dentro de categorías específicas" 
+        reason: "context_category_required" 
       };
     }
     
     if (!this.allowedCategories.includes(channel.parentId)) {
       return { 
         allowed: false, 
-        reason: "Este comando no está permitido en esta categoría" 
+        reason: "context_category_not_allowed" 
       };
     }
     
@@ -299,7 +310,7 @@ export class CommandMetadata {
     if (!this.allowInSlowmode && channel.rateLimitPerUser > 0) {
       return { 
         allowed: false, 
-        reason: "Este comando no puede usarse en canales con slowmode activo" 
+        reason: "context_slowmode" 
       };
     }
     return { allowed: true };
@@ -38,6 +38,7 @@ export default class Context {
     this._replied = false;
     this._deferred = false;
     this._deferredMessage = null;
+    this._placeholderPending = false;
     
     // ========================================
     // INYECCIÓN DE UTILIDADES
@@ -64,6 +65,13 @@ export default class Context {
     return this.isInteraction ? this.source.deferred : this._deferred;
   }
   
+  /**
+   * Mensaje que invocó el comando (null en slash commands)
+   */
+  get message() {
+    return this.isInteraction ? null : this.source;
+  }
+  
   // ========================================
   // MÉTODOS DE RESPUESTA BÁSICOS
   // ========================================
@@ -95,7 +103,7 @@ export default class Context {
       return await this.source.editReply(content);
     } else {
       if (this._deferredMessage) {
-        return await this._deferredMessage.edit(content);
+        return await this._editDeferredMessage(content);
       }
       return await this.reply(content);
     }
@@ -253,6 +261,11 @@ export default class Context {
   async _replyMessage(content) {
     this._replied = true;
     
+    // Igual que en interactions: tras deferReply se edita el "⏳ Procesando..."
+    if (this._deferredMessage && !content.ephemeral) {
+      return await this._editDeferredMessage(content);
+    }
+    
     if (content.ephemeral) {
       try {
         await this.user.send(content);
@@ -290,11 +303,23 @@ export default class Context {
     
     if (!options.ephemeral) {
       this._deferredMessage = await this.channel.send("⏳ Procesando...");
+      this._placeholderPending = true;
     } else {
       await this.channel.sendTyping();
     }
   }
   
+  /**
+   * @private
+   * Editar el mensaje de defer; la primera edición reemplaza el "⏳ Procesando..."
+   * aunque solo traiga embeds (en interactions el defer no tiene contenido)
+   */
+  async _editDeferredMessage(content) {
+    const payload = this._placeholderPending ? { content: null, ...content } : content;
+    this._placeholderPending = false;
+    return await this._deferredMessage.edit(payload);
+  }
+  
   /**
    * @private
    * Follow up en message
@@ -323,6 +348,23 @@ class ContextOptions {
     this.context = context;
   }
   
+  /**
+   * Obtener subcomando
+   * @param {boolean} required - Si es requerido
+   * @returns {string|null}
+   */
+  getSubcommand(required = false) {
+    if (this.context.isInteraction) {
+      return this.context.source.options.getSubcommand(required);
+    } else {
+      const value = this.context.args?._subcommand;
+      if (required && !value) {
+        throw new Error("Subcomando requerido");
+      }
+      return value || null;
+    }
+  }
+  
   /**
    * Obtener string
    * @param {string} name - Nombre de la opción
@@ -352,7 +394,7 @@ class ContextOptions {
       return this.context.source.options.getInteger(name, required);
     } else {
       const value = this.context.args?.[name];
-      if (!value) return null;
+      if (value === undefined || value === null || value === "") return null;
       
       const parsed = parseInt(value, 10);
       if (isNaN(parsed)) {
@@ -374,7 +416,7 @@ class ContextOptions {
       return this.context.source.options.getNumber(name, required);
     } else {
       const value = this.context.args?.[name];
-      if (!value) return null;
+      if (value === undefined || value === null || value === "") return null;
       
       const parsed = parseFloat(value);
       if (isNaN(parsed)) {
@@ -395,11 +437,13 @@ class ContextOptions {
     if (this.context.isInteraction) {
       return this.context.source.options.getBoolean(name, required);
     } else {
-      const value = this.context.args?.[name];
-      if (!value) return null;
+      const value = String(this.context.args?.[name] ?? "").toLowerCase();
+      
+      if (["true", "yes", "si", "sí", "1", "on"].includes(value)) return true;
+      if (["false", "no", "0", "off"].includes(value)) return false;
       
-      const truthy = ["true", "yes", "si", "sí", "1", "on"];
-      return truthy.includes(String(value).toLowerCase());
+      if (required) throw new Error(`${name} debe ser sí o no`);
+      return null;
     }
   }
   
@@ -419,7 +463,8 @@ class ContextOptions {
       const match = String(value).match(/^<@!?(\d+)>$/);
       const userId = match ? match[1] : value;
       
-      return this.context.client.users.cache.get(userId) || null;
+      return this.context.source.mentions?.users.get(userId) ||
+        this.context.client.users.cache.get(userId) || null;
     }
   }
   
@@ -439,7 +484,8 @@ class ContextOptions {
       const match = String(value).match(/^<@!?(\d+)>$/);
       const userId = match ? match[1] : value;
       
-      return this.context.guild?.members.cache.get(userId) || null;
+      return this.context.source.mentions?.members?.get(userId) ||
+        this.context.guild?.members.cache.get(userId) || null;
     }
   }
   
@@ -459,7 +505,8 @@ class ContextOptions {
       const match = String(value).match(/^<#(\d+)>$/);
       const channelId = match ? match[1] : value;
       
-      return this.context.guild?.channels.cache.get(channelId) || null;
+      return this.context.source.mentions?.channels.get(channelId) ||
+        this.context.guild?.channels.cache.get(channelId) || null;
     }
   }
   
@@ -479,7 +526,22 @@ class ContextOptions {
       const match = String(value).match(/^<@&(\d+)>$/);
       const roleId = match ? match[1] : value;
       
-      return this.context.guild?.roles.cache.get(roleId) || null;
+      return this.context.source.mentions?.roles.get(roleId) ||
+        this.context.guild?.roles.cache.get(roleId) || null;
+    }
+  }
+  
+  /**
+   * Obtener attachment
+   * @param {string} name - Nombre de la opción
+   * @param {boolean} required - Si es requerida
+   * @returns {Attachment|null}
+   */
+  getAttachment(name, required = false) {
+    if (this.context.isInteraction) {
+      return this.context.source.options.getAttachment(name, required);
+    } else {
+      return this.context.args?.[name] || this.context.source.attachments?.first() || null;
     }
   }
 }
\ No newline at end of file
@@ -1,27 +1,279 @@
-// utils/CooldownManager.js
-export default class CooldownManager {
+// src/utils/CooldownManager.js
+// ============================================
+// COOLDOWNS Y RATE LIMITS DE COMANDOS
+// - Global: todos los comandos de un usuario (ventana deslizante, anti-spam)
+// - Rate limit: comandos caros con `rateLimit` en la metadata (ventana deslizante)
+// - Cooldown: por usuario o por servidor (`cooldownBucket`), con duración
+//   del comando, del servidor o de los roles del miembro (/commands cooldown)
+// Los servidores premium no tienen cooldowns, pero sí rate limits
+// ============================================
+
+import { createLogger } from "./Logger.js";
+import { db } from "../database/ResilientDatabaseManager.js";
+import { getCustomLevelsConfig } from "../commands/config/CustomLevelsConfig.js";
+
+const logger = createLogger("cooldowns");
+
+// Segundos si el comando no define `cooldown`
+export const DEFAULT_COOLDOWN = 3;
+
+export const GLOBAL_RATE_LIMIT = { uses: 10, window: 20 };
+
+// Los cooldowns de al menos este tiempo sobreviven a un reinicio
+const PERSIST_THRESHOLD_MS = 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// Ventana más larga admitida en `rateLimit` (cleanup descarta los usos más antiguos)
+export const MAX_WINDOW_MS = 60 * 60 * 1000;
+
+// Comandos más bloqueados que se listan en las estadísticas
+const TOP_BLOCKED = 5;
+
+function secondsLeft(ms) {
+  return Math.max(ms / 1000, 0.1).toFixed(1);
+}
+
+/**
+ * Lanza un error si el `rateLimit` de la metadata no se puede aplicar
+ *
+ * @param {string} name - Nombre del comando
+ * @param {{ uses: number, window: number }} rateLimit
+ */
+export function validateRateLimit(name, { uses, window }) {
+  if (!Number.isInteger(uses) || uses < 1) {
+    throw new Error(`rateLimit de /${name}: "uses" debe ser un entero positivo (${uses})`);
+  }
+
+  if (!(window > 0) || window * 1000 > MAX_WINDOW_MS) {
+    throw new Error(`rateLimit de /${name}: "window" debe estar entre 1 y ${MAX_WINDOW_MS / 1000} segundos (${window})`);
+  }
+}
+
+export class CooldownManager {
   constructor() {
-    this.cooldowns = new Map();
+    // clave del bucket → timestamp de expiración
+    this.expirations = new Map();
+    // clave de la ventana → timestamps de los usos dentro de la ventana
+    this.windows = new Map();
+
+    this.stats = { checks: 0, blocked: 0, bypassed: 0 };
+    // guildId → { checks, blocked, commands: Map<nombre, bloqueos> }
+    this.guildStats = new Map();
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupInterval.unref?.();
   }
 
-  check(userId, commandName, seconds = 3) {
-    const key = `${userId}-${commandName}`;
+  /**
+   * Carga los cooldowns largos guardados antes del reinicio
+   */
+  restore() {
+    try {
+      const rows = db.getCooldowns(Date.now());
+      for (const row of rows) {
+        this.expirations.set(row.bucket_key, row.expires_at);
+      }
+
+      if (rows.length > 0) {
+        logger.info(`⏱️ ${rows.length} cooldown(s) restaurados`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ No se pudieron restaurar los cooldowns: ${error.message}`);
+    }
+  }
+
+  /**
+   * Duración del cooldown: la menor de los roles del miembro con override,
+   * si no la del servidor y si no la del comando
+   *
+   * @param {Object} command - Módulo del comando
+   * @param {GuildMember|null} member
+   * @param {Object|null} override - Configuración del comando en el servidor (commandSettings)
+   * @returns {number} Segundos
+   */
+  resolveDuration(command, member, override = null) {
+    const roleCooldowns = Object.entries(override?.roleCooldowns ?? {})
+      .filter(([roleId]) => member?.roles?.cache?.has(roleId))
+      .map(([, seconds]) => seconds);
+
+    if (roleCooldowns.length > 0) {
+      return Math.min(...roleCooldowns);
+    }
+
+    return override?.cooldown ?? command.data.cooldown ?? DEFAULT_COOLDOWN;
+  }
+
+  /**
+   * Verifica todos los buckets y, si se permite, registra el uso
+   * `reason` es una clave de common/validation.json
+   *
+   * @param {Object} context - Contexto del comando
+   * @param {Object} command - Módulo del comando
+   * @param {Object|null} override - Configuración del comando en el servidor
+   * @returns {{ allowed: boolean, reason?: string, params?: Object }}
+   */
+  check(context, command, override = null) {
     const now = Date.now();
-    
-    if (this.cooldowns.has(key)) {
-      const expiresAt = this.cooldowns.get(key);
-      
-      if (now < expiresAt) {
-        const remaining = ((expiresAt - now) / 1000).toFixed(1);
-        return { allowed: false, remaining };
+    const name = command.data.name;
+    const userId = context.user.id;
+    const guildId = context.guild?.id ?? null;
+    const guildStats = this.getGuildStats(guildId);
+
+    this.stats.checks++;
+    if (guildStats) guildStats.checks++;
+
+    const block = (reason, params) => {
+      this.stats.blocked++;
+      if (guildStats) {
+        guildStats.blocked++;
+        guildStats.commands.set(name, (guildStats.commands.get(name) ?? 0) + 1);
       }
+      return { allowed: false, reason, params: { command: name, ...params } };
+    };
+
+    // 1. Global
+    const globalKey = `global:${userId}`;
+    const globalWait = this.windowWait(globalKey, GLOBAL_RATE_LIMIT, now);
+    if (globalWait > 0) {
+      return block("cooldown_global", { seconds: secondsLeft(globalWait) });
+    }
+
+    // 2. Rate limit del comando
+    const rateLimit = command.data.rateLimit;
+    if (rateLimit) validateRateLimit(name, rateLimit);
+    const rateKey = rateLimit ? `rate:${userId}:${name}` : null;
+    const rateWait = rateKey ? this.windowWait(rateKey, rateLimit, now) : 0;
+    if (rateWait > 0) {
+      return block("cooldown_rate_limited", {
+        seconds: secondsLeft(rateWait),
+        uses: rateLimit.uses,
+        window: rateLimit.window
+      });
+    }
+
+    // 3. Cooldown (premium no tiene)
+    const premium = guildId && getCustomLevelsConfig().isPremium(guildId);
+    const duration = premium ? 0 : this.resolveDuration(command, context.member, override);
+    const shared = command.data.cooldownBucket === "guild" && guildId;
+    const cooldownKey = shared ? `guild:${guildId}:${name}` : `user:${userId}:${name}`;
+
+    if (premium) this.stats.bypassed++;
+
+    const expiresAt = this.expirations.get(cooldownKey);
+    if (duration > 0 && expiresAt > now) {
+      return block(shared ? "cooldown_guild" : "cooldown_active", { seconds: secondsLeft(expiresAt - now) });
     }
-    
-    this.cooldowns.set(key, now + (seconds * 1000));
+
+    // Permitido: registrar el uso en cada bucket
+    this.record(globalKey, now);
+    if (rateKey) this.record(rateKey, now);
+    if (duration > 0) this.setCooldown(cooldownKey, now + duration * 1000, duration * 1000);
+
     return { allowed: true };
   }
 
+  /**
+   * Milisegundos hasta que la ventana admita otro uso (0 si ya lo admite)
+   */
+  windowWait(key, { uses, window }, now) {
+    const windowMs = window * 1000;
+    const timestamps = (this.windows.get(key) ?? []).filter(time => now - time < windowMs);
+
+    if (timestamps.length > 0) this.windows.set(key, timestamps);
+    else this.windows.delete(key);
+
+    if (timestamps.length < uses) return 0;
+    return timestamps[timestamps.length - uses] + windowMs - now;
+  }
+
+  record(key, now) {
+    const timestamps = this.windows.get(key) ?? [];
+    timestamps.push(now);
+    this.windows.set(key, timestamps);
+  }
+
+  setCooldown(key, expiresAt, duration) {
+    this.expirations.set(key, expiresAt);
+
+    if (duration >= PERSIST_THRESHOLD_MS) {
+      try {
+        db.saveCooldown(key, expiresAt);
+      } catch (error) {
+        logger.debug(`No se pudo guardar el cooldown ${key}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Quita el cooldown de un usuario para un comando
+   */
   reset(userId, commandName) {
-    this.cooldowns.delete(`${userId}-${commandName}`);
+    this.expirations.delete(`user:${userId}:${commandName}`);
+    this.windows.delete(`rate:${userId}:${commandName}`);
   }
-}
\ No newline at end of file
+
+  getGuildStats(guildId) {
+    if (!guildId) return null;
+
+    if (!this.guildStats.has(guildId)) {
+      this.guildStats.set(guildId, { checks: 0, blocked: 0, commands: new Map() });
+    }
+    return this.guildStats.get(guildId);
+  }
+
+  /**
+   * Estadísticas desde el arranque (globales o de un servidor)
+   *
+   * @param {string|null} guildId
+   * @returns {{ checks: number, blocked: number, bypassed?: number, active?: number,
+   *   topBlocked: Array<{ command: string, count: number }> }}
+   */
+  getStats(guildId = null) {
+    if (guildId) {
+      const stats = this.guildStats.get(guildId) ?? { checks: 0, blocked: 0, commands: new Map() };
+      const topBlocked = [...stats.commands]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_BLOCKED)
+        .map(([command, count]) => ({ command, count }));
+
+      return { checks: stats.checks, blocked: stats.blocked, topBlocked };
+    }
+
+    const commands = new Map();
+    for (const stats of this.guildStats.values()) {
+      for (const [command, count] of stats.commands) {
+        commands.set(command, (commands.get(command) ?? 0) + count);
+      }
+    }
+
+    return {
+      ...this.stats,
+      active: this.expirations.size,
+      topBlocked: [...commands]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_BLOCKED)
+        .map(([command, count]) => ({ command, count }))
+    };
+  }
+
+  cleanup() {
+    const now = Date.now();
+
+    for (const [key, expiresAt] of this.expirations) {
+      if (expiresAt <= now) this.expirations.delete(key);
+    }
+
+    for (const [key, timestamps] of this.windows) {
+      if (now - timestamps[timestamps.length - 1] > MAX_WINDOW_MS) this.windows.delete(key);
+    }
+
+    try {
+      db.clearExpiredCooldowns(now);
+    } catch (error) {
+      logger.debug(`No se pudieron limpiar los cooldowns guardados: ${error.message}`);
+    }
+  }
+}
+
+// Instancia compartida (CommandHandler, /commands)
+export const cooldownManager = new CooldownManager();
\ No newline at end of file
@@ -1,6 +1,7 @@
 // src/utils/EmbedFactory.js
 
 import { EmbedBuilder } from "discord.js";
+import { buildUsage } from "./ArgumentParser.js";
 
 export default class EmbedFactory {
   // ========================================
@@ -99,30 +100,45 @@ export default class EmbedFactory {
   
   /**
    * Embed para cola de música
+   * @param {Array} tracks - Tracks pendientes
+   * @param {Object} currentTrack - Track sonando
+   * @param {number} page - Página (1-indexed)
+   * @param {number} perPage - Tracks por página
+   * @param {Object} labels - Textos traducidos (opcional, por defecto en español)
    */
-  static queue(tracks, currentTrack, page = 1, perPage = 10) {
+  static queue(tracks, currentTrack, page = 1, perPage = 10, labels = {}) {
+    const text = {
+      nowPlaying: "🎵 Reproduciendo:",
+      upNext: "📋 En cola ({count} canciones):",
+      empty: "La cola está vacía",
+      title: "🎶 Cola de Reproducción",
+      page: "Página {page}/{total}",
+      ...labels
+    };
+    
     const start = (page - 1) * perPage;
     const end = start + perPage;
     const pageItems = tracks.slice(start, end);
-    const totalPages = Math.ceil(tracks.length / perPage);
+    const totalPages = Math.max(1, Math.ceil(tracks.length / perPage));
     
-    let description = `**🎵 Reproduciendo:**\n[${currentTrack.info.title}](${currentTrack.info.uri})\n\n`;
+    let description = `**${text.nowPlaying}**\n[${currentTrack.info.title}](${currentTrack.info.uri})\n\n`;
     
     if (pageItems.length > 0) {
-      description += `**📋 En cola (${tracks.length} canciones):**\n`;
+      description += `**${text.upNext.replace("{count}", tracks.length)}**\n`;
       description += pageItems.map((t, i) => {
         const pos = start + i + 1;
-        return `\`${pos}.\` [${t.info.title}](${t.info.uri}) - ${this.formatDuration(t.info.length)}`;
+        const duration = t.info.isStream ? "🔴" : this.formatDuration(t.info.length);
+        return `\`${pos}.\` [${t.info.title}](${t.info.uri}) - ${duration}`;
       }).join("\n");
     } else {
-      description += "\n*La cola está vacía*";
+      description += `\n*${text.empty}*`;
     }
     
     return new EmbedBuilder()
       .setColor(0x1DB954)
-      .setTitle("🎶 Cola de Reproducción")
+      .setTitle(text.title)
       .setDescription(description)
-      .setFooter({ text: `Página ${page}/${totalPages}` })
+      .setFooter({ text: text.page.replace("{page}", page).replace("{total}", totalPages) })
       .setTimestamp();
   }
   
@@ -162,35 +178,56 @@ export default class EmbedFactory {
   }
   
   /**
-   * Embed para comandos de ayuda
+   * Comandos agrupados por categoría (data.category; "general" si no tiene)
+   * @param {Function} canRun - Solo se incluyen los comandos que pasan el filtro
+   * @returns {Map<string, Object[]>} Categoría → módulos, ordenados por nombre
    */
-  static help(commands, prefix) {
-    const categories = {};
+  static groupByCategory(commands, canRun = () => true) {
+    const categories = new Map();
     
-    // Agrupar por categoría
-    for (const [name, cmd] of commands) {
-      const category = cmd.category || "General";
-      if (!categories[category]) categories[category] = [];
+    for (const cmd of commands.values()) {
+      if (!canRun(cmd)) continue;
       
-      categories[category].push({
-        name: name,
-        description: cmd.data.description,
-        aliases: cmd.aliases || []
-      });
+      const category = cmd.data.category || "general";
+      if (!categories.has(category)) categories.set(category, []);
+      categories.get(category).push(cmd);
+    }
+    
+    for (const cmds of categories.values()) {
+      cmds.sort((a, b) => a.data.name.localeCompare(b.data.name));
     }
     
+    return categories;
+  }
+  
+  /**
+   * Embed para comandos de ayuda
+   * @param {Function} canRun - Solo se listan los comandos que pasan el filtro
+   *   (ver createCommandFilter en handlers/commandSettings.js)
+   * @param {Object} labels - Textos traducidos; `categories` da el nombre de cada categoría
+   */
+  static help(commands, prefix, canRun = () => true, labels = {}) {
+    const text = {
+      title: "📚 Lista de Comandos",
+      description: `Usa \`${prefix}help <comando>\` para más info`,
+      categories: {},
+      ...labels
+    };
+    
     const embed = new EmbedBuilder()
       .setColor(0x5865F2)
-      .setTitle("📚 Lista de Comandos")
-      .setDescription(`Usa \`${prefix}help <comando>\` para más info`)
+      .setTitle(text.title)
+      .setDescription(text.description)
       .setTimestamp();
     
+    if (text.footer) embed.setFooter({ text: text.footer });
+    
     // Agregar cada categoría como field
-    for (const [category, cmds] of Object.entries(categories)) {
-      const cmdList = cmds.map(c => `\`${c.name}\``).join(", ");
+    for (const [category, cmds] of this.groupByCategory(commands, canRun)) {
+      const cmdList = cmds.map(c => `\`${c.data.name}\``).join(", ");
       embed.addFields({
-        name: `${this.getCategoryEmoji(category)} ${category}`,
-        value: cmdList,
+        name: `${this.getCategoryEmoji(category)} ${text.categories[category] ?? category}`,
+        value: this.truncate(cmdList, 1024),
         inline: false
       });
     }
@@ -198,29 +235,89 @@ export default class EmbedFactory {
     return embed;
   }
   
+  /**
+   * Embed con los comandos de una categoría
+   * @param {Array<{ name: string, description: string }>} entries - Ya traducidos
+   */
+  static categoryHelp(category, entries, labels = {}) {
+    const text = {
+      title: category,
+      empty: "No hay comandos disponibles",
+      ...labels
+    };
+    
+    const lines = entries.map(entry => `**/${entry.name}** — ${entry.description}`);
+    
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(`${this.getCategoryEmoji(category)} ${text.title}`)
+      .setDescription(this.truncate(lines.join("\n") || text.empty, 4096))
+      .setTimestamp();
+    
+    if (text.footer) embed.setFooter({ text: text.footer });
+    
+    return embed;
+  }
+  
   /**
    * Embed para comando específico
+   * @param {Object} labels - Textos traducidos y listas ya formateadas
+   *   (usage, options, permissions y contexts son líneas; se omiten si están vacías)
    */
-  static commandHelp(command, prefix) {
-    const aliases = command.aliases?.length 
-      ? command.aliases.map(a => `\`${a}\``).join(", ")
-      : "Ninguno";
+  static commandHelp(command, prefix, labels = {}) {
+    const text = {
+      description: command.data.description,
+      usageField: "Uso",
+      aliasesField: "Aliases",
+      categoryField: "Categoría",
+      optionsField: "Opciones",
+      cooldownField: "Cooldown",
+      permissionsField: "Permisos",
+      contextsField: "Dónde",
+      none: "Ninguno",
+      category: command.data.category || "General",
+      usage: [buildUsage(prefix, command.data.name, command)],
+      options: [],
+      permissions: [],
+      contexts: [],
+      cooldown: null,
+      ...labels
+    };
     
-    const usage = command.data.options?.map(opt => {
-      const name = opt.name;
-      return opt.required ? `<${name}>` : `[${name}]`;
-    }).join(" ") || "";
+    const aliases = command.data.aliases?.length 
+      ? command.data.aliases.map(a => `\`${a}\``).join(", ")
+      : text.none;
     
-    return new EmbedBuilder()
+    const embed = new EmbedBuilder()
       .setColor(0x5865F2)
-      .setTitle(`📖 ${command.data.name}`)
-      .setDescription(command.data.description)
+      .setTitle(`📖 /${command.data.name}`)
+      .setDescription(text.description)
       .addFields(
-        { name: "Uso", value: `\`${prefix}${command.data.name} ${usage}\``, inline: false },
-        { name: "Aliases", value: aliases, inline: true },
-        { name: "Categoría", value: command.category || "General", inline: true }
+        { name: text.usageField, value: this.truncate(text.usage.map(u => `\`${u}\``).join("\n"), 1024), inline: false },
+        { name: text.aliasesField, value: aliases, inline: true },
+        { name: text.categoryField, value: text.category, inline: true }
       )
       .setTimestamp();
+    
+    if (text.cooldown) {
+      embed.addFields({ name: text.cooldownField, value: text.cooldown, inline: true });
+    }
+    
+    const lists = [
+      [text.optionsField, text.options],
+      [text.permissionsField, text.permissions],
+      [text.contextsField, text.contexts]
+    ];
+    
+    for (const [name, lines] of lists) {
+      if (lines.length > 0) {
+        embed.addFields({ name, value: this.truncate(lines.join("\n"), 1024), inline: false });
+      }
+    }
+    
+    if (text.footer) embed.setFooter({ text: text.footer });
+    
+    return embed;
   }
   
   // ========================================
@@ -241,6 +338,11 @@ export default class EmbedFactory {
     return `${mins}:${secs.toString().padStart(2, "0")}`;
   }
   
+  // Límite de caracteres de Discord (campos 1024, descripción 4096)
+  static truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+  
   static progressBar(current, max, length = 15) {
     const percentage = Math.min(current / max, 1);
     const filled = Math.floor(percentage * length);
@@ -254,6 +356,7 @@ export default class EmbedFactory {
       "music": "🎵",
       "moderation": "🛡️",
       "utility": "🔧",
+      "utils": "🔧",
       "fun": "🎮",
       "economy": "💰",
       "settings": "⚙️"
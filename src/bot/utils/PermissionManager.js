@@ -29,4 +29,28 @@ export default class PermissionManager {
     
     return { allowed: true };
   }
+  
+  /**
+   * Verifica si el usuario es owner del bot
+   * OWNER_IDS (separados por coma) o, si no está definido, el dueño de la aplicación
+   */
+  static async isOwner(context) {
+    const ownerIds = process.env.OWNER_IDS?.split(",").map(id => id.trim()).filter(Boolean);
+    
+    if (ownerIds?.length) {
+      return ownerIds.includes(context.user.id);
+    }
+    
+    const application = await context.client.application?.fetch().catch(() => null);
+    const owner = application?.owner;
+    
+    if (!owner) return false;
+    
+    // Aplicaciones de un equipo: cualquier miembro cuenta como owner
+    if (owner.members) {
+      return owner.members.has(context.user.id);
+    }
+    
+    return owner.id === context.user.id;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,266 @@
+// src/utils/commandDeploy.js
+// ============================================
+// DESPLIEGUE DE SLASH COMMANDS (deploy-commands.js)
+// - Validación de los límites de Discord antes de llamar a la API
+// - Diff entre los comandos locales y los registrados
+// ============================================
+
+// Límites de la API de Discord para comandos de chat
+const NAME_PATTERN = /^[-_\p{L}\p{N}\p{sc=Deva}\p{sc=Thai}]{1,32}$/u;
+const MAX_DESCRIPTION = 100;
+const MAX_OPTIONS = 25;
+const MAX_CHOICES = 25;
+const MAX_CHOICE_NAME = 100;
+const MAX_CHOICE_VALUE = 100;
+const MAX_COMMAND_LENGTH = 4000;
+export const MAX_COMMANDS = 100;
+
+// Tipos de opción que contienen otras opciones
+const SUBCOMMAND = 1;
+const SUBCOMMAND_GROUP = 2;
+
+// Campos que se comparan; el resto (id, version...) los añade Discord
+const COMMAND_FIELDS = [
+  "type", "name", "name_localizations", "description", "description_localizations",
+  "options", "default_member_permissions", "nsfw", "contexts", "integration_types"
+];
+const OPTION_FIELDS = [
+  "type", "name", "name_localizations", "description", "description_localizations",
+  "required", "choices", "options", "channel_types", "min_value", "max_value",
+  "min_length", "max_length", "autocomplete"
+];
+const CHOICE_FIELDS = ["name", "name_localizations", "value"];
+
+// Solo los comandos globales admiten contextos de instalación
+export const GLOBAL_ONLY_FIELDS = ["contexts", "integration_types"];
+
+// ========================================
+// VALIDACIÓN
+// ========================================
+
+function validateName(errors, where, name, localizations) {
+  for (const [locale, value] of [["default", name], ...Object.entries(localizations ?? {})]) {
+    if (!NAME_PATTERN.test(value ?? "") || value !== value.toLowerCase()) {
+      errors.push(`${where}: invalid name "${value}" (${locale}) — lowercase, 1-32 characters, no spaces`);
+    }
+  }
+}
+
+function validateDescription(errors, where, description, localizations) {
+  for (const [locale, value] of [["default", description], ...Object.entries(localizations ?? {})]) {
+    if (!value || value.length > MAX_DESCRIPTION) {
+      errors.push(`${where}: description (${locale}) must be 1-${MAX_DESCRIPTION} characters, has ${value?.length ?? 0}`);
+    }
+  }
+}
+
+function validateOptions(errors, where, options = []) {
+  if (options.length > MAX_OPTIONS) {
+    errors.push(`${where}: ${options.length} options (max ${MAX_OPTIONS})`);
+  }
+
+  const names = new Set();
+  let optionalSeen = false;
+
+  for (const option of options) {
+    const path = `${where} ${option.name}`;
+
+    validateName(errors, path, option.name, option.name_localizations);
+    validateDescription(errors, path, option.description, option.description_localizations);
+
+    if (names.has(option.name)) errors.push(`${path}: duplicated option name`);
+    names.add(option.name);
+
+    if (option.type === SUBCOMMAND || option.type === SUBCOMMAND_GROUP) {
+      validateOptions(errors, path, option.options);
+      continue;
+    }
+
+    // Discord exige las obligatorias antes que las opcionales
+    if (option.required && optionalSeen) {
+      errors.push(`${path}: required options must come before optional ones`);
+    }
+    optionalSeen ||= !option.required;
+
+    if (option.choices?.length > MAX_CHOICES) {
+      errors.push(`${path}: ${option.choices.length} choices (max ${MAX_CHOICES})`);
+    }
+
+    if (option.choices?.length && option.autocomplete) {
+      errors.push(`${path}: choices and autocomplete can't be used together`);
+    }
+
+    for (const choice of option.choices ?? []) {
+      for (const [locale, value] of [["default", choice.name], ...Object.entries(choice.name_localizations ?? {})]) {
+        if (!value || value.length > MAX_CHOICE_NAME) {
+          errors.push(`${path}: choice "${value}" (${locale}) must be 1-${MAX_CHOICE_NAME} characters`);
+        }
+      }
+
+      if (typeof choice.value === "string" && choice.value.length > MAX_CHOICE_VALUE) {
+        errors.push(`${path}: choice value "${choice.value}" is longer than ${MAX_CHOICE_VALUE} characters`);
+      }
+    }
+  }
+}
+
+// Suma de nombres, descripciones y choices; con localizaciones cuenta el idioma más largo
+function commandLength(command) {
+  const locales = new Set();
+
+  const collect = (item) => {
+    Object.keys(item.name_localizations ?? {}).forEach(locale => locales.add(locale));
+    Object.keys(item.description_localizations ?? {}).forEach(locale => locales.add(locale));
+    (item.options ?? []).forEach(collect);
+    (item.choices ?? []).forEach(collect);
+  };
+  collect(command);
+
+  const measure = (item, locale) => {
+    const name = (locale && item.name_localizations?.[locale]) || item.name || "";
+    const description = (locale && item.description_localizations?.[locale]) || item.description || "";
+    const value = typeof item.value === "string" ? item.value : "";
+
+    return name.length + description.length + value.length +
+      (item.options ?? []).reduce((sum, option) => sum + measure(option, locale), 0) +
+      (item.choices ?? []).reduce((sum, choice) => sum + measure(choice, locale), 0);
+  };
+
+  return Math.max(measure(command, null), ...[...locales].map(locale => measure(command, locale)));
+}
+
+/**
+ * Valida los comandos con los límites de Discord
+ *
+ * @param {Object[]} commands - JSON de los comandos (toJSON)
+ * @returns {string[]} Errores (vacío si todo es válido)
+ */
+export function validateCommands(commands) {
+  const errors = [];
+  const names = new Set();
+
+  if (commands.length > MAX_COMMANDS) {
+    errors.push(`${commands.length} commands (max ${MAX_COMMANDS})`);
+  }
+
+  for (const command of commands) {
+    const where = `/${command.name}`;
+
+    if (names.has(command.name)) errors.push(`${where}: duplicated command name`);
+    names.add(command.name);
+
+    validateName(errors, where, command.name, command.name_localizations);
+    validateDescription(errors, where, command.description, command.description_localizations);
+    validateOptions(errors, where, command.options);
+
+    const length = commandLength(command);
+    if (length > MAX_COMMAND_LENGTH) {
+      errors.push(`${where}: ${length} characters in total (max ${MAX_COMMAND_LENGTH})`);
+    }
+  }
+
+  return errors;
+}
+
+// ========================================
+// DIFF
+// ========================================
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === false ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0);
+}
+
+// Solo los campos comparables, sin valores vacíos (Discord omite o pone null los por defecto)
+function pick(source, fields, normalizeField) {
+  const result = {};
+
+  for (const field of fields) {
+    const value = normalizeField(field, source[field]);
+    if (!isEmpty(value)) result[field] = value;
+  }
+
+  return result;
+}
+
+function normalizeChoice(choice) {
+  return pick(choice, CHOICE_FIELDS, (_, value) => value);
+}
+
+function normalizeOption(option) {
+  return pick(option, OPTION_FIELDS, (field, value) => {
+    if (field === "options") return value?.map(normalizeOption);
+    if (field === "choices") return value?.map(normalizeChoice);
+    if (field === "channel_types") return value && [...value].sort((a, b) => a - b);
+    return value;
+  });
+}
+
+/**
+ * Forma comparable de un comando (local o devuelto por la API)
+ *
+ * @param {Object} command
+ * @param {Object} options
+ * @param {boolean} options.guild - Despliegue en un servidor (sin contextos de instalación)
+ * @returns {Object}
+ */
+export function normalizeCommand(command, { guild = false } = {}) {
+  const fields = guild ? COMMAND_FIELDS.filter(field => !GLOBAL_ONLY_FIELDS.includes(field)) : COMMAND_FIELDS;
+
+  return pick({ type: 1, ...command }, fields, (field, value) => {
+    if (field === "options") return value?.map(normalizeOption);
+    if (field === "contexts" || field === "integration_types") return value && [...value].sort((a, b) => a - b);
+    return value;
+  });
+}
+
+// Igualdad profunda sin depender del orden de las claves
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => sameValue(a[key], b[key]));
+}
+
+/**
+ * Compara los comandos locales con los registrados en Discord
+ *
+ * @param {Object[]} local - JSON de los comandos locales
+ * @param {Object[]} remote - Comandos devueltos por la API (con id)
+ * @param {Object} options
+ * @param {boolean} options.guild - Despliegue en un servidor
+ * @returns {{ added: Object[], changed: Array<{ command: Object, id: string, fields: string[] }>,
+ *   removed: Object[], unchanged: string[] }}
+ */
+export function diffCommands(local, remote, { guild = false } = {}) {
+  const remoteByName = new Map(remote.map(command => [command.name, command]));
+  const localNames = new Set(local.map(command => command.name));
+  const diff = { added: [], changed: [], removed: [], unchanged: [] };
+
+  for (const command of local) {
+    const registered = remoteByName.get(command.name);
+
+    if (!registered) {
+      diff.added.push(command);
+      continue;
+    }
+
+    const before = normalizeCommand(registered, { guild });
+    const after = normalizeCommand(command, { guild });
+    const fields = COMMAND_FIELDS.filter(field => !sameValue(before[field], after[field]));
+
+    if (fields.length > 0) {
+      diff.changed.push({ command, id: registered.id, fields });
+    } else {
+      diff.unchanged.push(command.name);
+    }
+  }
+
+  // Solo comandos de chat: los de menú contextual no salen de este repo
+  diff.removed = remote.filter(command => (command.type ?? 1) === 1 && !localNames.has(command.name));
+
+  return diff;
+}
@@ -5,6 +5,7 @@ import { readFileSync, existsSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import { CommandMetadata } from "./CommandMetadata.js";
+import { getCommandSource } from "../localization/TranslatorHelper.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -24,6 +25,27 @@ function loadCommandConfig(category, commandName, lang = "en") {
     return configCache.get(cacheKey);
   }
   
+  // ========================================
+  // PLUGINS: su propia carpeta i18n
+  // /plugins/<plugin>/i18n/en/<comando>.json
+  // ========================================
+  
+  const pluginSource = getCommandSource(category);
+  
+  if (pluginSource) {
+    const pluginPath = join(pluginSource, lang, `${commandName}.json`);
+    if (!existsSync(pluginPath)) return null;
+    
+    try {
+      const config = JSON.parse(readFileSync(pluginPath, "utf-8"));
+      configCache.set(cacheKey, config);
+      return config;
+    } catch (error) {
+      console.error(`❌ Error parseando ${pluginPath}:`, error.message);
+      return null;
+    }
+  }
+  
   // ========================================
   // ESTRATEGIA 1: Archivo separado (NUEVA)
   // /i18n/en/commands/music/play.json
@@ -244,11 +266,18 @@ export function buildCommand(category, commandName) {
     command.aliases = enCommand.aliases;
   }
   
+  // Con la estructura { command, options } la metadata va al nivel superior
+  const metaConfig = enCommand.metadata || enConfig.metadata;
+
+  // ✅ Reglas de contexto (CommandHandler y deploy-commands las usan)
+  command.metadata = buildMetadata(metaConfig);
+
   // ✅ NUEVO: Agregar metadata si existe
-  if (enCommand.metadata) {
-    command.metadata = enCommand.metadata;
-    command.cooldown = enCommand.metadata.cooldown || 3;
-    command.permissions = enCommand.metadata.permissions;
+  if (metaConfig) {
+    command.cooldown = metaConfig.cooldown ?? 3;
+    command.cooldownBucket = metaConfig.cooldownBucket; // "user" (por defecto) o "guild"
+    command.rateLimit = metaConfig.rateLimit; // { uses, window } en segundos
+    command.permissions = metaConfig.permissions;
   }
 
   return command;
@@ -422,8 +451,16 @@ function mergeAliases(...aliasSets) {
 
 /**
  * Limpiar cache (útil para hot-reload)
+ * @param {string|null} category - Solo esa categoría (p. ej. un plugin)
  */
-export function clearCommandCache() {
+export function clearCommandCache(category = null) {
+  if (category) {
+    for (const key of configCache.keys()) {
+      if (key.split(":")[1] === category) configCache.delete(key);
+    }
+    return;
+  }
+  
   configCache.clear();
   console.log("🧹 Cache de comandos limpiado");
 }
\ No newline at end of file
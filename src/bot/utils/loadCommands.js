@@ -1,27 +1,214 @@
 import fs from "fs";
 import path from "path";
-import { pathToFileURL } from "url";
+import { fileURLToPath, pathToFileURL } from "url";
+import { Collection } from "discord.js";
+import { clearCommandCache } from "./commandbuilder.js";
+import { clearTranslationCache } from "../localization/TranslatorHelper.js";
+import { createLogger } from "./Logger.js";
 
+const logger = createLogger("commands");
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const COMMANDS_PATH = path.join(__dirname, "..", "commands");
+const I18N_PATH = path.join(__dirname, "..", "..", "i18n");
+const LOCALES = ["en", "es"];
+
+// Espera tras el último cambio antes de recargar (un guardado dispara varios eventos)
+const WATCH_DEBOUNCE_MS = 500;
+
+// Archivo → { name, signature } de la última importación (name null: no es un comando)
+const loadedFiles = new Map();
+
+// Las recargas van de una en una
+let pendingReload = Promise.resolve();
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(fullPath);
+    return entry.name.endsWith(".js") ? [fullPath] : [];
+  });
+}
+
+// Última modificación del módulo y de sus JSON (el builder los lee al importar)
+function signature(file, data) {
+  const files = [file];
+
+  if (data?.category && data?.name) {
+    for (const lang of LOCALES) {
+      files.push(path.join(I18N_PATH, lang, "commands", data.category, `${data.name}.json`));
+    }
+  }
+
+  return Math.max(...files.map(f => (fs.existsSync(f) ? fs.statSync(f).mtimeMs : 0)));
+}
+
+// Con fresh se salta la cache de módulos de Node (?v=timestamp)
+function importModule(file, fresh) {
+  const url = pathToFileURL(file);
+  if (fresh) url.searchParams.set("v", Date.now().toString());
+  return import(url.href);
+}
+
+/**
+ * Importa los comandos de una carpeta (recursivo)
+ * Un módulo con errores no impide cargar el resto
+ *
+ * @param {string} commandsPath
+ * @param {Collection} collection - Destino (nombre → módulo)
+ * @returns {Promise<{ failed: Array<{ file: string, error: string }> }>}
+ */
 export async function loadCommands(commandsPath, collection) {
-  const entries = fs.readdirSync(commandsPath, { withFileTypes: true });
+  const failed = [];
 
-  for (const entry of entries) {
-    const fullPath = path.join(commandsPath, entry.name);
+  for (const fullPath of listFiles(commandsPath)) {
+    try {
+      const module = await importModule(fullPath, false);
 
-    if (entry.isDirectory()) {
-      await loadCommands(fullPath, collection);
-      continue;
+      if (!module.data || typeof module.execute !== "function") {
+        console.log(`Skipping non-command file (no exported 'data' or 'execute'): ${fullPath}`);
+        loadedFiles.set(fullPath, { name: null });
+        continue;
+      }
+
+      collection.set(module.data.name, module);
+      loadedFiles.set(fullPath, { name: module.data.name, signature: signature(fullPath, module.data) });
+    } catch (error) {
+      failed.push({ file: path.relative(commandsPath, fullPath), error: error.message });
+      logger.error(`❌ Error cargando ${fullPath}: ${error.message}`);
     }
+  }
+
+  return { failed };
+}
+
+async function rebuildCommands(client, commandsPath, all) {
+  clearCommandCache();
+  clearTranslationCache();
+
+  const commands = new Collection();
+  const result = { reloaded: [], removed: [], definitionsChanged: [], failed: [], unchanged: 0 };
+  const files = listFiles(commandsPath);
 
-    if (!entry.name.endsWith(".js")) continue;
+  for (const fullPath of files) {
+    const previous = loadedFiles.get(fullPath);
+    const current = previous?.name ? client.commands.get(previous.name) : null;
 
-    const module = await import(pathToFileURL(fullPath));
+    // Helpers (configs, singletons): reimportarlos crearía una segunda instancia
+    if (previous && !previous.name) continue;
 
-    if (!module.data || typeof module.execute !== "function") {
-      console.log(`Skipping non-command file (no exported 'data' or 'execute'): ${fullPath}`);
+    if (current && !all && previous.signature === signature(fullPath, current.data)) {
+      commands.set(previous.name, current);
+      result.unchanged++;
       continue;
     }
 
-    collection.set(module.data.name, module);
+    try {
+      const module = await importModule(fullPath, true);
+
+      if (!module.data || typeof module.execute !== "function") {
+        loadedFiles.set(fullPath, { name: null });
+        continue;
+      }
+
+      const name = module.data.name;
+      commands.set(name, module);
+      loadedFiles.set(fullPath, { name, signature: signature(fullPath, module.data) });
+      result.reloaded.push(name);
+
+      // Cambios en nombre, opciones o descripciones: hay que volver a registrarlo
+      if (!current || JSON.stringify(current.data.toJSON()) !== JSON.stringify(module.data.toJSON())) {
+        result.definitionsChanged.push(name);
+      }
+    } catch (error) {
+      result.failed.push({ file: path.relative(commandsPath, fullPath), error: error.message });
+      logger.error(`❌ Error recargando ${fullPath}: ${error.message}`);
+
+      // Se mantiene la versión anterior
+      if (current) commands.set(previous.name, current);
+    }
+  }
+
+  for (const file of loadedFiles.keys()) {
+    if (file.startsWith(commandsPath) && !files.includes(file)) loadedFiles.delete(file);
+  }
+
+  // Los comandos de plugins los gestiona PluginManager
+  for (const [name, command] of client.commands) {
+    if (command.plugin && !commands.has(name)) commands.set(name, command);
+  }
+
+  result.removed = [...client.commands.keys()].filter(name => !commands.has(name));
+
+  // Misma Collection: CommandHandler y prefixHandler la leen desde client
+  client.commands.clear();
+  for (const [name, command] of commands) {
+    client.commands.set(name, command);
+  }
+
+  logger.info(
+    `🔄 Comandos recargados: ${result.reloaded.length} recargados, ${result.unchanged} sin cambios, ` +
+    `${result.removed.length} eliminados, ${result.failed.length} con errores`
+  );
+  return result;
+}
+
+/**
+ * Vuelve a importar los comandos cambiados (o todos) y reconstruye client.commands,
+ * limpiando las caches de commandbuilder y TranslatorHelper
+ * Los módulos que importan los comandos (handlers, utils) no se recargan:
+ * Node no permite sacar un módulo ESM de su cache
+ *
+ * @param {Client} client
+ * @param {Object} options
+ * @param {boolean} options.all - Reimportar también los que no cambiaron
+ * @param {string} options.commandsPath
+ * @returns {Promise<{ reloaded: string[], removed: string[], definitionsChanged: string[],
+ *   failed: Array<{ file: string, error: string }>, unchanged: number }>}
+ */
+export function reloadCommands(client, { all = false, commandsPath = COMMANDS_PATH } = {}) {
+  const run = pendingReload.then(() => rebuildCommands(client, commandsPath, all));
+  pendingReload = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Recarga los comandos al guardar un archivo de comandos o de traducciones
+ * Solo con HOT_RELOAD=true o NODE_ENV=development
+ *
+ * @param {Client} client
+ * @returns {FSWatcher[]} Watchers (vacío si está desactivado)
+ */
+export function watchCommands(client) {
+  if (process.env.HOT_RELOAD !== "true" && process.env.NODE_ENV !== "development") {
+    return [];
+  }
+
+  let timer = null;
+  const schedule = (_, file) => {
+    if (!file || !/\.(js|json)$/.test(file)) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      reloadCommands(client).then(result => {
+        for (const { file: failedFile, error } of result.failed) {
+          logger.warn(`⚠️ ${failedFile}: ${error}`);
+        }
+        if (result.definitionsChanged.length > 0) {
+          logger.info(`📄 Definiciones cambiadas (npm run deploy): ${result.definitionsChanged.join(", ")}`);
+        }
+      }).catch(error => logger.error("❌ Error en la recarga automática", error));
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  try {
+    const watchers = [COMMANDS_PATH, I18N_PATH].map(dir => fs.watch(dir, { recursive: true }, schedule));
+    logger.info("👀 Recarga automática de comandos activada");
+    return watchers;
+  } catch (error) {
+    // fs.watch recursivo necesita Node 20 en Linux
+    logger.warn(`⚠️ No se pudo activar la recarga automática: ${error.message}`);
+    return [];
   }
 }
@@ -0,0 +1,101 @@
+// test/unit/ArgumentParser.test.js
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SlashCommandBuilder } from "discord.js";
+import { buildUsage, parseArguments, tokenize } from "../../src/bot/utils/ArgumentParser.js";
+
+const USER_ID = "123456789012345678";
+const message = { attachments: new Map() };
+
+// Módulo de comando mínimo: parseArguments solo usa `data`
+function command(configure) {
+  return { data: configure(new SlashCommandBuilder().setName("test").setDescription("test")) };
+}
+
+const purge = command(data => data
+  .addUserOption(opt => opt.setName("user").setDescription("user").setRequired(true))
+  .addIntegerOption(opt => opt.setName("limit").setDescription("limit").setMinValue(1).setMaxValue(100)));
+
+const play = command(data => data
+  .addStringOption(opt => opt.setName("query").setDescription("query").setRequired(true))
+  .addStringOption(opt => opt.setName("source").setDescription("source")
+    .addChoices({ name: "YouTube", value: "youtube" }, { name: "SoundCloud", value: "soundcloud" }))
+  .addBooleanOption(opt => opt.setName("next").setDescription("next")));
+
+const clean = command(data => data
+  .addIntegerOption(opt => opt.setName("limit").setDescription("limit"))
+  .addUserOption(opt => opt.setName("user").setDescription("user")));
+
+const settings = command(data => data
+  .addSubcommand(sub => sub.setName("show").setDescription("show"))
+  .addSubcommand(sub => sub.setName("set").setDescription("set")
+    .addStringOption(opt => opt.setName("key").setDescription("key").setRequired(true))
+    .addIntegerOption(opt => opt.setName("value").setDescription("value").setRequired(true))));
+
+function parse(cmd, input) {
+  return parseArguments(cmd, tokenize(input), message);
+}
+
+test("tokenize: respeta comillas dobles y simples", () => {
+  assert.deepEqual(tokenize(`a "dos palabras" 'y tres más' b`), ["a", "dos palabras", "y tres más", "b"]);
+  assert.deepEqual(tokenize(`  --opcion "con espacios"  `), ["--opcion", "con espacios"]);
+  assert.deepEqual(tokenize("don't stop"), ["don't", "stop"]);
+  assert.deepEqual(tokenize(`""`), [""]);
+  assert.deepEqual(tokenize(""), []);
+});
+
+test("parseArguments: menciones e IDs según el tipo", () => {
+  assert.deepEqual(parse(purge, `<@!${USER_ID}> 50`).args, { _subcommand: null, user: USER_ID, limit: 50 });
+  assert.deepEqual(parse(purge, USER_ID).args, { _subcommand: null, user: USER_ID });
+});
+
+test("parseArguments: una opcional de otro tipo se salta", () => {
+  assert.deepEqual(parse(clean, `<@${USER_ID}>`).args, { _subcommand: null, user: USER_ID });
+  assert.deepEqual(parse(clean, `20 <@${USER_ID}>`).args, { _subcommand: null, limit: 20, user: USER_ID });
+});
+
+test("parseArguments: el texto se queda con las palabras que no reclaman otras opciones", () => {
+  assert.equal(parse(play, "never gonna give you up").args.query, "never gonna give you up");
+  // Números y booleanas no se reservan
+  assert.equal(parse(play, "summer of 69").args.query, "summer of 69");
+  assert.equal(parse(play, "say yes").args.query, "say yes");
+
+  // Una choice válida al final sí es de su opción
+  const { args } = parse(play, "never gonna youtube");
+  assert.equal(args.query, "never gonna");
+  assert.equal(args.source, "youtube");
+});
+
+test("parseArguments: --opcion valor, --opcion=valor y --flag", () => {
+  assert.deepEqual(parse(play, "--next lo-fi beats --source=SoundCloud").args, {
+    _subcommand: null, next: true, query: "lo-fi beats", source: "soundcloud"
+  });
+  assert.equal(parse(play, "song --next no").args.next, false);
+  assert.deepEqual(parse(purge, `--limit 5 ${USER_ID}`).args, { _subcommand: null, limit: 5, user: USER_ID });
+});
+
+test("parseArguments: subcomandos", () => {
+  assert.deepEqual(parse(settings, `set "max volume" 80`), {
+    args: { _subcommand: "set", key: "max volume", value: 80 },
+    subcommand: settings.data.options[1]
+  });
+  assert.equal(parse(settings, "show").args._subcommand, "show");
+  assert.equal(parse(settings, "reset").error.key, "arg_invalid_subcommand");
+});
+
+test("parseArguments: errores con la clave de validation.json", () => {
+  assert.equal(parse(purge, "").error.key, "arg_missing");
+  assert.equal(parse(purge, `${USER_ID} 500`).error.key, "arg_out_of_range");
+  assert.equal(parse(purge, `${USER_ID} 5 extra`).error.key, "arg_too_many");
+  assert.equal(parse(purge, "nadie").error.key, "arg_invalid");
+  assert.equal(parse(purge, `${USER_ID} --nope 1`).error.key, "arg_unknown_option");
+  assert.equal(parse(play, "song --source").error.key, "arg_missing");
+  assert.equal(parse(play, "song --source=spotify").error.key, "arg_invalid_choice");
+});
+
+test("buildUsage: obligatorias entre <> y opcionales entre []", () => {
+  assert.equal(buildUsage("r!", "purge", purge), "r!purge <user> [limit]");
+  assert.equal(buildUsage("r!", "settings", settings), "r!settings <show|set>");
+  assert.equal(buildUsage("r!", "settings", settings, settings.data.options[1]), "r!settings set <key> <value>");
+});
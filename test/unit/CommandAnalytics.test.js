@@ -0,0 +1,180 @@
+// test/unit/CommandAnalytics.test.js
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+import { CommandAnalytics, errorClass } from "../../src/bot/database/CommandAnalytics.js";
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// 2023-11-14 22:00:00 UTC
+const START = 1_699_999_200;
+
+function setup(t, { pgSync = false } = {}) {
+  const clock = { seconds: START };
+  t.mock.method(Date, "now", () => clock.seconds * 1000);
+
+  const queries = [];
+  const pool = { query: async (sql, params) => queries.push({ sql, params }) };
+
+  const previous = process.env.ANALYTICS_PG_SYNC;
+  process.env.ANALYTICS_PG_SYNC = pgSync ? "true" : "false";
+  const analytics = new CommandAnalytics(new Database(":memory:"), pool);
+  process.env.ANALYTICS_PG_SYNC = previous;
+
+  t.after(() => {
+    analytics.destroy();
+    analytics.db.close();
+  });
+
+  const log = (commandName, { guildId = "guild-1", latency = 100, error = null } = {}) =>
+    analytics.logCommand({
+      user: { id: "user-1" },
+      guild: guildId ? { id: guildId } : null,
+      commandName,
+      source: "slash",
+      latency,
+      error
+    }, !error);
+
+  return { analytics, clock, log, queries };
+}
+
+test("errorClass: nombre de la clase con el código de Discord", () => {
+  class DiscordAPIError extends Error {
+    constructor(code) {
+      super("api");
+      this.code = code;
+    }
+  }
+
+  assert.equal(errorClass(new TypeError("x")), "TypeError");
+  assert.equal(errorClass(new DiscordAPIError(50013)), "DiscordAPIError[50013]");
+  assert.equal(errorClass(undefined), "Error");
+});
+
+test("resúmenes por hora: usos, fallos y latencias", (t) => {
+  const { analytics, clock, log } = setup(t);
+
+  log("play", { latency: 100 });
+  log("play", { latency: 300, error: new TypeError("boom") });
+  clock.seconds += 30 * 60;
+  log("play", { latency: 200 });
+
+  const rows = analytics.db.prepare("SELECT * FROM command_stats_hourly").all();
+  assert.equal(rows.length, 1);
+  assert.deepEqual(
+    { hour: rows[0].hour, uses: rows[0].uses, failures: rows[0].failures, total: rows[0].total_latency_ms, max: rows[0].max_latency_ms },
+    { hour: START, uses: 3, failures: 1, total: 600, max: 300 }
+  );
+
+  // La hora siguiente es otra fila
+  clock.seconds += HOUR;
+  log("play");
+  assert.equal(analytics.db.prepare("SELECT COUNT(*) AS n FROM command_stats_hourly").get().n, 2);
+  assert.equal(analytics.db.prepare("SELECT COUNT(*) AS n FROM command_events").get().n, 4);
+});
+
+test("consultas: resumen, top de comandos, fallos y errores", (t) => {
+  const { analytics, log } = setup(t);
+
+  log("play", { latency: 100 });
+  log("play", { latency: 200 });
+  log("play", { latency: 300, error: new TypeError("x") });
+  log("skip", { latency: 50, error: new RangeError("x") });
+  log("skip", { latency: 50, error: new RangeError("x"), guildId: "guild-2" });
+  log("help", { guildId: null });
+
+  const global = analytics.getSummary({ window: DAY });
+  assert.deepEqual(global, { uses: 6, failures: 3, avgLatency: 133, maxLatency: 300, commands: 3, guilds: 2 });
+
+  const guild = analytics.getSummary({ window: DAY, guildId: "guild-1" });
+  assert.equal(guild.uses, 4);
+  assert.equal(guild.guilds, 1);
+
+  assert.deepEqual(analytics.getTopCommands({ window: DAY, limit: 2 }).map(row => [row.command, row.uses, row.avgLatency]), [
+    ["play", 3, 200],
+    ["skip", 2, 50]
+  ]);
+
+  assert.deepEqual(analytics.getFailureRates({ window: DAY }).map(row => [row.command, row.rate]), [
+    ["skip", 1],
+    ["play", 1 / 3]
+  ]);
+
+  assert.deepEqual(analytics.getTopErrors({ window: DAY }), [
+    { errorClass: "RangeError", count: 2 },
+    { errorClass: "TypeError", count: 1 }
+  ]);
+
+  assert.deepEqual(analytics.getTopGuilds({ window: DAY }).map(row => [row.guildId, row.uses]), [
+    ["guild-1", 4],
+    ["guild-2", 1]
+  ]);
+});
+
+test("periodo y distribución por hora del día (UTC)", (t) => {
+  const { analytics, clock, log } = setup(t);
+
+  log("old");
+  clock.seconds += 2 * DAY;
+  log("play");
+  log("play");
+  clock.seconds += 3 * HOUR;
+  log("play");
+
+  // Solo entran las horas dentro del periodo
+  assert.equal(analytics.getSummary({ window: DAY }).uses, 3);
+  assert.equal(analytics.getSummary({ window: 7 * DAY }).uses, 4);
+
+  const hours = analytics.getHourlyDistribution({ window: DAY });
+  assert.equal(hours.length, 24);
+  assert.equal(hours[22], 2);
+  assert.equal(hours[1], 1);
+  assert.equal(hours.reduce((a, b) => a + b, 0), 3);
+});
+
+test("prune: borra las ejecuciones a los 7 días y los resúmenes a los 90", (t) => {
+  const { analytics, clock, log } = setup(t);
+  const count = table => analytics.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+
+  log("play", { error: new TypeError("x") });
+  clock.seconds += 8 * DAY;
+  log("play");
+
+  analytics.prune(clock.seconds * 1000);
+  assert.equal(count("command_events"), 1);
+  assert.equal(count("command_stats_hourly"), 2);
+
+  analytics.prune((clock.seconds + 90 * DAY) * 1000);
+  assert.equal(count("command_events"), 0);
+  assert.equal(count("command_stats_hourly"), 1);
+  assert.equal(count("command_errors_hourly"), 0);
+});
+
+test("syncToPostgres: envía solo los resúmenes cambiados", async (t) => {
+  const { analytics, log, queries } = setup(t, { pgSync: true });
+  const inserts = () => queries.filter(query => query.sql.includes("INSERT"));
+
+  log("play");
+  log("play", { error: new TypeError("x") });
+
+  assert.equal(await analytics.syncToPostgres(), 2);
+  assert.deepEqual(inserts()[0].params, [START, "play", "guild-1", 2, 1, 200, 100]);
+
+  // Sin cambios no se vuelve a enviar nada
+  assert.equal(await analytics.syncToPostgres(), 0);
+
+  log("play");
+  assert.equal(await analytics.syncToPostgres(), 1);
+  assert.equal(inserts().at(-1).params[3], 3);
+});
+
+test("syncToPostgres: desactivado sin ANALYTICS_PG_SYNC", async (t) => {
+  const { analytics, log, queries } = setup(t);
+
+  log("play");
+  assert.equal(await analytics.syncToPostgres(), 0);
+  assert.equal(queries.length, 0);
+});
@@ -0,0 +1,178 @@
+// test/unit/CooldownManager.test.js
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  CooldownManager,
+  DEFAULT_COOLDOWN,
+  GLOBAL_RATE_LIMIT,
+  MAX_WINDOW_MS
+} from "../../src/bot/utils/CooldownManager.js";
+import { getCustomLevelsConfig } from "../../src/bot/commands/config/CustomLevelsConfig.js";
+
+const PREMIUM_GUILD = "premium-guild";
+
+function context({ userId = "user-1", guildId = "guild-1", roles = [] } = {}) {
+  return {
+    user: { id: userId },
+    guild: guildId ? { id: guildId } : null,
+    member: guildId ? { roles: { cache: new Set(roles) } } : null
+  };
+}
+
+function command(name, data = {}) {
+  return { data: { name, ...data } };
+}
+
+// Reloj controlado: Date.now() devuelve `clock.now`
+function useClock(t) {
+  const clock = { now: 1_700_000_000_000 };
+  t.mock.method(Date, "now", () => clock.now);
+  return clock;
+}
+
+test("cooldown por usuario: bloquea hasta que expira", (t) => {
+  const clock = useClock(t);
+  const manager = new CooldownManager();
+  const ping = command("ping", { cooldown: 5 });
+
+  assert.deepEqual(manager.check(context(), ping), { allowed: true });
+
+  const blocked = manager.check(context(), ping);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.reason, "cooldown_active");
+  assert.equal(blocked.params.seconds, "5.0");
+
+  // Otro usuario no comparte el cooldown
+  assert.equal(manager.check(context({ userId: "user-2" }), ping).allowed, true);
+
+  clock.now += 5_000;
+  assert.equal(manager.check(context(), ping).allowed, true);
+});
+
+test("cooldown por servidor: lo comparten todos los miembros", (t) => {
+  useClock(t);
+  const manager = new CooldownManager();
+  const daily = command("daily", { cooldown: 30, cooldownBucket: "guild" });
+
+  assert.equal(manager.check(context(), daily).allowed, true);
+  assert.equal(manager.check(context({ userId: "user-2" }), daily).reason, "cooldown_guild");
+  assert.equal(manager.check(context({ userId: "user-2", guildId: "guild-2" }), daily).allowed, true);
+});
+
+test("resolveDuration: el menor de los roles, luego el servidor y luego el comando", () => {
+  const manager = new CooldownManager();
+  const cmd = command("play", { cooldown: 10 });
+  const override = { cooldown: 20, roleCooldowns: { vip: 2, dj: 5, other: 1 } };
+  const member = { roles: { cache: new Set(["vip", "dj"]) } };
+
+  assert.equal(manager.resolveDuration(cmd, member, override), 2);
+  assert.equal(manager.resolveDuration(cmd, { roles: { cache: new Set() } }, override), 20);
+  assert.equal(manager.resolveDuration(cmd, member, null), 10);
+  assert.equal(manager.resolveDuration(command("plain"), null, null), DEFAULT_COOLDOWN);
+});
+
+test("check: aplica el cooldown del rol del miembro", (t) => {
+  const clock = useClock(t);
+  const manager = new CooldownManager();
+  const cmd = command("play", { cooldown: 60 });
+  const override = { roleCooldowns: { vip: 2 } };
+
+  assert.equal(manager.check(context({ roles: ["vip"] }), cmd, override).allowed, true);
+  clock.now += 2_000;
+  assert.equal(manager.check(context({ roles: ["vip"] }), cmd, override).allowed, true);
+
+  assert.equal(manager.check(context({ userId: "user-2" }), cmd, override).allowed, true);
+  clock.now += 2_000;
+  assert.equal(manager.check(context({ userId: "user-2" }), cmd, override).reason, "cooldown_active");
+});
+
+test("rate limit: ventana deslizante con el tiempo hasta el siguiente uso", (t) => {
+  const clock = useClock(t);
+  const manager = new CooldownManager();
+  const search = command("search", { cooldown: 0, rateLimit: { uses: 2, window: 10 } });
+
+  assert.equal(manager.check(context(), search).allowed, true);
+  clock.now += 4_000;
+  assert.equal(manager.check(context(), search).allowed, true);
+  clock.now += 1_000;
+
+  const blocked = manager.check(context(), search);
+  assert.equal(blocked.reason, "cooldown_rate_limited");
+  assert.deepEqual(blocked.params, { command: "search", seconds: "5.0", uses: 2, window: 10 });
+
+  // Sale el primer uso de la ventana, pero no el segundo
+  clock.now += 5_000;
+  assert.equal(manager.check(context(), search).allowed, true);
+  assert.equal(manager.check(context(), search).reason, "cooldown_rate_limited");
+});
+
+test("rate limit global: todos los comandos del usuario cuentan", (t) => {
+  useClock(t);
+  const manager = new CooldownManager();
+
+  for (let i = 0; i < GLOBAL_RATE_LIMIT.uses; i++) {
+    assert.equal(manager.check(context(), command(`cmd-${i}`, { cooldown: 0 })).allowed, true);
+  }
+
+  const blocked = manager.check(context(), command("another", { cooldown: 0 }));
+  assert.equal(blocked.reason, "cooldown_global");
+  assert.equal(manager.check(context({ userId: "user-2" }), command("another", { cooldown: 0 })).allowed, true);
+});
+
+test("premium: sin cooldowns, pero con rate limit", (t) => {
+  useClock(t);
+  const premium = getCustomLevelsConfig().premiumGuilds;
+  premium.add(PREMIUM_GUILD);
+  t.after(() => premium.delete(PREMIUM_GUILD));
+
+  const manager = new CooldownManager();
+  const ctx = context({ guildId: PREMIUM_GUILD });
+
+  const slow = command("slow", { cooldown: 600 });
+  assert.equal(manager.check(ctx, slow).allowed, true);
+  assert.equal(manager.check(ctx, slow).allowed, true);
+
+  const limited = command("limited", { rateLimit: { uses: 1, window: 60 } });
+  assert.equal(manager.check(ctx, limited).allowed, true);
+  assert.equal(manager.check(ctx, limited).reason, "cooldown_rate_limited");
+
+  // El uso bloqueado por el rate limit no llega al cooldown
+  assert.equal(manager.getStats().bypassed, 3);
+});
+
+test("rate limit: rechaza ventanas más largas que MAX_WINDOW_MS", () => {
+  const manager = new CooldownManager();
+  const maxSeconds = MAX_WINDOW_MS / 1000;
+
+  assert.equal(manager.check(context(), command("ok", { rateLimit: { uses: 1, window: maxSeconds } })).allowed, true);
+  assert.throws(
+    () => manager.check(context(), command("long", { rateLimit: { uses: 1, window: maxSeconds + 1 } })),
+    /window/
+  );
+  assert.throws(() => manager.check(context(), command("zero", { rateLimit: { uses: 0, window: 10 } })), /uses/);
+});
+
+test("getStats: bloqueos por servidor y comandos más bloqueados", (t) => {
+  useClock(t);
+  const manager = new CooldownManager();
+  const ping = command("ping", { cooldown: 5 });
+  const pong = command("pong", { cooldown: 5 });
+
+  manager.check(context(), ping);
+  manager.check(context(), ping);
+  manager.check(context(), ping);
+  manager.check(context(), pong);
+  manager.check(context(), pong);
+  // El cooldown de usuario le sigue a otros servidores
+  assert.equal(manager.check(context({ guildId: "guild-2" }), ping).reason, "cooldown_active");
+
+  assert.deepEqual(manager.getStats("guild-1"), {
+    checks: 5,
+    blocked: 3,
+    topBlocked: [{ command: "ping", count: 2 }, { command: "pong", count: 1 }]
+  });
+  assert.equal(manager.getStats().checks, 6);
+  assert.equal(manager.getStats().blocked, 4);
+  assert.deepEqual(manager.getStats().topBlocked, [{ command: "ping", count: 3 }, { command: "pong", count: 1 }]);
+});
@@ -0,0 +1,82 @@
+// test/unit/lyrics.test.js
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  FixtureProvider,
+  getLyricsProvider,
+  parseTrackInfo,
+  setLyricsProvider
+} from "../../src/bot/music/lyrics/index.js";
+
+const SONGS = [
+  { title: "Star", artist: "Band A", lyrics: "star lyrics" },
+  { title: "Star", artist: "Band B", lyrics: "other star lyrics" },
+  { title: "Twinkle, Twinkle, Little Star", artist: "Traditional", lyrics: "twinkle lyrics" },
+  { title: "!!!", artist: "Symbols", lyrics: "should never match" }
+];
+
+function createProvider() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lyrics-"));
+  const file = path.join(dir, "songs.json");
+  fs.writeFileSync(file, JSON.stringify({ songs: SONGS }));
+  return new FixtureProvider(file);
+}
+
+test("FixtureProvider: coincidencia exacta de título y artista", async () => {
+  const provider = createProvider();
+
+  const result = await provider.search({ title: "star", artist: "band b" });
+  assert.equal(result.lyrics, "other star lyrics");
+  assert.equal(result.source, "Fixture");
+
+  const exact = await provider.search({ title: "Twinkle twinkle little star" });
+  assert.equal(exact.title, "Twinkle, Twinkle, Little Star");
+});
+
+test("FixtureProvider: el título parcial solo coincide con palabras completas", async () => {
+  const provider = createProvider();
+
+  assert.equal((await provider.search({ title: "Lone Star (Live)" }))?.title, "Star");
+  assert.equal(await provider.search({ title: "Stardust" }), null);
+  assert.equal(await provider.search({ title: "Superstar" }), null);
+});
+
+test("FixtureProvider: los títulos vacíos no coinciden con nada", async () => {
+  const provider = createProvider();
+
+  assert.equal(await provider.search({ title: "" }), null);
+  assert.equal(await provider.search({ title: "???" }), null);
+  // "!!!" se normaliza a vacío y no debe coincidir con cualquier búsqueda
+  assert.notEqual((await provider.search({ title: "Unknown Song" }))?.title, "!!!");
+});
+
+test("setLyricsProvider: sustituye el proveedor activo", () => {
+  const provider = createProvider();
+  setLyricsProvider(provider);
+
+  assert.equal(getLyricsProvider(), provider);
+  assert.throws(() => setLyricsProvider({ search: async () => null }), /LyricsProvider/);
+});
+
+test("parseTrackInfo: separa artista y título", () => {
+  assert.deepEqual(
+    parseTrackInfo({ title: "Rick Astley - Never Gonna Give You Up (Official Video)", author: "RickAstleyVEVO" }),
+    { artist: "Rick Astley", title: "Never Gonna Give You Up" }
+  );
+});
+
+test("parseTrackInfo: usa el autor del canal si el título no trae artista", () => {
+  assert.deepEqual(
+    parseTrackInfo({ title: "Bohemian Rhapsody [Official Audio]", author: "Queen - Topic" }),
+    { artist: "Queen", title: "Bohemian Rhapsody" }
+  );
+  assert.deepEqual(
+    parseTrackInfo({ title: "Song [Lyrics]", author: "ArtistVEVO" }),
+    { artist: "Artist", title: "Song" }
+  );
+  assert.deepEqual(parseTrackInfo({ title: "Song (HD)", author: "" }), { artist: null, title: "Song" });
+});
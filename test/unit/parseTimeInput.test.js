@@ -0,0 +1,30 @@
+// test/unit/parseTimeInput.test.js
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseTimeInput } from "../../src/bot/handlers/music/utils.js";
+
+test("parseTimeInput: formato de formatDuration", () => {
+  assert.deepEqual(parseTimeInput("1:23"), { ms: 83_000, relative: false });
+  assert.deepEqual(parseTimeInput("1:02:03"), { ms: 3_723_000, relative: false });
+  assert.deepEqual(parseTimeInput("0:05"), { ms: 5_000, relative: false });
+});
+
+test("parseTimeInput: segundos y unidades", () => {
+  assert.deepEqual(parseTimeInput("90"), { ms: 90_000, relative: false });
+  assert.deepEqual(parseTimeInput("1m30s"), { ms: 90_000, relative: false });
+  assert.deepEqual(parseTimeInput("1h 2m"), { ms: 3_720_000, relative: false });
+  assert.deepEqual(parseTimeInput("45S"), { ms: 45_000, relative: false });
+});
+
+test("parseTimeInput: + y - son relativos a la posición actual", () => {
+  assert.deepEqual(parseTimeInput("+30"), { ms: 30_000, relative: true });
+  assert.deepEqual(parseTimeInput("-1:00"), { ms: -60_000, relative: true });
+  assert.deepEqual(parseTimeInput(" - 10s "), { ms: -10_000, relative: true });
+});
+
+test("parseTimeInput: rechaza entradas inválidas", () => {
+  for (const input of ["", "   ", "+", "abc", "1:60", "1:2:3:4", "1:5:60", "10x", "1s2m", "-", null, undefined]) {
+    assert.equal(parseTimeInput(input), null, `"${input}" no debería ser válido`);
+  }
+});